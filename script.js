@@ -1,8 +1,182 @@
 // Constantes para la base de datos IndexedDB
 const DB_NAME = 'FisioDermatofuncionalDB';
-const DB_VERSION = 1;
+const DB_VERSION = 14;
 const STORE_NAME_PACIENTES = 'pacientes';
 const STORE_NAME_CONSULTAS = 'consultas';
+const STORE_NAME_FOTOS = 'fotos';
+const STORE_NAME_CITAS = 'citas';
+const STORE_NAME_PLANES = 'planes';
+const STORE_NAME_CONSENTIMIENTOS = 'consentimientos';
+const STORE_NAME_PLANTILLAS_NOTAS = 'plantillasNotas'; // Plantillas y frases rápidas para las notas de las consultas
+const STORE_NAME_SERVICIOS = 'servicios'; // Catálogo de precios por sesión o paquete
+const STORE_NAME_CARGOS = 'cargos'; // Importes que debe cada paciente (sesiones, paquetes...)
+const STORE_NAME_PAGOS = 'pagos'; // Pagos recibidos, con su número de recibo
+const STORE_NAME_AJUSTES = 'ajustes'; // Configuración de la aplicación (clave/valor), no forma parte de las copias
+const STORE_NAME_COPIAS = 'copias'; // Copias de seguridad automáticas (metadatos), no forman parte de las copias
+const STORE_NAME_CONTENIDO_COPIAS = 'contenidoCopias'; // Contenido de cada copia automática, con el mismo id
+const STORE_NAME_HISTORIAL = 'historial'; // Historial de cambios de pacientes y consultas (solo se añade), no forma parte de las copias
+
+// Object stores que se incluyen en las copias de seguridad, en orden de dependencia
+// (cada store solo hace referencia a stores anteriores de la lista)
+const STORES_RESPALDO = [STORE_NAME_PACIENTES, STORE_NAME_PLANES, STORE_NAME_CONSULTAS, STORE_NAME_FOTOS, STORE_NAME_CITAS, STORE_NAME_CONSENTIMIENTOS,
+    STORE_NAME_PLANTILLAS_NOTAS, STORE_NAME_SERVICIOS, STORE_NAME_CARGOS, STORE_NAME_PAGOS];
+
+// Formato de las copias de seguridad. Versión 1: objeto con un array por store, sin envoltorio
+// (copias anteriores). Versión 2: envoltorio con metadatos, recuentos y hash de integridad.
+const APP_RESPALDO = 'fisio-dermatofuncional';
+const FORMATO_RESPALDO = 2;
+
+// Configuración predeterminada de las copias de seguridad automáticas (una al día)
+const COPIAS_AUTOMATICAS_POR_DEFECTO = { activas: true, maximo: 7 };
+
+// Claves foráneas de cada store de datos, para reasignar los IDs al fusionar una copia de seguridad
+const REFERENCIAS_RESPALDO = {
+    [STORE_NAME_PACIENTES]: {},
+    [STORE_NAME_PLANES]: { pacienteId: STORE_NAME_PACIENTES },
+    [STORE_NAME_CONSULTAS]: { pacienteId: STORE_NAME_PACIENTES, planId: STORE_NAME_PLANES },
+    [STORE_NAME_FOTOS]: { pacienteId: STORE_NAME_PACIENTES, consultaId: STORE_NAME_CONSULTAS },
+    [STORE_NAME_CITAS]: { pacienteId: STORE_NAME_PACIENTES, consultaId: STORE_NAME_CONSULTAS },
+    [STORE_NAME_CONSENTIMIENTOS]: { pacienteId: STORE_NAME_PACIENTES },
+    [STORE_NAME_PLANTILLAS_NOTAS]: {},
+    [STORE_NAME_SERVICIOS]: {},
+    [STORE_NAME_CARGOS]: { pacienteId: STORE_NAME_PACIENTES, consultaId: STORE_NAME_CONSULTAS },
+    [STORE_NAME_PAGOS]: { pacienteId: STORE_NAME_PACIENTES }
+};
+
+// Nombres legibles de los stores de datos
+const ETIQUETAS_STORES = {
+    [STORE_NAME_PACIENTES]: 'Pacientes',
+    [STORE_NAME_PLANES]: 'Planes de tratamiento',
+    [STORE_NAME_CONSULTAS]: 'Consultas',
+    [STORE_NAME_FOTOS]: 'Fotos',
+    [STORE_NAME_CITAS]: 'Citas',
+    [STORE_NAME_CONSENTIMIENTOS]: 'Consentimientos',
+    [STORE_NAME_PLANTILLAS_NOTAS]: 'Plantillas de notas',
+    [STORE_NAME_SERVICIOS]: 'Servicios',
+    [STORE_NAME_CARGOS]: 'Cargos',
+    [STORE_NAME_PAGOS]: 'Pagos'
+};
+
+// Zonas corporales para etiquetar las fotos clínicas
+const ZONAS_CORPORALES = ['Rostro', 'Cuello', 'Brazos', 'Abdomen', 'Flancos', 'Espalda', 'Glúteos', 'Muslos', 'Piernas', 'Otra'];
+
+/**
+ * Campos de texto del paciente (además de nombre y fecha de nacimiento).
+ * En el formulario de registro cada control tiene como ID el nombre del campo,
+ * y en el modal del expediente el mismo nombre con el prefijo "modal" (p. ej. modalMotivoConsulta).
+ */
+const CAMPOS_PACIENTE = [
+    'sexo',
+    'telefono',
+    'email',
+    'ocupacion',
+    'contactoEmergencia',
+    'medicoReferente',
+    'motivoConsulta',
+    'diagnosticoFisio',
+    'tratamientoFisio',
+    'antecedentes',
+    'alergias',
+    'medicamentos'
+];
+
+// Contraindicaciones relevantes para electroterapia, radiofrecuencia y demás modalidades
+const CONTRAINDICACIONES = [
+    { valor: 'marcapasos', etiqueta: 'Marcapasos' },
+    { valor: 'embarazo', etiqueta: 'Embarazo' },
+    { valor: 'implantesMetalicos', etiqueta: 'Implantes metálicos' },
+    { valor: 'cancerActivo', etiqueta: 'Cáncer activo' },
+    { valor: 'trombosis', etiqueta: 'Trombosis / TVP' },
+    { valor: 'epilepsia', etiqueta: 'Epilepsia' }
+];
+
+// Palabras que, si aparecen en los antecedentes, sugieren una contraindicación no marcada
+const PALABRAS_CLAVE_CONTRAINDICACIONES = {
+    marcapasos: ['marcapasos', 'desfibrilador'],
+    embarazo: ['embarazo', 'embarazada', 'gestacion', 'gestante'],
+    implantesMetalicos: ['implante metalico', 'implantes metalicos', 'placa metalica', 'protesis', 'osteosintesis', 'clavo'],
+    cancerActivo: ['cancer', 'oncologico', 'tumor', 'quimioterapia', 'radioterapia'],
+    trombosis: ['trombosis', 'tvp', 'trombo', 'tromboembolismo', 'flebitis'],
+    epilepsia: ['epilepsia', 'convulsiones']
+};
+
+/**
+ * Reglas predeterminadas de contraindicación por modalidad.
+ * `accion` indica si la consulta se bloquea o solo se advierte cuando el paciente tiene marcada
+ * alguna de las contraindicaciones. Se pueden modificar en la pantalla de Configuración.
+ */
+const REGLAS_CONTRAINDICACION_POR_DEFECTO = {
+    radiofrecuencia: { contraindicaciones: ['marcapasos', 'embarazo', 'implantesMetalicos', 'cancerActivo'], accion: 'bloquear' },
+    presoterapia: { contraindicaciones: ['trombosis', 'cancerActivo'], accion: 'bloquear' },
+    drenajeLinfatico: { contraindicaciones: ['trombosis', 'cancerActivo'], accion: 'advertir' },
+    cavitacion: { contraindicaciones: ['marcapasos', 'embarazo', 'implantesMetalicos', 'cancerActivo', 'trombosis'], accion: 'bloquear' },
+    ultrasonido: { contraindicaciones: ['embarazo', 'cancerActivo', 'trombosis'], accion: 'advertir' },
+    electroestimulacion: { contraindicaciones: ['marcapasos', 'embarazo', 'epilepsia', 'cancerActivo'], accion: 'bloquear' },
+    vacumterapia: { contraindicaciones: ['trombosis', 'embarazo', 'cancerActivo'], accion: 'advertir' },
+    microneedling: { contraindicaciones: ['cancerActivo', 'embarazo'], accion: 'advertir' },
+    masajeReductivo: { contraindicaciones: ['trombosis', 'embarazo'], accion: 'advertir' },
+    kinesiotaping: { contraindicaciones: ['trombosis'], accion: 'advertir' }
+};
+
+// Campos del paciente en los que busca el texto de búsqueda (además de las notas de sus consultas)
+const CAMPOS_BUSQUEDA = [
+    { campo: 'nombre', etiqueta: 'Nombre' },
+    { campo: 'diagnosticoFisio', etiqueta: 'Diagnóstico' },
+    { campo: 'motivoConsulta', etiqueta: 'Motivo de consulta' }
+];
+
+// Criterios de orden de la lista de pacientes
+const ORDENES_BUSQUEDA = [
+    { valor: 'nombre', etiqueta: 'Nombre (A-Z)' },
+    { valor: 'ultimaVisitaReciente', etiqueta: 'Última visita (más reciente primero)' },
+    { valor: 'ultimaVisitaAntigua', etiqueta: 'Última visita (más antigua primero)' },
+    { valor: 'edadAsc', etiqueta: 'Edad (menor a mayor)' },
+    { valor: 'edadDesc', etiqueta: 'Edad (mayor a menor)' },
+    { valor: 'registro', etiqueta: 'Registro más reciente' }
+];
+
+// Rangos de edad de la distribución de pacientes en las estadísticas: [edad mínima, edad máxima (inclusive)]
+const RANGOS_EDAD_ESTADISTICAS = [[0, 17], [18, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, Infinity]];
+// Días sin visita que se vigilan en las estadísticas
+const UMBRALES_SIN_VISITA = [30, 60, 90];
+
+// Columnas de pacientes en las hojas de cálculo (CSV): encabezado al exportar y otros nombres
+// con los que se reconoce la columna al importar
+const COLUMNAS_CSV_PACIENTES = [
+    { campo: 'nombre', etiqueta: 'Nombre', alias: ['nombre completo', 'paciente', 'nombre y apellidos'] },
+    { campo: 'fechaNacimiento', etiqueta: 'Fecha de nacimiento', alias: ['nacimiento', 'fecha nacimiento', 'f. nacimiento', 'fnac'] },
+    { campo: 'sexo', etiqueta: 'Sexo', alias: ['genero'] },
+    { campo: 'telefono', etiqueta: 'Teléfono', alias: ['tel', 'tel.', 'celular', 'movil'] },
+    { campo: 'email', etiqueta: 'Correo electrónico', alias: ['correo', 'e-mail'] },
+    { campo: 'ocupacion', etiqueta: 'Ocupación', alias: ['profesion'] },
+    { campo: 'contactoEmergencia', etiqueta: 'Contacto de emergencia', alias: ['emergencia'] },
+    { campo: 'medicoReferente', etiqueta: 'Médico referente', alias: ['medico', 'referente'] },
+    { campo: 'motivoConsulta', etiqueta: 'Motivo de consulta', alias: ['motivo'] },
+    { campo: 'diagnosticoFisio', etiqueta: 'Diagnóstico', alias: ['diagnostico fisioterapeutico'] },
+    { campo: 'tratamientoFisio', etiqueta: 'Tratamiento', alias: ['tratamiento fisioterapeutico'] },
+    { campo: 'antecedentes', etiqueta: 'Antecedentes', alias: ['antecedentes medicos'] },
+    { campo: 'alergias', etiqueta: 'Alergias', alias: [] },
+    { campo: 'medicamentos', etiqueta: 'Medicamentos', alias: ['medicacion', 'medicamentos actuales'] },
+    { campo: 'contraindicaciones', etiqueta: 'Contraindicaciones', alias: [] }
+];
+
+// Formatos de fecha reconocidos al importar una hoja de cálculo
+const FORMATOS_FECHA_CSV = [
+    { valor: 'iso', etiqueta: 'AAAA-MM-DD', patron: /^(\d{4})-(\d{1,2})-(\d{1,2})$/ },
+    { valor: 'dma', etiqueta: 'DD/MM/AAAA', patron: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/ }
+];
+
+// Listado de pacientes: cuántas tarjetas se muestran de cada vez y espera (ms) tras teclear antes de buscar
+const PACIENTES_POR_PAGINA = 50;
+const RETARDO_BUSQUEDA = 250;
+
+// Estados posibles de una cita de la agenda
+const ESTADOS_CITA = {
+    programada: 'Programada',
+    asistida: 'Asistió',
+    no_asistio: 'No asistió',
+    cancelada: 'Cancelada'
+};
 
 let db; // Variable para almacenar la instancia de la base de datos
 
@@ -37,660 +211,7659 @@ function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
-// --- Gestión de IndexedDB ---
-
 /**
- * Abre la base de datos IndexedDB.
- * Si no existe, la crea y configura los object stores.
- * @returns {Promise<IDBDatabase>} Una promesa que resuelve con la instancia de la base de datos.
+ * Formatea una marca de tiempo ISO a YYYY-MM-DD HH:MM en hora local.
+ * @param {string} isoString Fecha y hora en formato ISO.
+ * @returns {string} Fecha y hora legibles.
  */
-function openDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onupgradeneeded = (event) => {
-            db = event.target.result;
-            // Crear o actualizar el object store para pacientes
-            if (!db.objectStoreNames.contains(STORE_NAME_PACIENTES)) {
-                const pacienteStore = db.createObjectStore(STORE_NAME_PACIENTES, { keyPath: 'id', autoIncrement: true });
-                pacienteStore.createIndex('nombre', 'nombre', { unique: false });
-            }
-            // Crear o actualizar el object store para consultas
-            if (!db.objectStoreNames.contains(STORE_NAME_CONSULTAS)) {
-                const consultaStore = db.createObjectStore(STORE_NAME_CONSULTAS, { keyPath: 'id', autoIncrement: true });
-                consultaStore.createIndex('pacienteId', 'pacienteId', { unique: false });
-                consultaStore.createIndex('fecha', 'fecha', { unique: false });
-            }
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            console.log('Base de datos abierta con éxito');
-            resolve(db);
-        };
+function formatDateTime(isoString) {
+    const d = new Date(isoString);
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    return `${formatDate(d)} ${hours}:${minutes}`;
+}
 
-        request.onerror = (event) => {
-            console.error('Error al abrir la base de datos:', event.target.error);
-            reject(event.target.error);
-        };
-    });
+/**
+ * Escapa los caracteres especiales de HTML para insertar texto libre en plantillas innerHTML.
+ * @param {string} texto Texto a escapar.
+ * @returns {string} Texto seguro para HTML.
+ */
+function escaparHTML(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
- * Agrega un nuevo paciente a la base de datos.
- * @param {Object} pacienteData Datos del paciente.
- * @returns {Promise<number>} Una promesa que resuelve con el ID del nuevo paciente.
+ * Obtiene el ID del control de un campo del paciente en el modal del expediente.
+ * @param {string} campo Nombre del campo (p. ej. "motivoConsulta").
+ * @returns {string} ID del control en el modal (p. ej. "modalMotivoConsulta").
  */
-async function addPaciente(pacienteData) {
-    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME_PACIENTES);
-    return new Promise((resolve, reject) => {
-        const request = store.add(pacienteData);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+function idCampoModal(campo) {
+    return 'modal' + campo.charAt(0).toUpperCase() + campo.slice(1);
 }
 
 /**
- * Obtiene todos los pacientes de la base de datos.
- * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de pacientes.
+ * Completa un registro de paciente con los campos que falten (registros y copias anteriores
+ * al modelo de datos ampliado), sin modificar el objeto original.
+ * @param {Object} paciente Registro de paciente.
+ * @returns {Object} Registro con todos los campos de CAMPOS_PACIENTE y `contraindicaciones`.
  */
-async function getAllPacientes() {
-    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
-    const store = transaction.objectStore(STORE_NAME_PACIENTES);
-    return new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
+function normalizarPaciente(paciente) {
+    const normalizado = { ...paciente };
+    CAMPOS_PACIENTE.forEach(campo => {
+        if (typeof normalizado[campo] !== 'string') {
+            normalizado[campo] = '';
+        }
     });
+    normalizado.contraindicaciones = Array.isArray(paciente.contraindicaciones)
+        ? paciente.contraindicaciones.filter(valor => CONTRAINDICACIONES.some(c => c.valor === valor))
+        : [];
+    // Los pacientes de la papelera no tienen clave en el índice de nombres, para que no aparezcan en la lista
+    if (paciente.eliminadoEn) {
+        delete normalizado.nombreNormalizado;
+    } else {
+        normalizado.nombreNormalizado = normalizarNombre(paciente.nombre);
+    }
+    return normalizado;
 }
 
 /**
- * Busca pacientes por nombre (parcial o completo).
- * @param {string} nombreBusqueda Nombre o parte del nombre a buscar.
- * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de pacientes que coinciden.
+ * Obtiene las etiquetas legibles de las contraindicaciones de un paciente.
+ * @param {Array<string>} contraindicaciones Claves de contraindicaciones.
+ * @returns {Array<string>} Etiquetas correspondientes.
  */
-async function searchPacientes(nombreBusqueda) {
-    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
-    const store = transaction.objectStore(STORE_NAME_PACIENTES);
-    const index = store.index('nombre');
-    const lowerCaseSearch = nombreBusqueda.toLowerCase();
+function etiquetasContraindicaciones(contraindicaciones) {
+    return (contraindicaciones || [])
+        .map(valor => (CONTRAINDICACIONES.find(c => c.valor === valor) || { etiqueta: valor }).etiqueta);
+}
 
-    return new Promise((resolve, reject) => {
-        const results = [];
-        index.openCursor().onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                if (cursor.value.nombre.toLowerCase().includes(lowerCaseSearch)) {
-                    results.push(cursor.value);
-                }
-                cursor.continue();
-            } else {
-                resolve(results);
-            }
-        };
-        index.openCursor().onerror = (event) => reject(event.target.error);
-    });
+/**
+ * Comprueba el formato de un correo electrónico (vacío se considera válido, el campo es opcional).
+ * @param {string} email Correo electrónico.
+ * @returns {boolean} true si está vacío o tiene un formato válido.
+ */
+function esEmailValido(email) {
+    return !email || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+/**
+ * Normaliza un texto para comparaciones: minúsculas y sin acentos ("Ramírez" → "ramirez").
+ * @param {string} texto Texto a normalizar.
+ * @returns {string} Texto normalizado.
+ */
+function normalizarTexto(texto) {
+    return String(texto ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
 
 /**
- * Obtiene un paciente por su ID.
- * @param {number} id ID del paciente.
- * @returns {Promise<Object>} Una promesa que resuelve con el objeto paciente.
+ * Normaliza un nombre para ordenarlo y buscarlo: sin acentos, en minúsculas y con espacios simples.
+ * Es la clave del índice `nombreNormalizado` de los pacientes.
+ * @param {string} nombre Nombre del paciente.
+ * @returns {string} Nombre normalizado.
  */
-async function getPacienteById(id) {
-    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
-    const store = transaction.objectStore(STORE_NAME_PACIENTES);
-    return new Promise((resolve, reject) => {
-        const request = store.get(id);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+function normalizarNombre(nombre) {
+    return normalizarTexto(nombre).trim().replace(/\s+/g, ' ');
 }
 
 /**
- * Actualiza la información de un paciente existente.
- * @param {Object} pacienteData Objeto paciente con la información actualizada (debe incluir el ID).
- * @returns {Promise<void>} Una promesa que resuelve cuando la actualización es exitosa.
+ * Devuelve una versión de la función que solo se ejecuta cuando deja de llamarse durante `espera` ms
+ * (por ejemplo, para no buscar en cada pulsación de tecla).
+ * @param {Function} funcion Función a ejecutar.
+ * @param {number} espera Milisegundos de espera.
+ * @returns {Function} Función con retardo.
  */
-async function updatePaciente(pacienteData) {
-    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME_PACIENTES);
-    return new Promise((resolve, reject) => {
-        const request = store.put(pacienteData);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-    });
+function retrasarEjecucion(funcion, espera) {
+    let temporizador = null;
+    return (...argumentos) => {
+        clearTimeout(temporizador);
+        temporizador = setTimeout(() => funcion(...argumentos), espera);
+    };
 }
 
 /**
- * Elimina un paciente de la base de datos por su ID.
- * También elimina todas las consultas asociadas a ese paciente.
- * @param {number} id ID del paciente a eliminar.
- * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ * Detecta las contraindicaciones de un paciente que afectan a las modalidades de una consulta.
+ * Las contraindicaciones marcadas en el paciente aplican la acción de la regla; las que solo se
+ * deducen de palabras clave en los antecedentes se tratan siempre como advertencia.
+ * @param {Object} paciente Paciente de la consulta.
+ * @param {Array<string>} modalidades Modalidades registradas en la consulta.
+ * @param {Object} reglas Reglas por modalidad (ver REGLAS_CONTRAINDICACION_POR_DEFECTO).
+ * @returns {Array<{modalidad: string, contraindicacion: string, accion: string, origen: string}>} Conflictos encontrados.
  */
-async function deletePaciente(id) {
-    // Eliminar consultas asociadas primero
-    const consultasToDelete = await getConsultasByPacienteId(id);
-    if (consultasToDelete.length > 0) {
-        const transactionConsultas = db.transaction([STORE_NAME_CONSULTAS], 'readwrite');
-        const storeConsultas = transactionConsultas.objectStore(STORE_NAME_CONSULTAS);
-        for (const consulta of consultasToDelete) {
-            storeConsultas.delete(consulta.id);
+function evaluarContraindicaciones(paciente, modalidades, reglas) {
+    const marcadas = paciente.contraindicaciones || [];
+    const antecedentes = normalizarTexto(paciente.antecedentes);
+    const conflictos = [];
+
+    (modalidades || []).forEach(modalidad => {
+        const regla = reglas[modalidad];
+        if (!regla) {
+            return;
         }
-        await new Promise((resolve, reject) => {
-            transactionConsultas.oncomplete = () => resolve();
-            transactionConsultas.onerror = () => reject(transactionConsultas.error);
+        regla.contraindicaciones.forEach(contraindicacion => {
+            if (marcadas.includes(contraindicacion)) {
+                conflictos.push({ modalidad, contraindicacion, accion: regla.accion, origen: 'marcada' });
+            } else if ((PALABRAS_CLAVE_CONTRAINDICACIONES[contraindicacion] || []).some(palabra => antecedentes.includes(palabra))) {
+                conflictos.push({ modalidad, contraindicacion, accion: 'advertir', origen: 'antecedentes' });
+            }
         });
+    });
+
+    return conflictos;
+}
+
+/**
+ * Genera un identificador único universal (UUID v4), estable entre equipos.
+ * @returns {string} UUID.
+ */
+function generarUUID() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
     }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
 
-    // Luego eliminar el paciente
-    const transactionPaciente = db.transaction([STORE_NAME_PACIENTES], 'readwrite');
-    const storePaciente = transactionPaciente.objectStore(STORE_NAME_PACIENTES);
-    return new Promise((resolve, reject) => {
-        const request = storePaciente.delete(id);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-    });
+/**
+ * Convierte una tabla en texto CSV (separado por comas, con comillas cuando hace falta y fin de línea CRLF).
+ * Incluye la marca BOM de UTF-8 para que Excel reconozca los acentos.
+ * @param {Array<string>} columnas Encabezados.
+ * @param {Array<Array<*>>} filas Valores de cada fila.
+ * @returns {string} Contenido CSV.
+ */
+function generarCSV(columnas, filas) {
+    const celda = (valor) => {
+        const texto = String(valor ?? '');
+        return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    return '\uFEFF' + [columnas, ...filas].map(fila => fila.map(celda).join(',')).join('\r\n');
 }
 
+/**
+ * Suma (o resta) días a una fecha.
+ * @param {string|Date} fecha Fecha de partida (YYYY-MM-DD u objeto Date).
+ * @param {number} dias Número de días a sumar (negativo para restar).
+ * @returns {Date} Nueva fecha.
+ */
+function sumarDias(fecha, dias) {
+    const d = typeof fecha === 'string' ? new Date(fecha + 'T00:00:00') : new Date(fecha);
+    d.setDate(d.getDate() + dias);
+    return d;
+}
 
 /**
- * Agrega una nueva consulta al historial de un paciente.
- * @param {Object} consultaData Datos de la consulta (pacienteId, fecha, notas).
- * @returns {Promise<number>} Una promesa que resuelve con el ID de la nueva consulta.
+ * Obtiene el lunes de la semana a la que pertenece una fecha.
+ * @param {Date} fecha Fecha de referencia.
+ * @returns {Date} Lunes de esa semana (a las 00:00).
  */
-async function addConsulta(consultaData) {
-    const transaction = db.transaction([STORE_NAME_CONSULTAS], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME_CONSULTAS);
-    return new Promise((resolve, reject) => {
-        const request = store.add(consultaData);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+function inicioSemana(fecha) {
+    const d = new Date(fecha);
+    d.setHours(0, 0, 0, 0);
+    const diaSemana = (d.getDay() + 6) % 7; // 0 = lunes, 6 = domingo
+    d.setDate(d.getDate() - diaSemana);
+    return d;
 }
 
 /**
- * Obtiene todas las consultas de un paciente específico.
- * @param {number} pacienteId ID del paciente.
- * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de consultas.
+ * Convierte una hora HH:MM a minutos desde la medianoche.
+ * @param {string} hora Hora en formato HH:MM.
+ * @returns {number} Minutos desde las 00:00.
  */
-async function getConsultasByPacienteId(pacienteId) {
-    const transaction = db.transaction([STORE_NAME_CONSULTAS], 'readonly');
-    const store = transaction.objectStore(STORE_NAME_CONSULTAS);
-    const index = store.index('pacienteId');
-    const range = IDBKeyRange.only(pacienteId);
+function horaAMinutos(hora) {
+    const [horas, minutos] = hora.split(':').map(Number);
+    return horas * 60 + minutos;
+}
 
+/**
+ * Convierte un Blob a una cadena data URL (base64), para incluirlo en JSON.
+ * @param {Blob} blob Blob a convertir.
+ * @returns {Promise<string>} Una promesa que resuelve con el data URL.
+ */
+function blobADataURL(blob) {
     return new Promise((resolve, reject) => {
-        const results = [];
-        index.openCursor(range).onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                results.push(cursor.value);
-                cursor.continue();
-            } else {
-                // Ordenar las consultas por fecha, las más recientes primero
-                results.sort((a, b) => new Date(b.fecha).getTime() - new Date(a.fecha).getTime());
-                resolve(results);
-            }
-        };
-        index.openCursor(range).onerror = (event) => reject(event.target.error);
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
     });
 }
 
-// --- Gestión de Importación/Exportación de Datos ---
+/**
+ * Convierte una cadena data URL (base64) de nuevo a un Blob.
+ * @param {string} dataURL Data URL a convertir.
+ * @returns {Blob} El Blob con el tipo MIME indicado en el data URL.
+ */
+function dataURLABlob(dataURL) {
+    const [cabecera, base64] = dataURL.split(',');
+    const tipo = cabecera.match(/data:([^;]*)/)[1];
+    const binario = atob(base64);
+    const bytes = new Uint8Array(binario.length);
+    for (let i = 0; i < binario.length; i++) {
+        bytes[i] = binario.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: tipo });
+}
 
-async function exportAllData() {
-    try {
-        const pacientes = await getAllPacientes();
-        const consultas = await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME_CONSULTAS], 'readonly');
-            const store = transaction.objectStore(STORE_NAME_CONSULTAS);
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
-
-        const data = {
-            pacientes: pacientes,
-            consultas: consultas
+/**
+ * Genera una miniatura JPEG de una imagen, conservando la proporción.
+ * @param {Blob} imagen Imagen original (p. ej. un File de un input).
+ * @param {number} [ladoMaximo=240] Tamaño máximo del lado más largo, en píxeles.
+ * @returns {Promise<Blob>} Una promesa que resuelve con la miniatura.
+ */
+function generarMiniatura(imagen, ladoMaximo = 240) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(imagen);
+        const img = new Image();
+        img.onload = () => {
+            const escala = Math.min(1, ladoMaximo / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * escala);
+            canvas.height = Math.round(img.height * escala);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('No se pudo generar la miniatura.'));
+                }
+            }, 'image/jpeg', 0.8);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('No se pudo leer la imagen.'));
         };
+        img.src = url;
+    });
+}
 
-        const jsonString = JSON.stringify(data, null, 2); // Formato legible con indentación
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+// --- Evaluación Dermatofuncional ---
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `fisio_dermatofuncional_backup_${formatDate(new Date())}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        alert('Datos exportados con éxito. Revisa tus descargas.');
-    } catch (error) {
-        console.error('Error al exportar datos:', error);
-        alert('Error al exportar los datos. Consulta la consola para más detalles.');
-    }
-}
+/**
+ * Modalidades terapéuticas que pueden aplicarse en una sesión.
+ * La clave se guarda en `consulta.evaluacion.modalidades`.
+ */
+const MODALIDADES = [
+    { valor: 'radiofrecuencia', etiqueta: 'Radiofrecuencia' },
+    { valor: 'presoterapia', etiqueta: 'Presoterapia' },
+    { valor: 'drenajeLinfatico', etiqueta: 'Drenaje linfático manual' },
+    { valor: 'cavitacion', etiqueta: 'Cavitación' },
+    { valor: 'ultrasonido', etiqueta: 'Ultrasonido terapéutico' },
+    { valor: 'electroestimulacion', etiqueta: 'Electroestimulación' },
+    { valor: 'vacumterapia', etiqueta: 'Vacumterapia' },
+    { valor: 'microneedling', etiqueta: 'Microneedling' },
+    { valor: 'masajeReductivo', etiqueta: 'Masaje reductivo' },
+    { valor: 'kinesiotaping', etiqueta: 'Kinesiotaping' }
+];
 
-async function importAllData(file) {
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-        try {
-            const data = JSON.parse(event.target.result);
-            const pacientesToImport = data.pacientes || [];
-            const consultasToImport = data.consultas || [];
+// Tipos de tratamiento que se pueden agendar: valoración inicial o cualquier modalidad
+const TIPOS_CITA = [{ valor: 'valoracion', etiqueta: 'Valoración inicial' }, ...MODALIDADES];
 
-            if (!confirm('¿Estás seguro de que quieres importar estos datos? Esto reemplazará o fusionará los datos existentes en tu base de datos actual.')) {
-                return;
+/**
+ * Esquema de la evaluación estructurada de cada consulta.
+ * Cada sección agrupa campos; si la sección tiene `grupo`, sus valores se guardan
+ * anidados bajo esa clave (p. ej. `evaluacion.medidas.cintura`).
+ */
+const EVALUACION_SCHEMA = [
+    {
+        seccion: 'Piel',
+        campos: [
+            {
+                clave: 'fototipo', etiqueta: 'Fototipo (Fitzpatrick)', tipo: 'select',
+                opciones: [
+                    { valor: 'I', etiqueta: 'I - Muy clara, siempre se quema' },
+                    { valor: 'II', etiqueta: 'II - Clara, se quema con facilidad' },
+                    { valor: 'III', etiqueta: 'III - Intermedia, a veces se quema' },
+                    { valor: 'IV', etiqueta: 'IV - Morena clara, rara vez se quema' },
+                    { valor: 'V', etiqueta: 'V - Morena, casi nunca se quema' },
+                    { valor: 'VI', etiqueta: 'VI - Negra, nunca se quema' }
+                ]
+            },
+            {
+                clave: 'celulitis', etiqueta: 'Celulitis (Nürnberger-Müller)', tipo: 'select',
+                opciones: [
+                    { valor: '0', etiqueta: 'Grado 0 - Sin alteraciones' },
+                    { valor: '1', etiqueta: 'Grado 1 - Visible solo al pellizcar' },
+                    { valor: '2', etiqueta: 'Grado 2 - Visible de pie' },
+                    { valor: '3', etiqueta: 'Grado 3 - Visible de pie y acostada' }
+                ]
             }
+        ]
+    },
+    {
+        seccion: 'Medidas corporales',
+        grupo: 'medidas',
+        campos: [
+            { clave: 'peso', etiqueta: 'Peso', tipo: 'numero', unidad: 'kg', min: 0, step: 0.1 },
+            { clave: 'cintura', etiqueta: 'Cintura', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 },
+            { clave: 'abdomen', etiqueta: 'Abdomen', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 },
+            { clave: 'cadera', etiqueta: 'Cadera', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 },
+            { clave: 'muslo', etiqueta: 'Muslo', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 },
+            { clave: 'pantorrilla', etiqueta: 'Pantorrilla', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 },
+            { clave: 'brazo', etiqueta: 'Brazo', tipo: 'numero', unidad: 'cm', min: 0, step: 0.1 }
+        ]
+    },
+    {
+        seccion: 'Cicatriz (Vancouver / POSAS)',
+        grupo: 'cicatriz',
+        campos: [
+            { clave: 'vascularidad', etiqueta: 'Vascularidad (0-3)', tipo: 'numero', min: 0, max: 3, step: 1 },
+            { clave: 'pigmentacion', etiqueta: 'Pigmentación (0-2)', tipo: 'numero', min: 0, max: 2, step: 1 },
+            { clave: 'flexibilidad', etiqueta: 'Flexibilidad (0-5)', tipo: 'numero', min: 0, max: 5, step: 1 },
+            { clave: 'altura', etiqueta: 'Altura (0-3)', tipo: 'numero', min: 0, max: 3, step: 1 },
+            { clave: 'posasObservador', etiqueta: 'POSAS observador (6-60)', tipo: 'numero', min: 6, max: 60, step: 1 },
+            { clave: 'posasPaciente', etiqueta: 'POSAS paciente (6-60)', tipo: 'numero', min: 6, max: 60, step: 1 }
+        ]
+    },
+    {
+        seccion: 'Dolor',
+        campos: [
+            { clave: 'eva', etiqueta: 'Escala EVA (0-10)', tipo: 'numero', min: 0, max: 10, step: 1 }
+        ]
+    },
+    {
+        seccion: 'Modalidades aplicadas',
+        campos: [
+            { clave: 'modalidades', etiqueta: 'Modalidades', tipo: 'checkboxes', opciones: MODALIDADES }
+        ]
+    }
+];
 
-            await clearAllStores(); // Limpiar antes de importar para evitar duplicados si la intención es reemplazar
+/** Componentes de la Escala de Vancouver (VSS) que se suman para el total sobre 13. */
+const COMPONENTES_VANCOUVER = ['vascularidad', 'pigmentacion', 'flexibilidad', 'altura'];
 
-            const transactionPacientes = db.transaction([STORE_NAME_PACIENTES], 'readwrite');
-            const storePacientes = transactionPacientes.objectStore(STORE_NAME_PACIENTES);
+/**
+ * Genera el HTML del formulario de evaluación a partir de EVALUACION_SCHEMA.
+ * @param {string} prefijo Prefijo para los IDs de los controles (debe ser único en la página).
+ * @returns {string} HTML del formulario.
+ */
+function crearFormularioEvaluacion(prefijo) {
+    return EVALUACION_SCHEMA.map(seccion => {
+        const campos = seccion.campos.map(campo => {
+            const id = `${prefijo}-${seccion.grupo ? seccion.grupo + '-' : ''}${campo.clave}`;
+            const datos = `data-clave="${campo.clave}" data-grupo="${seccion.grupo || ''}"`;
+            const unidad = campo.unidad ? ` (${campo.unidad})` : '';
 
-            for (const paciente of pacientesToImport) {
-                await new Promise((resolve, reject) => {
-                    const req = storePacientes.put(paciente); // put actualiza si el id existe, añade si no
-                    req.onsuccess = () => resolve();
-                    req.onerror = () => reject(req.error);
-                });
+            if (campo.tipo === 'select') {
+                const opciones = campo.opciones
+                    .map(opcion => `<option value="${opcion.valor}">${escaparHTML(opcion.etiqueta)}</option>`)
+                    .join('');
+                return `
+                    <div class="evaluacion-campo">
+                        <label for="${id}">${escaparHTML(campo.etiqueta)}:</label>
+                        <select id="${id}" ${datos}><option value="">-- Sin evaluar --</option>${opciones}</select>
+                    </div>`;
             }
-
-            const transactionConsultas = db.transaction([STORE_NAME_CONSULTAS], 'readwrite');
-            const storeConsultas = transactionConsultas.objectStore(STORE_NAME_CONSULTAS);
-
-            for (const consulta of consultasToImport) {
-                await new Promise((resolve, reject) => {
-                    const req = storeConsultas.put(consulta);
-                    req.onsuccess = () => resolve();
-                    req.onerror = () => reject(req.error);
-                });
+            if (campo.tipo === 'checkboxes') {
+                const casillas = campo.opciones.map(opcion => `
+                    <label class="evaluacion-casilla">
+                        <input type="checkbox" value="${opcion.valor}" ${datos}> ${escaparHTML(opcion.etiqueta)}
+                    </label>`).join('');
+                return `<div class="evaluacion-casillas">${casillas}</div>`;
             }
+            const limites = [
+                campo.min !== undefined ? `min="${campo.min}"` : '',
+                campo.max !== undefined ? `max="${campo.max}"` : '',
+                campo.step !== undefined ? `step="${campo.step}"` : ''
+            ].join(' ');
+            return `
+                <div class="evaluacion-campo">
+                    <label for="${id}">${escaparHTML(campo.etiqueta)}${unidad}:</label>
+                    <input type="number" id="${id}" ${limites} ${datos}>
+                </div>`;
+        }).join('');
 
-            alert('Datos importados con éxito. La página se recargará para aplicar los cambios.');
-            window.location.reload();
+        return `
+            <fieldset class="evaluacion-seccion">
+                <legend>${escaparHTML(seccion.seccion)}</legend>
+                <div class="evaluacion-campos">${campos}</div>
+            </fieldset>`;
+    }).join('');
+}
 
-        } catch (error) {
-            console.error('Error al importar datos:', error);
-            const importMessage = document.getElementById('importMessage');
-            importMessage.textContent = 'Error al importar datos. Asegúrate de que el archivo es un JSON válido.';
-            importMessage.style.backgroundColor = '#f8d7da';
-            importMessage.style.color = '#721c24';
-            importMessage.style.display = 'inline';
-            setTimeout(() => {
-                importMessage.style.display = 'none';
-            }, 5000);
+/**
+ * Lee los valores de un formulario de evaluación generado con crearFormularioEvaluacion.
+ * Los campos vacíos se omiten.
+ * @param {HTMLElement} contenedor Elemento que contiene el formulario.
+ * @returns {Object|null} La evaluación estructurada, o null si no se completó ningún campo.
+ */
+function leerFormularioEvaluacion(contenedor) {
+    const evaluacion = {};
+    const asignar = (grupo, clave, valor) => {
+        if (grupo) {
+            evaluacion[grupo] = evaluacion[grupo] || {};
+            evaluacion[grupo][clave] = valor;
+        } else {
+            evaluacion[clave] = valor;
         }
     };
-    reader.onerror = (error) => {
-        console.error('Error al leer el archivo:', error);
-        alert('Error al leer el archivo.');
-    };
-    reader.readAsText(file);
+
+    contenedor.querySelectorAll('select[data-clave]').forEach(select => {
+        if (select.value !== '') {
+            asignar(select.dataset.grupo, select.dataset.clave, select.value);
+        }
+    });
+    contenedor.querySelectorAll('input[type="number"][data-clave]').forEach(input => {
+        const valor = parseFloat(input.value);
+        if (!isNaN(valor)) {
+            asignar(input.dataset.grupo, input.dataset.clave, valor);
+        }
+    });
+    const modalidades = Array.from(contenedor.querySelectorAll('input[type="checkbox"][data-clave="modalidades"]:checked'))
+        .map(casilla => casilla.value);
+    if (modalidades.length > 0) {
+        evaluacion.modalidades = modalidades;
+    }
+
+    return Object.keys(evaluacion).length > 0 ? evaluacion : null;
 }
 
-// Función auxiliar para limpiar todos los object stores antes de importar
-async function clearAllStores() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME_PACIENTES, STORE_NAME_CONSULTAS], 'readwrite');
-        const storePacientes = transaction.objectStore(STORE_NAME_PACIENTES);
-        const storeConsultas = transaction.objectStore(STORE_NAME_CONSULTAS);
+/**
+ * Rellena un formulario de evaluación con los valores de una evaluación guardada.
+ * Sin evaluación, deja el formulario en blanco.
+ * @param {HTMLElement} contenedor Elemento que contiene el formulario.
+ * @param {Object|null} evaluacion Evaluación guardada en la consulta.
+ */
+function rellenarFormularioEvaluacion(contenedor, evaluacion) {
+    const datos = evaluacion || {};
+    const obtener = (grupo, clave) => (grupo ? (datos[grupo] || {})[clave] : datos[clave]);
 
-        const req1 = storePacientes.clear();
-        const req2 = storeConsultas.clear();
+    contenedor.querySelectorAll('select[data-clave], input[type="number"][data-clave]').forEach(control => {
+        const valor = obtener(control.dataset.grupo, control.dataset.clave);
+        control.value = valor !== undefined && valor !== null ? valor : '';
+    });
+    contenedor.querySelectorAll('input[type="checkbox"][data-clave="modalidades"]').forEach(casilla => {
+        casilla.checked = (datos.modalidades || []).includes(casilla.value);
+    });
+}
 
-        let count = 0;
-        const checkCompletion = () => {
-            count++;
-            if (count === 2) {
-                resolve();
+/**
+ * Genera un resumen legible (HTML) de la evaluación de una consulta.
+ * @param {Object|null} evaluacion Evaluación guardada en la consulta.
+ * @returns {string} HTML del resumen, o cadena vacía si no hay evaluación.
+ */
+function formatearEvaluacion(evaluacion) {
+    if (!evaluacion) {
+        return '';
+    }
+
+    const lineas = [];
+    EVALUACION_SCHEMA.forEach(seccion => {
+        const datos = seccion.grupo ? evaluacion[seccion.grupo] : evaluacion;
+        if (!datos) {
+            return;
+        }
+        const valores = [];
+        seccion.campos.forEach(campo => {
+            const valor = datos[campo.clave];
+            if (valor === undefined || valor === null || (Array.isArray(valor) && valor.length === 0)) {
+                return;
             }
-        };
+            if (campo.tipo === 'select') {
+                const opcion = campo.opciones.find(o => o.valor === String(valor));
+                valores.push(`${campo.etiqueta}: ${opcion ? opcion.etiqueta : valor}`);
+            } else if (campo.tipo === 'checkboxes') {
+                valores.push(valor.map(v => (campo.opciones.find(o => o.valor === v) || { etiqueta: v }).etiqueta).join(', '));
+            } else {
+                valores.push(`${campo.etiqueta}: ${valor}${campo.unidad ? ' ' + campo.unidad : ''}`);
+            }
+        });
 
-        req1.onsuccess = checkCompletion;
-        req2.onsuccess = checkCompletion;
+        if (seccion.grupo === 'cicatriz' && COMPONENTES_VANCOUVER.some(clave => typeof datos[clave] === 'number')) {
+            const totalVancouver = COMPONENTES_VANCOUVER.reduce((suma, clave) => suma + (datos[clave] || 0), 0);
+            valores.push(`Total Vancouver: ${totalVancouver}/13`);
+        }
 
-        req1.onerror = (e) => reject(e.target.error);
-        req2.onerror = (e) => reject(e.target.error);
+        if (valores.length > 0) {
+            lineas.push(`<li><strong>${escaparHTML(seccion.seccion)}:</strong> ${escaparHTML(valores.join(' · '))}</li>`);
+        }
     });
-}
 
+    return lineas.length > 0 ? `<ul class="evaluacion-resumen">${lineas.join('')}</ul>` : '';
+}
 
-// --- Event Listeners y Lógica de Interfaz ---
+// --- Planes de Tratamiento ---
+
+/**
+ * Calcula el avance de un plan de tratamiento a partir de las consultas del paciente.
+ * Un intervalo se considera atrasado cuando supera la frecuencia prevista del plan.
+ * @param {Object} plan Plan de tratamiento.
+ * @param {Array<Object>} consultas Consultas del paciente (en cualquier orden).
+ * @returns {{realizadas: number, numeroSesion: Map<number, number>, ultimaFecha: string|null,
+ *     intervalosAtrasados: Array<{desde: string, hasta: string, dias: number}>, diasSinSesion: number, atrasado: boolean}}
+ */
+function calcularProgresoPlan(plan, consultas) {
+    const sesiones = consultas
+        .filter(consulta => consulta.planId === plan.id)
+        .sort((a, b) => a.fecha.localeCompare(b.fecha) || a.id - b.id);
+    const diasEntre = (desde, hasta) => Math.round((new Date(hasta + 'T00:00:00') - new Date(desde + 'T00:00:00')) / 86400000);
+
+    const numeroSesion = new Map(sesiones.map((consulta, i) => [consulta.id, i + 1]));
+    const intervalosAtrasados = [];
+    for (let i = 1; i < sesiones.length; i++) {
+        const dias = diasEntre(sesiones[i - 1].fecha, sesiones[i].fecha);
+        if (dias > plan.frecuenciaDias) {
+            intervalosAtrasados.push({ desde: sesiones[i - 1].fecha, hasta: sesiones[i].fecha, dias });
+        }
+    }
+
+    const ultimaFecha = sesiones.length > 0 ? sesiones[sesiones.length - 1].fecha : null;
+    const diasSinSesion = diasEntre(ultimaFecha || plan.fechaInicio, formatDate(new Date()));
+
+    return {
+        realizadas: sesiones.length,
+        numeroSesion,
+        ultimaFecha,
+        intervalosAtrasados,
+        diasSinSesion,
+        atrasado: plan.estado === 'activo' && diasSinSesion > plan.frecuenciaDias
+    };
+}
+
+// --- Gráficos de Progreso ---
+
+/**
+ * Dibuja un gráfico de línea en SVG con la evolución de una medida en el tiempo.
+ * El eje X es proporcional a la fecha y el eje Y se ajusta al rango de valores.
+ * @param {Array<{fecha: string, valor: number}>} puntos Puntos ordenados por fecha ascendente.
+ * @param {string} unidad Unidad de la medida (p. ej. "cm").
+ * @returns {string} Marcado SVG del gráfico.
+ */
+function crearGraficoSVG(puntos, unidad) {
+    const ancho = 320;
+    const alto = 160;
+    const margen = { izquierda: 45, derecha: 15, arriba: 15, abajo: 30 };
+    const anchoUtil = ancho - margen.izquierda - margen.derecha;
+    const altoUtil = alto - margen.arriba - margen.abajo;
+
+    const tiempos = puntos.map(p => new Date(p.fecha + 'T00:00:00').getTime());
+    const tiempoMin = Math.min(...tiempos);
+    const tiempoMax = Math.max(...tiempos);
+    let valorMin = Math.min(...puntos.map(p => p.valor));
+    let valorMax = Math.max(...puntos.map(p => p.valor));
+    if (valorMin === valorMax) {
+        valorMin -= 1;
+        valorMax += 1;
+    }
+
+    const escalaX = (tiempo, indice) => {
+        const proporcion = tiempoMax === tiempoMin
+            ? (puntos.length > 1 ? indice / (puntos.length - 1) : 0.5)
+            : (tiempo - tiempoMin) / (tiempoMax - tiempoMin);
+        return margen.izquierda + proporcion * anchoUtil;
+    };
+    const escalaY = valor => margen.arriba + (1 - (valor - valorMin) / (valorMax - valorMin)) * altoUtil;
+
+    const coordenadas = puntos.map((p, i) => ({ x: escalaX(tiempos[i], i), y: escalaY(p.valor), punto: p }));
+    const linea = coordenadas.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+    const circulos = coordenadas.map(c => `
+        <circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="4" class="grafico-punto">
+            <title>${c.punto.fecha}: ${c.punto.valor} ${unidad}</title>
+        </circle>`).join('');
+
+    const ejeY = margen.izquierda;
+    const ejeX = alto - margen.abajo;
+    return `
+        <svg viewBox="0 0 ${ancho} ${alto}" class="grafico-progreso" role="img">
+            <line x1="${ejeY}" y1="${margen.arriba}" x2="${ejeY}" y2="${ejeX}" class="grafico-eje" />
+            <line x1="${ejeY}" y1="${ejeX}" x2="${ancho - margen.derecha}" y2="${ejeX}" class="grafico-eje" />
+            <text x="${ejeY - 5}" y="${margen.arriba + 4}" text-anchor="end" class="grafico-texto">${+valorMax.toFixed(1)}</text>
+            <text x="${ejeY - 5}" y="${ejeX}" text-anchor="end" class="grafico-texto">${+valorMin.toFixed(1)}</text>
+            <text x="${margen.izquierda}" y="${alto - 8}" text-anchor="start" class="grafico-texto">${puntos[0].fecha}</text>
+            <text x="${ancho - margen.derecha}" y="${alto - 8}" text-anchor="end" class="grafico-texto">${puntos[puntos.length - 1].fecha}</text>
+            <polyline points="${linea}" class="grafico-linea" />
+            ${circulos}
+        </svg>`;
+}
+
+/**
+ * Agrupa las medidas corporales de las consultas en series por medida.
+ * @param {Array<Object>} consultas Consultas del paciente (en cualquier orden).
+ * @returns {Array<{campo: Object, puntos: Array<{fecha: string, valor: number}>}>} Series con al menos un punto.
+ */
+function obtenerSeriesMedidas(consultas) {
+    const seccionMedidas = EVALUACION_SCHEMA.find(seccion => seccion.grupo === 'medidas');
+    const ordenadas = [...consultas].sort((a, b) => new Date(a.fecha).getTime() - new Date(b.fecha).getTime());
+
+    return seccionMedidas.campos
+        .map(campo => ({
+            campo,
+            puntos: ordenadas
+                .filter(c => c.evaluacion && c.evaluacion.medidas && typeof c.evaluacion.medidas[campo.clave] === 'number')
+                .map(c => ({ fecha: c.fecha, valor: c.evaluacion.medidas[campo.clave] }))
+        }))
+        .filter(serie => serie.puntos.length > 0);
+}
+
+// --- Documentos Imprimibles ---
+
+/**
+ * Obtiene el encabezado de la clínica (logo y nombre de la fisioterapeuta) tal como aparece en la página.
+ * @returns {{logo: string, terapeuta: string}} URL del logo y nombre de la fisioterapeuta.
+ */
+function obtenerEncabezadoClinica() {
+    const logo = document.querySelector('.logo');
+    const terapeuta = document.getElementById('nombreTerapeuta');
+    return {
+        logo: logo ? logo.src : '',
+        terapeuta: terapeuta ? terapeuta.textContent.trim() : ''
+    };
+}
+
+/**
+ * Genera el HTML imprimible del expediente de un paciente.
+ * @param {Object} paciente Paciente.
+ * @param {Array<Object>} consultas Consultas a incluir (se muestran de la más antigua a la más reciente).
+ * @param {Object} opciones Opciones del documento.
+ * @param {string} opciones.titulo Título del documento.
+ * @param {string} [opciones.desde] Fecha inicial del filtro aplicado (YYYY-MM-DD).
+ * @param {string} [opciones.hasta] Fecha final del filtro aplicado (YYYY-MM-DD).
+ * @returns {string} HTML del documento.
+ */
+function generarDocumentoExpediente(paciente, consultas, opciones) {
+    const { logo, terapeuta } = obtenerEncabezadoClinica();
+    const rango = opciones.desde || opciones.hasta
+        ? `Consultas del ${opciones.desde || 'inicio'} al ${opciones.hasta || formatDate(new Date())}`
+        : 'Todas las consultas';
+    const filaDato = (etiqueta, valor) => (valor ? `<tr><th>${etiqueta}</th><td>${escaparHTML(valor)}</td></tr>` : '');
+    const seccionTexto = (titulo, texto) => `
+        <h3>${titulo}</h3>
+        <p class="impresion-texto">${escaparHTML(texto || 'Sin información registrada.')}</p>`;
+
+    const ordenadas = [...consultas].sort((a, b) => a.fecha.localeCompare(b.fecha));
+    const historial = ordenadas.length > 0
+        ? ordenadas.map(consulta => `
+            <div class="impresion-consulta">
+                <h4>Consulta del ${consulta.fecha}</h4>
+                ${consulta.notas ? `<p class="impresion-texto">${escaparHTML(consulta.notas)}</p>` : ''}
+                ${formatearEvaluacion(consulta.evaluacion)}
+            </div>`).join('')
+        : '<p>No hay consultas en el periodo seleccionado.</p>';
+
+    return `
+        <header class="impresion-encabezado">
+            ${logo ? `<img src="${logo}" alt="Logo Consultorio Fisioterapia" class="impresion-logo">` : ''}
+            <p class="impresion-terapeuta">${escaparHTML(terapeuta)}</p>
+        </header>
+        <h2>${escaparHTML(opciones.titulo)}</h2>
+        <table class="impresion-datos">
+            <tr><th>Nombre</th><td>${escaparHTML(paciente.nombre)}</td></tr>
+            <tr><th>Fecha de Nacimiento</th><td>${paciente.fechaNacimiento}</td></tr>
+            <tr><th>Edad</th><td>${calcularEdad(paciente.fechaNacimiento)} años</td></tr>
+            ${filaDato('Sexo', paciente.sexo)}
+            ${filaDato('Ocupación', paciente.ocupacion)}
+            ${filaDato('Teléfono', paciente.telefono)}
+            ${filaDato('Correo Electrónico', paciente.email)}
+            ${filaDato('Contacto de Emergencia', paciente.contactoEmergencia)}
+            ${filaDato('Médico Referente', paciente.medicoReferente)}
+        </table>
+        ${seccionTexto('Motivo de Consulta', paciente.motivoConsulta)}
+        ${seccionTexto('Diagnóstico Fisioterapéutico', paciente.diagnosticoFisio)}
+        ${seccionTexto('Tratamiento Fisioterapéutico', paciente.tratamientoFisio)}
+        ${seccionTexto('Antecedentes Médicos Relevantes', paciente.antecedentes)}
+        ${seccionTexto('Alergias', paciente.alergias)}
+        ${seccionTexto('Medicamentos', paciente.medicamentos)}
+        ${seccionTexto('Contraindicaciones', etiquetasContraindicaciones(paciente.contraindicaciones).join(', '))}
+        <h3>Historial de Consultas</h3>
+        <p class="impresion-rango">${rango}</p>
+        ${historial}
+        <footer class="impresion-pie">
+            <div class="impresion-firma">${escaparHTML(terapeuta)}</div>
+            <p>Documento generado el ${formatDateTime(new Date().toISOString())}</p>
+        </footer>`;
+}
+
+/**
+ * Genera el HTML imprimible del recibo de un pago.
+ * @param {Object} paciente Paciente que realiza el pago.
+ * @param {Object} pago Pago (con numeroRecibo).
+ * @param {number} saldoPendiente Saldo que queda pendiente después de este pago (negativo si queda a favor del paciente).
+ * @returns {string} HTML del documento.
+ */
+function generarDocumentoRecibo(paciente, pago, saldoPendiente) {
+    const { logo, terapeuta } = obtenerEncabezadoClinica();
+    return `
+        <header class="impresion-encabezado">
+            ${logo ? `<img src="${logo}" alt="Logo Consultorio Fisioterapia" class="impresion-logo">` : ''}
+            <p class="impresion-terapeuta">${escaparHTML(terapeuta)}</p>
+        </header>
+        <h2>Recibo de Pago n.º ${pago.numeroRecibo}</h2>
+        <table class="impresion-datos">
+            <tr><th>Fecha</th><td>${pago.fecha}</td></tr>
+            <tr><th>Recibí de</th><td>${escaparHTML(paciente.nombre)}</td></tr>
+            <tr><th>La cantidad de</th><td><strong>${formatearImporte(pago.importe)}</strong></td></tr>
+            <tr><th>Concepto</th><td>${escaparHTML(pago.concepto || 'Servicios de fisioterapia')}</td></tr>
+            <tr><th>Forma de pago</th><td>${escaparHTML(etiquetaMetodoPago(pago.metodo))}</td></tr>
+            ${saldoPendiente < 0
+                ? `<tr><th>Saldo a favor</th><td>${formatearImporte(-saldoPendiente)}</td></tr>`
+                : `<tr><th>Saldo pendiente</th><td>${formatearImporte(saldoPendiente)}</td></tr>`}
+        </table>
+        <footer class="impresion-pie">
+            <div class="impresion-firma">${escaparHTML(terapeuta)}</div>
+            <p>Documento generado el ${formatDateTime(new Date().toISOString())}</p>
+        </footer>`;
+}
+
+// --- Cifrado ---
+
+// Iteraciones de PBKDF2 al derivar una clave AES-GCM de una contraseña
+const ITERACIONES_PBKDF2 = 310000;
+
+// Campos sensibles que se cifran en reposo. El nombre y la fecha de nacimiento quedan en claro
+// para poder buscar pacientes sin descifrar toda la base de datos.
+const CAMPOS_CIFRADOS = {
+    [STORE_NAME_PACIENTES]: [...CAMPOS_PACIENTE, 'contraindicaciones'],
+    [STORE_NAME_CONSULTAS]: ['notas', 'evaluacion'],
+    [STORE_NAME_HISTORIAL]: ['cambios'],
+    [STORE_NAME_CONSENTIMIENTOS]: ['texto', 'firma']
+};
+
+// Texto conocido que se cifra al activar el cifrado en reposo para comprobar la contraseña al desbloquear
+const VERIFICADOR_CIFRADO = 'fisio-dermatofuncional';
+
+let claveDatos = null; // Clave AES de los datos cifrados en reposo; solo existe en memoria mientras están desbloqueados
+
+function bytesABase64(bytes) {
+    let binario = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binario += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binario);
+}
+
+function base64ABytes(base64) {
+    return Uint8Array.from(atob(base64), caracter => caracter.charCodeAt(0));
+}
+
+/**
+ * Deriva una clave AES-GCM de 256 bits a partir de una contraseña con PBKDF2 (SHA-256).
+ * @param {string} contrasena Contraseña del usuario.
+ * @param {Uint8Array} sal Sal aleatoria.
+ * @param {number} iteraciones Iteraciones de PBKDF2.
+ * @returns {Promise<CryptoKey>} Clave derivada.
+ */
+async function derivarClave(contrasena, sal, iteraciones) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(contrasena), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: sal, iterations: iteraciones, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Cifra un texto con AES-GCM y un IV aleatorio.
+ * @param {CryptoKey} clave Clave AES-GCM.
+ * @param {string} texto Texto en claro.
+ * @returns {Promise<{iv: string, datos: string}>} IV y texto cifrado en base64.
+ */
+async function cifrarTexto(clave, texto) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cifrado = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, clave, new TextEncoder().encode(texto));
+    return { iv: bytesABase64(iv), datos: bytesABase64(new Uint8Array(cifrado)) };
+}
+
+/**
+ * Descifra un texto cifrado con cifrarTexto.
+ * @param {CryptoKey} clave Clave AES-GCM.
+ * @param {{iv: string, datos: string}} sobre IV y texto cifrado en base64.
+ * @returns {Promise<string>} Texto en claro.
+ * @throws {Error} Si la clave no es correcta o los datos se han modificado.
+ */
+async function descifrarTexto(clave, sobre) {
+    try {
+        const descifrado = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ABytes(sobre.iv) }, clave, base64ABytes(sobre.datos));
+        return new TextDecoder().decode(descifrado);
+    } catch (error) {
+        throw new Error('La contraseña no es correcta o los datos cifrados están dañados.');
+    }
+}
+
+/**
+ * Cifra un texto con una contraseña. El resultado incluye los parámetros necesarios para descifrarlo.
+ * @param {string} texto Texto en claro.
+ * @param {string} contrasena Contraseña.
+ * @returns {Promise<Object>} Parámetros de PBKDF2 y AES-GCM junto con el texto cifrado.
+ */
+async function cifrarConContrasena(texto, contrasena) {
+    const sal = crypto.getRandomValues(new Uint8Array(16));
+    const clave = await derivarClave(contrasena, sal, ITERACIONES_PBKDF2);
+    return {
+        kdf: 'PBKDF2',
+        hash: 'SHA-256',
+        iteraciones: ITERACIONES_PBKDF2,
+        sal: bytesABase64(sal),
+        algoritmo: 'AES-GCM',
+        ...await cifrarTexto(clave, texto)
+    };
+}
+
+/**
+ * Descifra un texto cifrado con cifrarConContrasena, derivando la clave con los parámetros guardados en el sobre.
+ * @param {Object} sobre Parámetros de PBKDF2 y AES-GCM junto con el texto cifrado.
+ * @param {string} contrasena Contraseña.
+ * @returns {Promise<string>} Texto en claro.
+ * @throws {Error} Si la contraseña no es correcta o los datos se han modificado.
+ */
+async function descifrarConContrasena(sobre, contrasena) {
+    const clave = await derivarClave(contrasena, base64ABytes(sobre.sal), sobre.iteraciones);
+    return descifrarTexto(clave, sobre);
+}
+
+/**
+ * Cifra los campos sensibles de un registro si el cifrado en reposo está activo.
+ * Los campos se guardan juntos en `cifrado`; el resto del registro (IDs, claves foráneas, fechas) queda en claro.
+ * @param {string} storeName Store del registro.
+ * @param {Object} registro Registro en claro.
+ * @returns {Promise<Object>} Registro listo para guardar.
+ */
+async function cifrarRegistro(storeName, registro) {
+    const campos = CAMPOS_CIFRADOS[storeName];
+    if (!claveDatos || !campos) {
+        return registro;
+    }
+    const enClaro = { ...registro };
+    const sensibles = {};
+    campos.forEach(campo => {
+        if (campo in enClaro) {
+            sensibles[campo] = enClaro[campo];
+            delete enClaro[campo];
+        }
+    });
+    return { ...enClaro, cifrado: await cifrarTexto(claveDatos, JSON.stringify(sensibles)) };
+}
+
+/**
+ * Descifra los campos sensibles de un registro guardado con cifrarRegistro.
+ * @param {string} storeName Store del registro.
+ * @param {Object|undefined} registro Registro tal como está guardado.
+ * @returns {Promise<Object|undefined>} Registro en claro.
+ * @throws {Error} Si el registro está cifrado y los datos siguen bloqueados.
+ */
+async function descifrarRegistro(storeName, registro) {
+    if (!registro || !registro.cifrado) {
+        return registro;
+    }
+    if (!claveDatos) {
+        throw new Error('Los datos están cifrados. Desbloquéalos con la contraseña antes de continuar.');
+    }
+    const { cifrado, ...enClaro } = registro;
+    return { ...enClaro, ...JSON.parse(await descifrarTexto(claveDatos, cifrado)) };
+}
+
+/**
+ * Descifra varios registros de un mismo store con descifrarRegistro.
+ * @param {string} storeName Store de los registros.
+ * @param {Array<Object>} registros Registros tal como están guardados.
+ * @returns {Promise<Array<Object>>} Registros en claro, en el mismo orden.
+ */
+function descifrarRegistros(storeName, registros) {
+    return Promise.all(registros.map(registro => descifrarRegistro(storeName, registro)));
+}
+
+// --- Gestión de IndexedDB ---
+
+/**
+ * Abre la base de datos IndexedDB.
+ * Si no existe, la crea y configura los object stores.
+ * @returns {Promise<IDBDatabase>} Una promesa que resuelve con la instancia de la base de datos.
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            db = event.target.result;
+            // Crear o actualizar el object store para pacientes
+            if (!db.objectStoreNames.contains(STORE_NAME_PACIENTES)) {
+                const pacienteStore = db.createObjectStore(STORE_NAME_PACIENTES, { keyPath: 'id', autoIncrement: true });
+                pacienteStore.createIndex('nombre', 'nombre', { unique: false });
+            }
+            // Crear o actualizar el object store para consultas
+            if (!db.objectStoreNames.contains(STORE_NAME_CONSULTAS)) {
+                const consultaStore = db.createObjectStore(STORE_NAME_CONSULTAS, { keyPath: 'id', autoIncrement: true });
+                consultaStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                consultaStore.createIndex('fecha', 'fecha', { unique: false });
+            }
+            // Versión 2: object store para las fotos clínicas (antes/después)
+            if (!db.objectStoreNames.contains(STORE_NAME_FOTOS)) {
+                const fotoStore = db.createObjectStore(STORE_NAME_FOTOS, { keyPath: 'id', autoIncrement: true });
+                fotoStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                fotoStore.createIndex('consultaId', 'consultaId', { unique: false });
+            }
+            // Versión 3: object store para la agenda de citas
+            if (!db.objectStoreNames.contains(STORE_NAME_CITAS)) {
+                const citaStore = db.createObjectStore(STORE_NAME_CITAS, { keyPath: 'id', autoIncrement: true });
+                citaStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                citaStore.createIndex('fecha', 'fecha', { unique: false });
+                citaStore.createIndex('consultaId', 'consultaId', { unique: false });
+            }
+            // Versión 4: planes de tratamiento y vínculo de cada consulta con su plan
+            if (!db.objectStoreNames.contains(STORE_NAME_PLANES)) {
+                const planStore = db.createObjectStore(STORE_NAME_PLANES, { keyPath: 'id', autoIncrement: true });
+                planStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+            }
+            const consultasStore = event.target.transaction.objectStore(STORE_NAME_CONSULTAS);
+            if (!consultasStore.indexNames.contains('planId')) {
+                consultasStore.createIndex('planId', 'planId', { unique: false });
+            }
+            // Versión 6: object store de configuración (reglas de contraindicación, etc.)
+            if (!db.objectStoreNames.contains(STORE_NAME_AJUSTES)) {
+                db.createObjectStore(STORE_NAME_AJUSTES, { keyPath: 'clave' });
+            }
+            // Versión 8: copias de seguridad automáticas
+            if (!db.objectStoreNames.contains(STORE_NAME_COPIAS)) {
+                const copiaStore = db.createObjectStore(STORE_NAME_COPIAS, { keyPath: 'id', autoIncrement: true });
+                copiaStore.createIndex('fecha', 'fecha', { unique: false });
+            }
+            // Versión 10: historial de cambios de pacientes y consultas
+            if (!db.objectStoreNames.contains(STORE_NAME_HISTORIAL)) {
+                const historialStore = db.createObjectStore(STORE_NAME_HISTORIAL, { keyPath: 'id', autoIncrement: true });
+                historialStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                historialStore.createIndex('registro', ['store', 'registroId'], { unique: false });
+            }
+            // Versión 11: consentimientos informados firmados
+            if (!db.objectStoreNames.contains(STORE_NAME_CONSENTIMIENTOS)) {
+                const consentimientoStore = db.createObjectStore(STORE_NAME_CONSENTIMIENTOS, { keyPath: 'id', autoIncrement: true });
+                consentimientoStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+            }
+            // Versión 12: plantillas y frases rápidas de las notas
+            if (!db.objectStoreNames.contains(STORE_NAME_PLANTILLAS_NOTAS)) {
+                db.createObjectStore(STORE_NAME_PLANTILLAS_NOTAS, { keyPath: 'id', autoIncrement: true });
+            }
+            // Versión 13: catálogo de servicios, cargos y pagos
+            if (!db.objectStoreNames.contains(STORE_NAME_SERVICIOS)) {
+                db.createObjectStore(STORE_NAME_SERVICIOS, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(STORE_NAME_CARGOS)) {
+                const cargoStore = db.createObjectStore(STORE_NAME_CARGOS, { keyPath: 'id', autoIncrement: true });
+                cargoStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                cargoStore.createIndex('consultaId', 'consultaId', { unique: false });
+                cargoStore.createIndex('fecha', 'fecha', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(STORE_NAME_PAGOS)) {
+                const pagoStore = db.createObjectStore(STORE_NAME_PAGOS, { keyPath: 'id', autoIncrement: true });
+                pagoStore.createIndex('pacienteId', 'pacienteId', { unique: false });
+                pagoStore.createIndex('fecha', 'fecha', { unique: false });
+                pagoStore.createIndex('numeroRecibo', 'numeroRecibo', { unique: false });
+            }
+            // Versión 14: el contenido de las copias automáticas se guarda aparte, para listarlas sin leerlo
+            if (!db.objectStoreNames.contains(STORE_NAME_CONTENIDO_COPIAS)) {
+                const contenidoStore = db.createObjectStore(STORE_NAME_CONTENIDO_COPIAS, { keyPath: 'id' });
+                if (event.oldVersion >= 8) {
+                    event.target.transaction.objectStore(STORE_NAME_COPIAS).openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (cursor) {
+                            const { contenido, ...metadatos } = cursor.value;
+                            contenidoStore.put({ id: metadatos.id, contenido });
+                            cursor.update(metadatos);
+                            cursor.continue();
+                        }
+                    };
+                }
+            }
+            // Versión 9: índice por nombre normalizado (sin acentos ni mayúsculas) para listar y buscar pacientes
+            const pacientesStore = event.target.transaction.objectStore(STORE_NAME_PACIENTES);
+            if (!pacientesStore.indexNames.contains('nombreNormalizado')) {
+                pacientesStore.createIndex('nombreNormalizado', 'nombreNormalizado', { unique: false });
+            }
+            // Migración de los pacientes existentes en un único recorrido, para que las actualizaciones no se pisen:
+            // versión 5 (nuevos campos demográficos y clínicos), 7 (uuid) y 9 (nombre normalizado)
+            if (event.oldVersion > 0 && event.oldVersion < 9) {
+                pacientesStore.openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (cursor) {
+                        const paciente = event.oldVersion < 5 ? normalizarPaciente(cursor.value) : cursor.value;
+                        cursor.update({
+                            ...paciente,
+                            uuid: paciente.uuid || generarUUID(),
+                            nombreNormalizado: normalizarNombre(paciente.nombre)
+                        });
+                        cursor.continue();
+                    }
+                };
+            }
+            // Versión 7: identificador estable (uuid) en los demás registros de datos, para fusionar copias
+            if (event.oldVersion < 7) {
+                for (const storeName of STORES_RESPALDO.filter(storeName => storeName !== STORE_NAME_PACIENTES)) {
+                    event.target.transaction.objectStore(storeName).openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (cursor) {
+                            if (!cursor.value.uuid) {
+                                cursor.update({ ...cursor.value, uuid: generarUUID() });
+                            }
+                            cursor.continue();
+                        }
+                    };
+                }
+            }
+        };
+
+        request.onsuccess = (event) => {
+            db = event.target.result;
+            console.log('Base de datos abierta con éxito');
+            resolve(db);
+        };
+
+        request.onerror = (event) => {
+            console.error('Error al abrir la base de datos:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+/**
+ * Agrega un nuevo paciente a la base de datos.
+ * @param {Object} pacienteData Datos del paciente.
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del nuevo paciente.
+ */
+async function addPaciente(pacienteData) {
+    pacienteData.uuid = pacienteData.uuid || generarUUID();
+    pacienteData.nombreNormalizado = normalizarNombre(pacienteData.nombre);
+    return guardarConHistorial(STORE_NAME_PACIENTES, pacienteData, 'crear', null);
+}
+
+/**
+ * Obtiene todos los pacientes de la base de datos.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de pacientes.
+ */
+async function getAllPacientes() {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PACIENTES);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(descifrarRegistros(STORE_NAME_PACIENTES, request.result.filter(paciente => !paciente.eliminadoEn)));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene un paciente por su ID.
+ * @param {number} id ID del paciente.
+ * @returns {Promise<Object>} Una promesa que resuelve con el objeto paciente.
+ */
+async function getPacienteById(id) {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PACIENTES);
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(descifrarRegistro(STORE_NAME_PACIENTES, request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene una página de pacientes ordenados por nombre, recorriendo el índice `nombreNormalizado`
+ * con un cursor a partir del último paciente de la página anterior (paginación por clave).
+ * @param {{clave: string, id: number}|null} despuesDe Posición del último paciente ya mostrado, o null para empezar.
+ * @param {number} tamano Número de pacientes por página.
+ * @returns {Promise<{pacientes: Array<Object>, siguiente: {clave: string, id: number}|null}>} Pacientes de la página
+ * y posición para pedir la siguiente (null si no hay más).
+ */
+async function getPaginaPacientes(despuesDe, tamano) {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_PACIENTES).index('nombreNormalizado');
+    const rango = despuesDe ? IDBKeyRange.lowerBound(despuesDe.clave) : null;
+
+    const { pacientes, siguiente } = await new Promise((resolve, reject) => {
+        const pagina = [];
+        const request = index.openCursor(rango);
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve({ pacientes: pagina, siguiente: null });
+                return;
+            }
+            // Saltar los pacientes con el mismo nombre que ya aparecieron en la página anterior
+            if (despuesDe && cursor.key === despuesDe.clave && cursor.primaryKey <= despuesDe.id) {
+                cursor.continue();
+                return;
+            }
+            if (pagina.length === tamano) {
+                const ultimo = pagina[pagina.length - 1];
+                resolve({ pacientes: pagina, siguiente: { clave: ultimo.nombreNormalizado, id: ultimo.id } });
+                return;
+            }
+            pagina.push(cursor.value);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    return { pacientes: await descifrarRegistros(STORE_NAME_PACIENTES, pacientes), siguiente };
+}
+
+/**
+ * Cuenta los pacientes registrados.
+ * @returns {Promise<number>} Número de pacientes.
+ */
+async function contarPacientes() {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_PACIENTES).index('nombreNormalizado'); // Sin los de la papelera
+    return new Promise((resolve, reject) => {
+        const request = index.count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene el ID y el nombre de todos los pacientes, ordenados por nombre, sin leer ni descifrar el resto de datos.
+ * @returns {Promise<Array<{id: number, nombre: string}>>} Una promesa que resuelve con la lista de nombres.
+ */
+async function getNombresPacientes() {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_PACIENTES).index('nombreNormalizado');
+    return new Promise((resolve, reject) => {
+        const nombres = [];
+        const request = index.openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                nombres.push({ id: cursor.value.id, nombre: cursor.value.nombre });
+                cursor.continue();
+            } else {
+                resolve(nombres);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Calcula, para un grupo de pacientes, la fecha de su última consulta y cuántos planes de tratamiento
+ * tienen activos, usando los índices por paciente (sin descifrar las consultas).
+ * @param {Array<number>} pacienteIds IDs de los pacientes.
+ * @returns {Promise<Map<number, {ultimaVisita: string|null, planesActivos: number}>>} Resumen por paciente.
+ */
+async function getResumenPacientes(pacienteIds) {
+    const transaction = db.transaction([STORE_NAME_CONSULTAS, STORE_NAME_PLANES], 'readonly');
+    const consultasIndex = transaction.objectStore(STORE_NAME_CONSULTAS).index('pacienteId');
+    const planesIndex = transaction.objectStore(STORE_NAME_PLANES).index('pacienteId');
+    const leer = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const resumen = new Map();
+    await Promise.all(pacienteIds.map(async (id) => {
+        const [consultas, planes] = await Promise.all([
+            leer(consultasIndex.getAll(IDBKeyRange.only(id))),
+            leer(planesIndex.getAll(IDBKeyRange.only(id)))
+        ]);
+        resumen.set(id, {
+            ultimaVisita: consultas.reduce((max, c) => (!max || c.fecha > max ? c.fecha : max), null),
+            planesActivos: planes.filter(plan => plan.estado === 'activo').length
+        });
+    }));
+    return resumen;
+}
+
+/**
+ * Actualiza la información de un paciente existente.
+ * @param {Object} pacienteData Objeto paciente con la información actualizada (debe incluir el ID).
+ * @returns {Promise<void>} Una promesa que resuelve cuando la actualización es exitosa.
+ */
+async function updatePaciente(pacienteData) {
+    pacienteData.nombreNormalizado = normalizarNombre(pacienteData.nombre);
+    const anterior = await getPacienteById(pacienteData.id);
+    await guardarConHistorial(STORE_NAME_PACIENTES, pacienteData, 'modificar', anterior);
+}
+
+/**
+ * Envía un paciente a la papelera junto con sus consultas, fotos, citas y planes, en una única transacción.
+ * Los registros se marcan con la misma fecha `eliminadoEn` (así se restauran juntos) y el paciente pierde
+ * su clave del índice `nombreNormalizado`, por lo que deja de aparecer en la lista y en las búsquedas.
+ * Se borran definitivamente con purgarPaciente o al vencer el plazo de la papelera.
+ * @param {number} id ID del paciente a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deletePaciente(id) {
+    const paciente = await getPacienteById(id);
+    if (!paciente || paciente.eliminadoEn) {
+        return;
+    }
+    await cambiarEstadoPapelera(paciente, new Date().toISOString());
+}
+
+
+/**
+ * Agrega una nueva consulta al historial de un paciente.
+ * @param {Object} consultaData Datos de la consulta (pacienteId, fecha, notas, evaluacion, planId).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID de la nueva consulta.
+ */
+async function addConsulta(consultaData) {
+    consultaData.uuid = consultaData.uuid || generarUUID();
+    return guardarConHistorial(STORE_NAME_CONSULTAS, consultaData, 'crear', null);
+}
+
+/**
+ * Obtiene todas las consultas de un paciente específico.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de consultas.
+ */
+async function getConsultasByPacienteId(pacienteId) {
+    const transaction = db.transaction([STORE_NAME_CONSULTAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_CONSULTAS);
+    const index = store.index('pacienteId');
+    const range = IDBKeyRange.only(pacienteId);
+
+    return new Promise((resolve, reject) => {
+        const results = [];
+        index.openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                results.push(cursor.value);
+                cursor.continue();
+            } else {
+                // Ordenar las consultas por fecha, las más recientes primero
+                results.sort((a, b) => new Date(b.fecha).getTime() - new Date(a.fecha).getTime());
+                resolve(descifrarRegistros(STORE_NAME_CONSULTAS, results));
+            }
+        };
+        index.openCursor(range).onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Obtiene una consulta por su ID.
+ * @param {number} id ID de la consulta.
+ * @returns {Promise<Object>} Una promesa que resuelve con el objeto consulta.
+ */
+async function getConsultaById(id) {
+    const transaction = db.transaction([STORE_NAME_CONSULTAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_CONSULTAS);
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(descifrarRegistro(STORE_NAME_CONSULTAS, request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Actualiza una consulta existente y registra la fecha de edición en `editadoEn`.
+ * @param {Object} consultaData Objeto consulta con la información actualizada (debe incluir el ID).
+ * @returns {Promise<void>} Una promesa que resuelve cuando la actualización es exitosa.
+ */
+async function updateConsulta(consultaData) {
+    consultaData.editadoEn = new Date().toISOString();
+    const anterior = await getConsultaById(consultaData.id);
+    await guardarConHistorial(STORE_NAME_CONSULTAS, consultaData, 'modificar', anterior);
+}
+
+/**
+ * Elimina una consulta por su ID.
+ * Las fotos, citas y cargos vinculados a la consulta se conservan, pero quedan desvinculados de ella.
+ * @param {number} id ID de la consulta a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deleteConsulta(id) {
+    const entrada = await prepararEntradaHistorial(STORE_NAME_CONSULTAS, 'eliminar', await getConsultaById(id), null);
+    const transaction = db.transaction([STORE_NAME_CONSULTAS, STORE_NAME_FOTOS, STORE_NAME_CITAS, STORE_NAME_CARGOS, STORE_NAME_HISTORIAL], 'readwrite');
+    for (const storeName of [STORE_NAME_FOTOS, STORE_NAME_CITAS, STORE_NAME_CARGOS]) {
+        const index = transaction.objectStore(storeName).index('consultaId');
+        index.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.update({ ...cursor.value, consultaId: null });
+                cursor.continue();
+            }
+        };
+    }
+    transaction.objectStore(STORE_NAME_CONSULTAS).delete(id);
+    anadirEntradasHistorial(transaction, [entrada]);
+
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Agrega una foto clínica a la galería de un paciente.
+ * @param {Object} fotoData Datos de la foto (pacienteId, consultaId, fecha, zona, momento, imagen, miniatura).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID de la nueva foto.
+ */
+async function addFoto(fotoData) {
+    fotoData.uuid = fotoData.uuid || generarUUID();
+    const transaction = db.transaction([STORE_NAME_FOTOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_FOTOS);
+    return new Promise((resolve, reject) => {
+        const request = store.add(fotoData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene todas las fotos clínicas de un paciente, ordenadas por fecha (las más antiguas primero).
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de fotos.
+ */
+async function getFotosByPacienteId(pacienteId) {
+    const transaction = db.transaction([STORE_NAME_FOTOS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_FOTOS);
+    const index = store.index('pacienteId');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(pacienteId));
+        request.onsuccess = () => {
+            const fotos = request.result;
+            fotos.sort((a, b) => new Date(a.fecha).getTime() - new Date(b.fecha).getTime());
+            resolve(fotos);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Elimina una foto clínica por su ID.
+ * @param {number} id ID de la foto a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deleteFoto(id) {
+    const transaction = db.transaction([STORE_NAME_FOTOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_FOTOS);
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- Plantillas de Notas ---
+
+// Tipos de plantilla: las plantillas son textos completos de una sesión; las frases rápidas, fragmentos sueltos
+const TIPOS_PLANTILLA_NOTA = [
+    { valor: 'plantilla', etiqueta: 'Plantilla', grupo: 'Plantillas' },
+    { valor: 'frase', etiqueta: 'Frase rápida', grupo: 'Frases rápidas' }
+];
+
+// Marcadores que se sustituyen al insertar una plantilla en las notas de la consulta
+const MARCADORES_PLANTILLA_NOTA = [
+    { clave: 'paciente', descripcion: 'nombre completo del paciente' },
+    { clave: 'nombre', descripcion: 'nombre de pila del paciente' },
+    { clave: 'sesion', descripcion: 'número de sesión (dentro del plan elegido o, sin plan, del total de consultas)' },
+    { clave: 'fecha', descripcion: 'fecha de la consulta' }
+];
+
+/**
+ * Sustituye los marcadores {clave} de una plantilla por sus valores. Los marcadores desconocidos
+ * o sin valor se dejan tal cual para que se vea qué falta por completar.
+ * @param {string} texto Texto de la plantilla.
+ * @param {Object<string, string|number>} valores Valor de cada marcador.
+ * @returns {string} Texto con los marcadores sustituidos.
+ */
+function rellenarPlantillaNota(texto, valores) {
+    return texto.replace(/\{(\w+)\}/g, (marcador, clave) =>
+        (valores[clave] === undefined || valores[clave] === null || valores[clave] === '' ? marcador : String(valores[clave])));
+}
+
+/**
+ * Guarda una plantilla o frase rápida nueva o modificada.
+ * @param {Object} plantillaData Datos de la plantilla (nombre, tipo, texto y, si ya existe, id).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID de la plantilla.
+ */
+async function guardarPlantillaNota(plantillaData) {
+    plantillaData.uuid = plantillaData.uuid || generarUUID();
+    const transaction = db.transaction([STORE_NAME_PLANTILLAS_NOTAS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PLANTILLAS_NOTAS);
+    return new Promise((resolve, reject) => {
+        const request = store.put(plantillaData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene todas las plantillas y frases rápidas, ordenadas por nombre.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con las plantillas.
+ */
+async function getPlantillasNotas() {
+    const transaction = db.transaction([STORE_NAME_PLANTILLAS_NOTAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PLANTILLAS_NOTAS);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.nombre.localeCompare(b.nombre, 'es')));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Elimina una plantilla o frase rápida por su ID.
+ * @param {number} id ID de la plantilla.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deletePlantillaNota(id) {
+    const transaction = db.transaction([STORE_NAME_PLANTILLAS_NOTAS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PLANTILLAS_NOTAS);
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- Cobros y Pagos ---
+
+// Formas de pago que se registran con cada pago
+const METODOS_PAGO = [
+    { valor: 'efectivo', etiqueta: 'Efectivo' },
+    { valor: 'tarjeta', etiqueta: 'Tarjeta' },
+    { valor: 'transferencia', etiqueta: 'Transferencia' },
+    { valor: 'otro', etiqueta: 'Otro' }
+];
+
+const FORMATO_IMPORTE = new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' });
+
+function formatearImporte(importe) {
+    return FORMATO_IMPORTE.format(importe || 0);
+}
+
+// Los importes se guardan en pesos con dos decimales; redondear evita arrastrar errores de coma flotante
+function redondearImporte(importe) {
+    return Math.round(importe * 100) / 100;
+}
+
+function etiquetaMetodoPago(valor) {
+    return (METODOS_PAGO.find(metodo => metodo.valor === valor) || { etiqueta: valor }).etiqueta;
+}
+
+/**
+ * Guarda un servicio nuevo o modificado del catálogo de precios.
+ * Los servicios no se eliminan, se retiran del catálogo (`activo: false`) para no perder su historial.
+ * @param {Object} servicioData Datos del servicio (nombre, precio, sesiones que incluye, activo y, si ya existe, id).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del servicio.
+ */
+async function guardarServicio(servicioData) {
+    servicioData.uuid = servicioData.uuid || generarUUID();
+    servicioData.precio = redondearImporte(servicioData.precio);
+    const transaction = db.transaction([STORE_NAME_SERVICIOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_SERVICIOS);
+    return new Promise((resolve, reject) => {
+        const request = store.put(servicioData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene el catálogo de servicios ordenado por nombre.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con los servicios (también los retirados).
+ */
+async function getServicios() {
+    const transaction = db.transaction([STORE_NAME_SERVICIOS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_SERVICIOS);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.nombre.localeCompare(b.nombre, 'es')));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Registra un cargo (importe que debe el paciente), vinculado opcionalmente a una consulta.
+ * @param {Object} cargoData Datos del cargo (pacienteId, consultaId, concepto, importe, fecha).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del nuevo cargo.
+ */
+async function addCargo(cargoData) {
+    cargoData.uuid = cargoData.uuid || generarUUID();
+    cargoData.importe = redondearImporte(cargoData.importe);
+    const transaction = db.transaction([STORE_NAME_CARGOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CARGOS);
+    return new Promise((resolve, reject) => {
+        const request = store.add(cargoData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Registra un pago y le asigna el siguiente número de recibo, en la misma transacción
+ * para que dos pagos simultáneos no reciban el mismo número.
+ * @param {Object} pagoData Datos del pago (pacienteId, importe, metodo, concepto, fecha).
+ * @returns {Promise<Object>} Una promesa que resuelve con el pago guardado (con id y numeroRecibo).
+ */
+async function addPago(pagoData) {
+    const pago = { ...pagoData, uuid: pagoData.uuid || generarUUID(), importe: redondearImporte(pagoData.importe) };
+    const transaction = db.transaction([STORE_NAME_PAGOS, STORE_NAME_AJUSTES], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PAGOS);
+    const ajustesStore = transaction.objectStore(STORE_NAME_AJUSTES);
+    return new Promise((resolve, reject) => {
+        // El contador no retrocede al eliminar pagos: un número de recibo ya entregado no se vuelve a usar.
+        // El pago más alto cubre los importados de otro equipo y las bases de datos anteriores al contador.
+        ajustesStore.get('ultimoNumeroRecibo').onsuccess = (ajusteEvent) => {
+            const contador = ajusteEvent.target.result ? ajusteEvent.target.result.valor : 0;
+            store.index('numeroRecibo').openCursor(null, 'prev').onsuccess = (event) => {
+                const ultimo = event.target.result;
+                pago.numeroRecibo = Math.max(contador, ultimo ? ultimo.value.numeroRecibo : 0) + 1;
+                ajustesStore.put({ clave: 'ultimoNumeroRecibo', valor: pago.numeroRecibo });
+                store.add(pago).onsuccess = (addEvent) => {
+                    pago.id = addEvent.target.result;
+                };
+            };
+        };
+        transaction.oncomplete = () => resolve(pago);
+        transaction.onabort = () => reject(transaction.error || new Error('No se ha podido registrar el pago.'));
+    });
+}
+
+/**
+ * Obtiene los registros de un store de cobros de un paciente.
+ * @param {string} storeName STORE_NAME_CARGOS o STORE_NAME_PAGOS.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Registros ordenados por fecha (los más antiguos primero).
+ */
+async function getCobrosPaciente(storeName, pacienteId) {
+    const transaction = db.transaction([storeName], 'readonly');
+    const index = transaction.objectStore(storeName).index('pacienteId');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(pacienteId));
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.fecha.localeCompare(b.fecha) || a.id - b.id));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene los cargos y pagos de un paciente y su saldo pendiente.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<{cargos: Array<Object>, pagos: Array<Object>, saldo: number}>} Movimientos y saldo (positivo si debe dinero).
+ */
+async function getCuentaPaciente(pacienteId) {
+    const [cargos, pagos] = await Promise.all([
+        getCobrosPaciente(STORE_NAME_CARGOS, pacienteId),
+        getCobrosPaciente(STORE_NAME_PAGOS, pacienteId)
+    ]);
+    return { cargos, pagos, saldo: calcularSaldo(cargos, pagos) };
+}
+
+function sumarImportes(registros) {
+    return redondearImporte(registros.reduce((suma, registro) => suma + registro.importe, 0));
+}
+
+function calcularSaldo(cargos, pagos) {
+    return redondearImporte(sumarImportes(cargos) - sumarImportes(pagos));
+}
+
+/**
+ * Calcula el saldo que quedó pendiente justo después de un pago, para reimprimir su recibo tal como se emitió.
+ * @param {{cargos: Array<Object>, pagos: Array<Object>}} cuenta Movimientos del paciente (de getCuentaPaciente).
+ * @param {Object} pago Pago del recibo.
+ * @returns {number} Saldo pendiente tras el pago (negativo si queda a favor del paciente).
+ */
+function calcularSaldoAlPago({ cargos, pagos }, pago) {
+    const anteriores = pagos.filter(p => p.fecha < pago.fecha || (p.fecha === pago.fecha && p.id <= pago.id));
+    return calcularSaldo(cargos.filter(c => c.fecha <= pago.fecha), anteriores);
+}
+
+/**
+ * Elimina un cargo.
+ * @param {number} id ID del cargo a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deleteCargo(id) {
+    const transaction = db.transaction([STORE_NAME_CARGOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CARGOS);
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Elimina un pago. Su número de recibo no se reutiliza (ver addPago).
+ * @param {number} id ID del pago a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deletePago(id) {
+    const transaction = db.transaction([STORE_NAME_PAGOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PAGOS);
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Calcula el resumen de ingresos: lo cobrado por periodo y forma de pago, y los saldos pendientes.
+ * Como en el resto de listados, no se incluyen los pacientes de la papelera.
+ * @param {Object} opciones Filtros del resumen.
+ * @param {string} opciones.desde Fecha inicial YYYY-MM-DD.
+ * @param {string} opciones.hasta Fecha final YYYY-MM-DD.
+ * @param {string} [opciones.agrupacion='dia'] Agrupar los ingresos por 'dia' o por 'mes'.
+ * @returns {Promise<Object<string, {titulo: string, columnas: string[], filas: Array<Array<*>>}>>} Tablas por clave.
+ */
+async function calcularResumenIngresos({ desde, hasta, agrupacion = 'dia' }) {
+    const [pacientes, cargos, pagos] = await Promise.all([
+        getAllPacientes(),
+        getAllFromStore(STORE_NAME_CARGOS),
+        getAllFromStore(STORE_NAME_PAGOS)
+    ]);
+    const pacientesPorId = new Map(pacientes.map(paciente => [paciente.id, paciente]));
+    const enRango = pagos.filter(p => pacientesPorId.has(p.pacienteId) && p.fecha >= desde && p.fecha <= hasta);
+
+    const porPeriodo = new Map(periodosEntre(desde, hasta, agrupacion).map(periodo => [periodo, []]));
+    enRango.forEach(pago => porPeriodo.get(periodoDeFecha(pago.fecha, agrupacion)).push(pago));
+    const fila = (etiqueta, pagosPeriodo) => [
+        etiqueta,
+        pagosPeriodo.length,
+        ...METODOS_PAGO.map(metodo => formatearImporte(sumarImportes(pagosPeriodo.filter(p => p.metodo === metodo.valor)))),
+        formatearImporte(sumarImportes(pagosPeriodo))
+    ];
+    const filasIngresos = [...porPeriodo].filter(([, pagosPeriodo]) => pagosPeriodo.length > 0)
+        .map(([periodo, pagosPeriodo]) => fila(periodo, pagosPeriodo));
+    if (filasIngresos.length > 0) {
+        filasIngresos.push(fila('Total', enRango));
+    }
+
+    const cuentas = new Map();
+    const cuenta = id => cuentas.get(id) || cuentas.set(id, { cargos: [], pagos: [] }).get(id);
+    cargos.filter(c => pacientesPorId.has(c.pacienteId)).forEach(cargo => cuenta(cargo.pacienteId).cargos.push(cargo));
+    pagos.filter(p => pacientesPorId.has(p.pacienteId)).forEach(pago => cuenta(pago.pacienteId).pagos.push(pago));
+    const pendientes = [...cuentas]
+        .map(([id, movimientos]) => ({ paciente: pacientesPorId.get(id), ...movimientos, saldo: calcularSaldo(movimientos.cargos, movimientos.pagos) }))
+        .filter(c => c.saldo > 0)
+        .sort((a, b) => b.saldo - a.saldo);
+
+    return {
+        ingresos: {
+            titulo: agrupacion === 'mes' ? 'Ingresos por mes' : 'Ingresos por día',
+            columnas: [agrupacion === 'mes' ? 'Mes' : 'Día', 'Pagos', ...METODOS_PAGO.map(metodo => metodo.etiqueta), 'Total'],
+            filas: filasIngresos
+        },
+        pendientes: {
+            titulo: 'Saldos pendientes (a día de hoy)',
+            columnas: ['Paciente', 'Cargos', 'Pagos', 'Saldo pendiente'],
+            filas: pendientes.map(c => [
+                c.paciente.nombre,
+                formatearImporte(sumarImportes(c.cargos)),
+                formatearImporte(sumarImportes(c.pagos)),
+                formatearImporte(c.saldo)
+            ])
+        }
+    };
+}
+
+// --- Consentimientos Informados ---
+
+// Texto predeterminado del consentimiento de las modalidades que lo requieren habitualmente.
+// El resto de modalidades usan un texto genérico; todos se pueden modificar en la pantalla de Configuración.
+const PLANTILLAS_CONSENTIMIENTO_POR_DEFECTO = {
+    radiofrecuencia: 'He sido informado/a de que la radiofrecuencia aplica calor controlado sobre la piel y el tejido subcutáneo. ' +
+        'Entiendo que puede producir enrojecimiento, sensación de calor o edema leve transitorios y, excepcionalmente, quemaduras. ' +
+        'Declaro no tener marcapasos, implantes metálicos en la zona, cáncer activo ni estar embarazada, y que he informado de mis ' +
+        'antecedentes médicos y medicación. Autorizo la aplicación del tratamiento y sé que puedo retirar este consentimiento en cualquier momento.',
+    cavitacion: 'He sido informado/a de que la cavitación emplea ultrasonidos de baja frecuencia sobre el tejido adiposo. ' +
+        'Entiendo que puede producir enrojecimiento, zumbido en los oídos, sed o hematomas leves transitorios, y que debo mantener una ' +
+        'buena hidratación. Declaro no tener marcapasos, implantes metálicos en la zona, cáncer activo, trombosis ni estar embarazada, ' +
+        'y que he informado de mis antecedentes médicos y medicación. Autorizo la aplicación del tratamiento y sé que puedo retirar este ' +
+        'consentimiento en cualquier momento.',
+    microneedling: 'He sido informado/a de que el microneedling realiza microperforaciones controladas en la piel para estimular su regeneración. ' +
+        'Entiendo que puede producir enrojecimiento, inflamación, descamación o pequeños puntos de sangrado transitorios y, excepcionalmente, ' +
+        'infección o alteraciones de la pigmentación, y me comprometo a seguir los cuidados posteriores indicados. Declaro no tener cáncer ' +
+        'activo, infecciones cutáneas en la zona ni estar embarazada, y que he informado de mis antecedentes médicos y medicación. ' +
+        'Autorizo la aplicación del tratamiento y sé que puedo retirar este consentimiento en cualquier momento.'
+};
+
+function etiquetaModalidad(valor) {
+    return (MODALIDADES.find(modalidad => modalidad.valor === valor) || { etiqueta: valor }).etiqueta;
+}
+
+/**
+ * Obtiene las plantillas de consentimiento de todas las modalidades: la guardada en la configuración,
+ * la predeterminada o, si no hay ninguna, un texto genérico.
+ * @returns {Promise<Object<string, string>>} Texto de la plantilla por modalidad.
+ */
+async function getPlantillasConsentimiento() {
+    const guardadas = await getAjuste('plantillasConsentimiento', {});
+    const plantillas = {};
+    MODALIDADES.forEach(modalidad => {
+        plantillas[modalidad.valor] = guardadas[modalidad.valor] || PLANTILLAS_CONSENTIMIENTO_POR_DEFECTO[modalidad.valor] ||
+            `He sido informado/a de en qué consiste el tratamiento de ${modalidad.etiqueta.toLowerCase()}, de sus beneficios, ` +
+            'sus posibles efectos adversos y sus contraindicaciones, y he podido resolver mis dudas. Declaro que he informado de mis ' +
+            'antecedentes médicos y medicación. Autorizo la aplicación del tratamiento y sé que puedo retirar este consentimiento en cualquier momento.';
+    });
+    return plantillas;
+}
+
+/**
+ * Guarda un consentimiento firmado.
+ * @param {Object} consentimientoData Datos del consentimiento (pacienteId, modalidad, texto, firma como data URL PNG, fechaFirma ISO).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del nuevo consentimiento.
+ */
+async function addConsentimiento(consentimientoData) {
+    consentimientoData.uuid = consentimientoData.uuid || generarUUID();
+    // Cifrar antes de abrir la transacción: una espera ajena a IndexedDB la cerraría
+    const registro = await cifrarRegistro(STORE_NAME_CONSENTIMIENTOS, consentimientoData);
+    const transaction = db.transaction([STORE_NAME_CONSENTIMIENTOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CONSENTIMIENTOS);
+    return new Promise((resolve, reject) => {
+        const request = store.add(registro);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene los consentimientos firmados de un paciente, los más recientes primero.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con los consentimientos (en claro).
+ */
+async function getConsentimientosByPacienteId(pacienteId) {
+    const transaction = db.transaction([STORE_NAME_CONSENTIMIENTOS], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_CONSENTIMIENTOS).index('pacienteId');
+    const consentimientos = await new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(pacienteId));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    consentimientos.sort((a, b) => b.fechaFirma.localeCompare(a.fechaFirma));
+    return descifrarRegistros(STORE_NAME_CONSENTIMIENTOS, consentimientos);
+}
+
+/**
+ * Elimina un consentimiento por su ID.
+ * @param {number} id ID del consentimiento a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deleteConsentimiento(id) {
+    const transaction = db.transaction([STORE_NAME_CONSENTIMIENTOS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CONSENTIMIENTOS);
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- Historial de Cambios ---
+
+// Acciones que se registran en el historial de cambios
+const ACCIONES_HISTORIAL = {
+    crear: 'Creación',
+    modificar: 'Modificación',
+    eliminar: 'Eliminación',
+    restaurar: 'Restauración de una versión anterior',
+    fusionar: 'Fusión de pacientes',
+    importar: 'Importación de una copia de seguridad',
+    papelera: 'Enviado a la papelera',
+    recuperar: 'Recuperado de la papelera'
+};
+
+// Campos internos que no se registran en el historial
+const CAMPOS_SIN_HISTORIAL = ['id', 'uuid', 'nombreNormalizado', 'cifrado', 'editadoEn'];
+
+// Nombres legibles de los campos de las consultas en el historial (los de los pacientes están en COLUMNAS_CSV_PACIENTES)
+const ETIQUETAS_CAMPOS_CONSULTA = {
+    pacienteId: 'Paciente',
+    fecha: 'Fecha',
+    notas: 'Notas',
+    evaluacion: 'Evaluación',
+    planId: 'Plan de tratamiento'
+};
+
+/**
+ * Compara dos versiones de un registro campo a campo.
+ * @param {Object|null} antes Versión anterior (null si el registro se crea).
+ * @param {Object|null} despues Versión nueva (null si el registro se elimina).
+ * @returns {Array<{campo: string, antes: *, despues: *}>} Campos que cambian, con su valor anterior y nuevo (null si no existe).
+ */
+function calcularCambios(antes, despues) {
+    const anterior = antes || {};
+    const nuevo = despues || {};
+    const campos = new Set([...Object.keys(anterior), ...Object.keys(nuevo)]);
+    return [...campos]
+        .filter(campo => !CAMPOS_SIN_HISTORIAL.includes(campo))
+        .filter(campo => JSON.stringify(anterior[campo] ?? null) !== JSON.stringify(nuevo[campo] ?? null))
+        .map(campo => ({ campo, antes: anterior[campo] ?? null, despues: nuevo[campo] ?? null }));
+}
+
+/**
+ * Prepara (y cifra, si procede) la entrada del historial de un cambio en un paciente o una consulta.
+ * Se prepara antes de abrir la transacción, porque una espera ajena a IndexedDB la cerraría; si el
+ * registro es nuevo, `registroId` (y `pacienteId`, en los pacientes) se completan dentro de ella.
+ * @param {string} storeName STORE_NAME_PACIENTES o STORE_NAME_CONSULTAS.
+ * @param {string} accion Clave de ACCIONES_HISTORIAL.
+ * @param {Object|null} antes Versión anterior en claro (null si se crea).
+ * @param {Object|null} despues Versión nueva en claro (null si se elimina).
+ * @returns {Promise<Object|null>} Entrada a guardar, o null si no hay cambios.
+ */
+async function prepararEntradaHistorial(storeName, accion, antes, despues) {
+    const cambios = calcularCambios(antes, despues);
+    if (cambios.length === 0) {
+        return null;
+    }
+    const registro = despues || antes;
+    return cifrarRegistro(STORE_NAME_HISTORIAL, {
+        fecha: new Date().toISOString(),
+        store: storeName,
+        registroId: registro.id ?? null,
+        pacienteId: (storeName === STORE_NAME_PACIENTES ? registro.id : registro.pacienteId) ?? null,
+        accion,
+        cambios
+    });
+}
+
+/**
+ * Añade entradas preparadas al historial dentro de una transacción que incluya STORE_NAME_HISTORIAL.
+ * @param {IDBTransaction} transaction Transacción en curso.
+ * @param {Array<Object|null>} entradas Entradas de prepararEntradaHistorial (las null se ignoran).
+ */
+function anadirEntradasHistorial(transaction, entradas) {
+    const store = transaction.objectStore(STORE_NAME_HISTORIAL);
+    entradas.filter(Boolean).forEach(entrada => store.add(entrada));
+}
+
+/**
+ * Guarda un paciente o una consulta y su entrada del historial en una única transacción.
+ * @param {string} storeName STORE_NAME_PACIENTES o STORE_NAME_CONSULTAS.
+ * @param {Object} datos Registro en claro.
+ * @param {string} accion Clave de ACCIONES_HISTORIAL ('crear' añade un registro nuevo; el resto lo sobrescribe).
+ * @param {Object|null} anterior Versión anterior en claro, o null si no existía.
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del registro.
+ */
+async function guardarConHistorial(storeName, datos, accion, anterior) {
+    const registro = await cifrarRegistro(storeName, datos);
+    const entrada = await prepararEntradaHistorial(storeName, accion, anterior, datos);
+    const transaction = db.transaction([storeName, STORE_NAME_HISTORIAL], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = accion === 'crear' ? store.add(registro) : store.put(registro);
+        request.onsuccess = () => {
+            if (entrada) {
+                entrada.registroId = request.result;
+                if (storeName === STORE_NAME_PACIENTES) {
+                    entrada.pacienteId = request.result;
+                }
+                anadirEntradasHistorial(transaction, [entrada]);
+            }
+        };
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onabort = () => reject(transaction.error || request.error);
+    });
+}
+
+/**
+ * Obtiene las entradas del historial que cumplen una condición de un índice, ya descifradas.
+ * @param {string} indice Nombre del índice ('pacienteId' o 'registro').
+ * @param {*} clave Valor buscado en el índice.
+ * @returns {Promise<Array<Object>>} Entradas del historial.
+ */
+async function getEntradasHistorial(indice, clave) {
+    const transaction = db.transaction([STORE_NAME_HISTORIAL], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_HISTORIAL).index(indice);
+    const entradas = await new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(clave));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return descifrarRegistros(STORE_NAME_HISTORIAL, entradas);
+}
+
+/**
+ * Obtiene el historial de cambios de un paciente: los de su ficha y los de sus consultas actuales
+ * (también los anteriores a una fusión, cuando la consulta pertenecía a otro paciente), del más reciente al más antiguo.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Entradas del historial.
+ */
+async function getHistorialPaciente(pacienteId) {
+    const consultas = await getConsultasByPacienteId(pacienteId);
+    const grupos = await Promise.all([
+        getEntradasHistorial('pacienteId', pacienteId),
+        ...consultas.map(consulta => getEntradasHistorial('registro', [STORE_NAME_CONSULTAS, consulta.id]))
+    ]);
+    const entradas = new Map();
+    grupos.flat().forEach(entrada => entradas.set(entrada.id, entrada));
+    return [...entradas.values()].sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Reconstruye un registro tal como quedó tras una entrada del historial (o, si la entrada es una
+ * eliminación, tal como estaba justo antes de eliminarse), deshaciendo desde la versión actual
+ * los cambios posteriores.
+ * @param {number} entradaId ID de la entrada del historial.
+ * @returns {Promise<{entrada: Object, actual: Object|undefined, version: Object}>} Entrada, registro actual y versión reconstruida.
+ */
+async function getVersionHistorial(entradaId) {
+    const transaction = db.transaction([STORE_NAME_HISTORIAL], 'readonly');
+    const entrada = await new Promise((resolve, reject) => {
+        const request = transaction.objectStore(STORE_NAME_HISTORIAL).get(entradaId);
+        request.onsuccess = () => resolve(descifrarRegistro(STORE_NAME_HISTORIAL, request.result));
+        request.onerror = () => reject(request.error);
+    });
+    if (!entrada) {
+        throw new Error('La entrada del historial no existe.');
+    }
+    const actual = entrada.store === STORE_NAME_PACIENTES
+        ? await getPacienteById(entrada.registroId)
+        : await getConsultaById(entrada.registroId);
+    const posteriores = (await getEntradasHistorial('registro', [entrada.store, entrada.registroId]))
+        .filter(e => (entrada.accion === 'eliminar' ? e.id >= entrada.id : e.id > entrada.id))
+        .sort((a, b) => b.id - a.id);
+
+    const version = { ...(actual || {}) };
+    posteriores.forEach(posterior => {
+        posterior.cambios.forEach(({ campo, antes }) => {
+            if (antes === null) {
+                delete version[campo];
+            } else {
+                version[campo] = antes;
+            }
+        });
+    });
+    return { entrada, actual, version };
+}
+
+/**
+ * Restaura la versión de un paciente o una consulta correspondiente a una entrada del historial.
+ * La restauración se registra a su vez en el historial, por lo que también se puede deshacer.
+ * @param {number} entradaId ID de la entrada del historial.
+ * @returns {Promise<Object>} La versión restaurada.
+ */
+async function restaurarVersionHistorial(entradaId) {
+    const { entrada, actual, version } = await getVersionHistorial(entradaId);
+    if (!actual && entrada.store === STORE_NAME_CONSULTAS && !(await getPacienteById(version.pacienteId))) {
+        throw new Error('El paciente de esta consulta ya no existe.');
+    }
+    const restaurado = {
+        ...version,
+        id: entrada.registroId,
+        uuid: actual ? actual.uuid : generarUUID()
+    };
+    // Restaurar una versión no cambia si el registro está o no en la papelera
+    if (actual && actual.eliminadoEn) {
+        restaurado.eliminadoEn = actual.eliminadoEn;
+    } else {
+        delete restaurado.eliminadoEn;
+    }
+    await guardarConHistorial(entrada.store, entrada.store === STORE_NAME_PACIENTES ? normalizarPaciente(restaurado) : restaurado, 'restaurar', actual || null);
+    return restaurado;
+}
+
+/**
+ * Nombre legible de un campo en el historial de cambios.
+ * @param {string} storeName Store del registro.
+ * @param {string} campo Campo modificado.
+ * @returns {string} Etiqueta del campo.
+ */
+function etiquetaCampoHistorial(storeName, campo) {
+    if (campo === 'eliminadoEn') {
+        return 'En la papelera desde';
+    }
+    if (storeName === STORE_NAME_PACIENTES) {
+        return (COLUMNAS_CSV_PACIENTES.find(columna => columna.campo === campo) || { etiqueta: campo }).etiqueta;
+    }
+    return ETIQUETAS_CAMPOS_CONSULTA[campo] || campo;
+}
+
+/**
+ * Formatea (HTML) un valor anterior o nuevo del historial de cambios.
+ * @param {string} campo Campo modificado.
+ * @param {*} valor Valor guardado en el historial.
+ * @returns {string} HTML del valor.
+ */
+function formatearValorHistorial(campo, valor) {
+    if (esValorVacio(valor)) {
+        return '<em>(vacío)</em>';
+    }
+    if (campo === 'contraindicaciones') {
+        return escaparHTML(etiquetasContraindicaciones(valor).join(', '));
+    }
+    if (campo === 'evaluacion') {
+        return formatearEvaluacion(valor);
+    }
+    if (campo === 'eliminadoEn') {
+        return escaparHTML(formatDateTime(valor));
+    }
+    return escaparHTML(typeof valor === 'object' ? JSON.stringify(valor) : valor);
+}
+
+// --- Papelera ---
+
+// Días que se conservan los pacientes en la papelera antes de borrarlos definitivamente
+const DIAS_PAPELERA_POR_DEFECTO = 30;
+
+// Stores con registros que dependen de un paciente y que le acompañan a la papelera
+const STORES_DEPENDIENTES_PACIENTE = [STORE_NAME_CONSULTAS, STORE_NAME_FOTOS, STORE_NAME_CITAS, STORE_NAME_PLANES, STORE_NAME_CONSENTIMIENTOS,
+    STORE_NAME_CARGOS, STORE_NAME_PAGOS];
+
+/**
+ * Marca (o desmarca) un paciente y todos sus registros como eliminados en una única transacción.
+ * Al restaurar solo se desmarcan los registros que se eliminaron junto con el paciente.
+ * @param {Object} paciente Paciente en claro.
+ * @param {string|null} eliminadoEn Fecha ISO de eliminación, o null para restaurarlo.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la transacción se ha completado.
+ */
+async function cambiarEstadoPapelera(paciente, eliminadoEn) {
+    const marcaAnterior = paciente.eliminadoEn || null;
+    const accion = eliminadoEn ? 'papelera' : 'recuperar';
+    const consultas = (await getConsultasByPacienteId(paciente.id))
+        .filter(consulta => (consulta.eliminadoEn || null) === marcaAnterior);
+    // Preparar las entradas del historial antes de abrir la transacción
+    const entradas = await Promise.all([
+        prepararEntradaHistorial(STORE_NAME_PACIENTES, accion, paciente, { ...paciente, eliminadoEn }),
+        ...consultas.map(consulta => prepararEntradaHistorial(STORE_NAME_CONSULTAS, accion, consulta, { ...consulta, eliminadoEn }))
+    ]);
+
+    // Los registros se modifican tal como están guardados (cifrados o no): solo cambia `eliminadoEn`
+    const marcar = (registro) => {
+        const marcado = { ...registro, eliminadoEn };
+        if (!eliminadoEn) {
+            delete marcado.eliminadoEn;
+        }
+        return marcado;
+    };
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME_PACIENTES, ...STORES_DEPENDIENTES_PACIENTE, STORE_NAME_HISTORIAL], 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('No se ha podido completar la operación.'));
+
+        const pacientesStore = transaction.objectStore(STORE_NAME_PACIENTES);
+        pacientesStore.get(paciente.id).onsuccess = (event) => {
+            const registro = marcar(event.target.result);
+            if (eliminadoEn) {
+                delete registro.nombreNormalizado; // Fuera del índice de la lista y las búsquedas
+            } else {
+                registro.nombreNormalizado = normalizarNombre(registro.nombre);
+            }
+            pacientesStore.put(registro);
+        };
+        STORES_DEPENDIENTES_PACIENTE.forEach(storeName => {
+            const index = transaction.objectStore(storeName).index('pacienteId');
+            index.openCursor(IDBKeyRange.only(paciente.id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if ((cursor.value.eliminadoEn || null) === marcaAnterior) {
+                        cursor.update(marcar(cursor.value));
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+        anadirEntradasHistorial(transaction, entradas);
+    });
+}
+
+/**
+ * Saca un paciente de la papelera junto con los registros que se eliminaron con él.
+ * @param {number} id ID del paciente.
+ * @returns {Promise<void>} Una promesa que resuelve cuando el paciente se ha restaurado.
+ */
+async function restaurarPaciente(id) {
+    const paciente = await getPacienteById(id);
+    if (!paciente || !paciente.eliminadoEn) {
+        return;
+    }
+    await cambiarEstadoPapelera(paciente, null);
+}
+
+/**
+ * Borra definitivamente un paciente y todas sus consultas, fotos, citas y planes en una única transacción.
+ * El contenido del paciente y de sus consultas queda en el historial de cambios.
+ * @param {number} id ID del paciente.
+ * @returns {Promise<void>} Una promesa que resuelve cuando el borrado se ha completado.
+ */
+async function purgarPaciente(id) {
+    const paciente = await getPacienteById(id);
+    if (!paciente) {
+        return;
+    }
+    const consultas = await getConsultasByPacienteId(id);
+    const entradas = await Promise.all([
+        prepararEntradaHistorial(STORE_NAME_PACIENTES, 'eliminar', paciente, null),
+        ...consultas.map(consulta => prepararEntradaHistorial(STORE_NAME_CONSULTAS, 'eliminar', consulta, null))
+    ]);
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME_PACIENTES, ...STORES_DEPENDIENTES_PACIENTE, STORE_NAME_HISTORIAL], 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('No se ha podido borrar el paciente.'));
+        STORES_DEPENDIENTES_PACIENTE.forEach(storeName => {
+            const index = transaction.objectStore(storeName).index('pacienteId');
+            index.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+        transaction.objectStore(STORE_NAME_PACIENTES).delete(id);
+        anadirEntradasHistorial(transaction, entradas);
+    });
+}
+
+/**
+ * Obtiene los pacientes de la papelera, los eliminados más recientemente primero.
+ * @returns {Promise<Array<Object>>} Pacientes eliminados (en claro).
+ */
+async function getPacientesPapelera() {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PACIENTES);
+    const eliminados = await new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result.filter(paciente => paciente.eliminadoEn));
+        request.onerror = () => reject(request.error);
+    });
+    eliminados.sort((a, b) => b.eliminadoEn.localeCompare(a.eliminadoEn));
+    return descifrarRegistros(STORE_NAME_PACIENTES, eliminados);
+}
+
+/**
+ * Obtiene cuántos días se conservan los pacientes en la papelera antes de borrarse definitivamente.
+ * @returns {Promise<number>} Días de conservación (DIAS_PAPELERA_POR_DEFECTO si no se ha configurado).
+ */
+async function getDiasPapelera() {
+    return getAjuste('diasPapelera', DIAS_PAPELERA_POR_DEFECTO);
+}
+
+/**
+ * Borra definitivamente los pacientes que llevan en la papelera más días de los configurados.
+ * @returns {Promise<number>} Número de pacientes borrados.
+ */
+async function purgarPapeleraCaducada() {
+    const limite = sumarDias(new Date(), -(await getDiasPapelera())).toISOString();
+    const caducados = (await getPacientesPapelera()).filter(paciente => paciente.eliminadoEn < limite);
+    for (const paciente of caducados) {
+        await purgarPaciente(paciente.id);
+    }
+    return caducados.length;
+}
+
+// --- Gestión de la Configuración ---
+
+/**
+ * Obtiene un valor de configuración.
+ * @param {string} clave Clave del ajuste.
+ * @param {*} valorPorDefecto Valor a devolver si el ajuste no existe.
+ * @returns {Promise<*>} Una promesa que resuelve con el valor guardado o el valor por defecto.
+ */
+async function getAjuste(clave, valorPorDefecto) {
+    const transaction = db.transaction([STORE_NAME_AJUSTES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_AJUSTES);
+    return new Promise((resolve, reject) => {
+        const request = store.get(clave);
+        request.onsuccess = () => resolve(request.result ? request.result.valor : valorPorDefecto);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Guarda un valor de configuración.
+ * @param {string} clave Clave del ajuste.
+ * @param {*} valor Valor a guardar (debe poder clonarse en IndexedDB).
+ * @returns {Promise<void>} Una promesa que resuelve cuando el ajuste se ha guardado.
+ */
+async function setAjuste(clave, valor) {
+    const transaction = db.transaction([STORE_NAME_AJUSTES], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_AJUSTES);
+    return new Promise((resolve, reject) => {
+        const request = store.put({ clave, valor });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene las reglas de contraindicación configuradas, completadas con las predeterminadas
+ * para las modalidades que no tengan regla guardada.
+ * @returns {Promise<Object>} Una promesa que resuelve con las reglas por modalidad.
+ */
+async function getReglasContraindicacion() {
+    const guardadas = await getAjuste('reglasContraindicacion', {});
+    return { ...REGLAS_CONTRAINDICACION_POR_DEFECTO, ...guardadas };
+}
+
+/**
+ * Calcula el hash de la contraseña de bloqueo con PBKDF2, para no guardarla en claro.
+ * @param {string} clave PIN o contraseña.
+ * @param {Uint8Array} sal Sal aleatoria.
+ * @param {number} iteraciones Iteraciones de PBKDF2.
+ * @returns {Promise<string>} Hash en base64.
+ */
+async function calcularHashClave(clave, sal, iteraciones) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(clave), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: sal, iterations: iteraciones, hash: 'SHA-256' }, material, 256);
+    return bytesABase64(new Uint8Array(bits));
+}
+
+/**
+ * Guarda la configuración del bloqueo de la aplicación.
+ * @param {string} clave Nuevo PIN o contraseña; si está vacío se conserva el actual.
+ * @param {number} minutosInactividad Minutos sin actividad antes de bloquear (0 para no bloquear por inactividad).
+ * @param {boolean} bloquearAlOcultar Si se bloquea al cambiar de pestaña o minimizar la ventana.
+ * @returns {Promise<Object>} La configuración guardada.
+ */
+async function guardarBloqueo(clave, minutosInactividad, bloquearAlOcultar) {
+    let configuracion = await getAjuste('bloqueo', null);
+    if (clave) {
+        const sal = crypto.getRandomValues(new Uint8Array(16));
+        configuracion = {
+            sal: bytesABase64(sal),
+            iteraciones: ITERACIONES_PBKDF2,
+            hash: await calcularHashClave(clave, sal, ITERACIONES_PBKDF2)
+        };
+    } else if (!configuracion) {
+        throw new Error('Falta el PIN o la contraseña de bloqueo.');
+    }
+    configuracion = { ...configuracion, minutosInactividad, bloquearAlOcultar };
+    await setAjuste('bloqueo', configuracion);
+    return configuracion;
+}
+
+/**
+ * Comprueba el PIN o contraseña de bloqueo contra el hash guardado.
+ * @param {string} clave PIN o contraseña introducidos.
+ * @returns {Promise<boolean>} true si coincide (o si no hay bloqueo configurado).
+ */
+async function comprobarClaveBloqueo(clave) {
+    const configuracion = await getAjuste('bloqueo', null);
+    if (!configuracion) {
+        return true;
+    }
+    return await calcularHashClave(clave, base64ABytes(configuracion.sal), configuracion.iteraciones) === configuracion.hash;
+}
+
+/**
+ * Prepara el contenido de las copias automáticas para el nuevo estado del cifrado en reposo.
+ * Las copias que no se pueden descifrar con la clave actual (cifradas con una clave anterior) se descartan.
+ * @param {CryptoKey|null} claveNueva Clave con la que cifrar las copias, o null para guardarlas en claro.
+ * @returns {Promise<{contenidos: Array<Object>, descartadas: Array<number>}>} Contenidos preparados e IDs de las
+ * copias descartadas.
+ */
+async function convertirCopiasAutomaticas(claveNueva) {
+    const contenidos = await getRegistrosGuardados(STORE_NAME_CONTENIDO_COPIAS);
+    const convertidos = [];
+    const descartadas = [];
+    for (const { id, contenido } of contenidos) {
+        let texto = contenido;
+        if (typeof texto !== 'string') {
+            try {
+                texto = await descifrarTexto(claveDatos, contenido);
+            } catch (error) {
+                descartadas.push(id);
+                continue;
+            }
+        }
+        convertidos.push({ id, contenido: claveNueva ? await cifrarTexto(claveNueva, texto) : texto });
+    }
+    return { contenidos: convertidos, descartadas };
+}
+
+/**
+ * Reescribe todos los registros con campos sensibles y el contenido de las copias automáticas en una única
+ * transacción, junto con la configuración del cifrado en reposo. Los registros deben estar ya preparados
+ * (cifrados o en claro).
+ * @param {Object} registros Registros por store (los de CAMPOS_CIFRADOS y STORE_NAME_CONTENIDO_COPIAS).
+ * @param {Object|null} configuracion Configuración de cifrado a guardar, o null para eliminarla.
+ * @param {Array<number>} [copiasDescartadas=[]] IDs de las copias automáticas que se eliminan.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la transacción se ha completado.
+ */
+function reescribirRegistrosSensibles(registros, configuracion, copiasDescartadas = []) {
+    const storeNames = [...Object.keys(CAMPOS_CIFRADOS), STORE_NAME_CONTENIDO_COPIAS];
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([...storeNames, STORE_NAME_COPIAS, STORE_NAME_AJUSTES], 'readwrite');
+        storeNames.forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            registros[storeName].forEach(registro => store.put(registro));
+        });
+        copiasDescartadas.forEach(id => {
+            transaction.objectStore(STORE_NAME_COPIAS).delete(id);
+            transaction.objectStore(STORE_NAME_CONTENIDO_COPIAS).delete(id);
+        });
+        if (configuracion) {
+            transaction.objectStore(STORE_NAME_AJUSTES).put({ clave: 'cifradoDatos', valor: configuracion });
+        } else {
+            transaction.objectStore(STORE_NAME_AJUSTES).delete('cifradoDatos');
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('No se ha podido completar el cambio de cifrado.'));
+    });
+}
+
+/**
+ * Activa el cifrado en reposo: deriva una clave de la contraseña y cifra los campos sensibles
+ * de todos los pacientes y consultas existentes y las copias automáticas. Los registros nuevos se cifran al guardarse.
+ * @param {string} contrasena Contraseña con la que se protegerán los datos.
+ * @returns {Promise<number>} Una promesa que resuelve con el número de copias automáticas descartadas
+ * por estar cifradas con una clave anterior.
+ */
+async function activarCifradoDatos(contrasena) {
+    const sal = crypto.getRandomValues(new Uint8Array(16));
+    const clave = await derivarClave(contrasena, sal, ITERACIONES_PBKDF2);
+    const configuracion = {
+        sal: bytesABase64(sal),
+        iteraciones: ITERACIONES_PBKDF2,
+        verificador: await cifrarTexto(clave, VERIFICADOR_CIFRADO)
+    };
+
+    const registros = {};
+    for (const storeName of Object.keys(CAMPOS_CIFRADOS)) {
+        registros[storeName] = await getAllFromStore(storeName);
+    }
+    const { contenidos, descartadas } = await convertirCopiasAutomaticas(clave);
+    claveDatos = clave;
+    try {
+        for (const storeName of Object.keys(registros)) {
+            registros[storeName] = await Promise.all(registros[storeName].map(registro => cifrarRegistro(storeName, registro)));
+        }
+        registros[STORE_NAME_CONTENIDO_COPIAS] = contenidos;
+        await reescribirRegistrosSensibles(registros, configuracion, descartadas);
+    } catch (error) {
+        claveDatos = null;
+        throw error;
+    }
+    return descartadas.length;
+}
+
+/**
+ * Desactiva el cifrado en reposo y vuelve a guardar en claro todos los pacientes y consultas y las copias automáticas.
+ * Los datos deben estar desbloqueados.
+ * @returns {Promise<number>} Una promesa que resuelve con el número de copias automáticas descartadas
+ * por estar cifradas con una clave anterior.
+ */
+async function desactivarCifradoDatos() {
+    const registros = {};
+    for (const storeName of Object.keys(CAMPOS_CIFRADOS)) {
+        registros[storeName] = await getAllFromStore(storeName);
+    }
+    const { contenidos, descartadas } = await convertirCopiasAutomaticas(null);
+    registros[STORE_NAME_CONTENIDO_COPIAS] = contenidos;
+    await reescribirRegistrosSensibles(registros, null, descartadas);
+    claveDatos = null;
+    return descartadas.length;
+}
+
+/**
+ * Comprueba la contraseña del cifrado en reposo y, si es correcta, deja la clave en memoria.
+ * @param {string} contrasena Contraseña introducida.
+ * @returns {Promise<boolean>} true si los datos se han desbloqueado.
+ */
+async function desbloquearDatos(contrasena) {
+    const configuracion = await getAjuste('cifradoDatos', null);
+    if (!configuracion) {
+        return true;
+    }
+    const clave = await derivarClave(contrasena, base64ABytes(configuracion.sal), configuracion.iteraciones);
+    try {
+        await descifrarTexto(clave, configuracion.verificador);
+    } catch (error) {
+        return false;
+    }
+    claveDatos = clave;
+    return true;
+}
+
+// --- Gestión de Planes de Tratamiento ---
+
+/**
+ * Agrega un nuevo plan de tratamiento a un paciente.
+ * @param {Object} planData Datos del plan (pacienteId, objetivo, modalidad, sesiones, frecuenciaDias, fechaInicio, estado).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID del nuevo plan.
+ */
+async function addPlan(planData) {
+    planData.uuid = planData.uuid || generarUUID();
+    const transaction = db.transaction([STORE_NAME_PLANES], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PLANES);
+    return new Promise((resolve, reject) => {
+        const request = store.add(planData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene un plan de tratamiento por su ID.
+ * @param {number} id ID del plan.
+ * @returns {Promise<Object>} Una promesa que resuelve con el objeto plan.
+ */
+async function getPlanById(id) {
+    const transaction = db.transaction([STORE_NAME_PLANES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PLANES);
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Actualiza un plan de tratamiento existente.
+ * @param {Object} planData Objeto plan con la información actualizada (debe incluir el ID).
+ * @returns {Promise<void>} Una promesa que resuelve cuando la actualización es exitosa.
+ */
+async function updatePlan(planData) {
+    const transaction = db.transaction([STORE_NAME_PLANES], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_PLANES);
+    return new Promise((resolve, reject) => {
+        const request = store.put(planData);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene todos los planes de tratamiento de un paciente, los más recientes primero.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de planes.
+ */
+async function getPlanesByPacienteId(pacienteId) {
+    const transaction = db.transaction([STORE_NAME_PLANES], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_PLANES);
+    const index = store.index('pacienteId');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(pacienteId));
+        request.onsuccess = () => {
+            const planes = request.result;
+            planes.sort((a, b) => b.fechaInicio.localeCompare(a.fechaInicio));
+            resolve(planes);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Elimina un plan de tratamiento. Las consultas del plan se conservan, pero quedan desvinculadas de él.
+ * @param {number} id ID del plan a eliminar.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la eliminación es exitosa.
+ */
+async function deletePlan(id) {
+    const transaction = db.transaction([STORE_NAME_PLANES, STORE_NAME_CONSULTAS], 'readwrite');
+    const index = transaction.objectStore(STORE_NAME_CONSULTAS).index('planId');
+    index.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.update({ ...cursor.value, planId: null });
+            cursor.continue();
+        }
+    };
+    transaction.objectStore(STORE_NAME_PLANES).delete(id);
+
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// --- Gestión de la Agenda de Citas ---
+
+/**
+ * Agrega una nueva cita a la agenda.
+ * @param {Object} citaData Datos de la cita (pacienteId, fecha, hora, duracion, tratamiento, estado).
+ * @returns {Promise<number>} Una promesa que resuelve con el ID de la nueva cita.
+ */
+async function addCita(citaData) {
+    citaData.uuid = citaData.uuid || generarUUID();
+    const transaction = db.transaction([STORE_NAME_CITAS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CITAS);
+    return new Promise((resolve, reject) => {
+        const request = store.add(citaData);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene una cita por su ID.
+ * @param {number} id ID de la cita.
+ * @returns {Promise<Object>} Una promesa que resuelve con el objeto cita.
+ */
+async function getCitaById(id) {
+    const transaction = db.transaction([STORE_NAME_CITAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_CITAS);
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Actualiza una cita existente (estado, consulta vinculada, etc.).
+ * @param {Object} citaData Objeto cita con la información actualizada (debe incluir el ID).
+ * @returns {Promise<void>} Una promesa que resuelve cuando la actualización es exitosa.
+ */
+async function updateCita(citaData) {
+    const transaction = db.transaction([STORE_NAME_CITAS], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME_CITAS);
+    return new Promise((resolve, reject) => {
+        const request = store.put(citaData);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene las citas comprendidas entre dos fechas (ambas incluidas), ordenadas por fecha y hora.
+ * @param {string} desde Fecha inicial en formato YYYY-MM-DD.
+ * @param {string} hasta Fecha final en formato YYYY-MM-DD.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de citas.
+ */
+async function getCitasEntreFechas(desde, hasta) {
+    const transaction = db.transaction([STORE_NAME_CITAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_CITAS);
+    const index = store.index('fecha');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.bound(desde, hasta));
+        request.onsuccess = () => {
+            const citas = request.result.filter(cita => !cita.eliminadoEn); // Sin las de pacientes en la papelera
+            citas.sort((a, b) => a.fecha.localeCompare(b.fecha) || a.hora.localeCompare(b.hora));
+            resolve(citas);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene todas las citas de un paciente.
+ * @param {number} pacienteId ID del paciente.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con un array de citas.
+ */
+async function getCitasByPacienteId(pacienteId) {
+    const transaction = db.transaction([STORE_NAME_CITAS], 'readonly');
+    const store = transaction.objectStore(STORE_NAME_CITAS);
+    const index = store.index('pacienteId');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.only(pacienteId));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- Búsqueda Avanzada de Pacientes ---
+
+// Notas de consulta ya descifradas y normalizadas para la búsqueda, por ID de consulta. Cada entrada vale mientras
+// la consulta guardada no cambie (cada guardado cifra con un IV nuevo) y todas se descartan al bloquear los datos.
+const notasBusqueda = new Map();
+
+/**
+ * Obtiene las notas normalizadas de una consulta para compararlas con el texto buscado,
+ * descifrándolas solo si no están ya en la caché de la sesión.
+ * @param {Object} consulta Consulta tal como está guardada (sin descifrar).
+ * @returns {Promise<string>} Notas normalizadas.
+ */
+async function getNotasBusqueda(consulta) {
+    if (!consulta.cifrado) {
+        return normalizarTexto(consulta.notas);
+    }
+    const guardadas = notasBusqueda.get(consulta.id);
+    if (guardadas && guardadas.iv === consulta.cifrado.iv) {
+        return guardadas.notas;
+    }
+    const notas = normalizarTexto((await descifrarRegistro(STORE_NAME_CONSULTAS, consulta)).notas);
+    notasBusqueda.set(consulta.id, { iv: consulta.cifrado.iv, notas });
+    return notas;
+}
+
+/**
+ * Busca pacientes combinando texto libre, filtros y orden.
+ * El texto se compara sin distinguir mayúsculas ni acentos con el nombre, el diagnóstico, el motivo
+ * de consulta y las notas de las consultas; si tiene varias palabras, todas deben aparecer.
+ * @param {Object} criterios Criterios de búsqueda.
+ * @param {string} [criterios.texto] Texto a buscar.
+ * @param {number} [criterios.edadMinima] Edad mínima (inclusive).
+ * @param {number} [criterios.edadMaxima] Edad máxima (inclusive).
+ * @param {string} [criterios.ultimaVisitaDesde] Última visita en o después de esta fecha (YYYY-MM-DD).
+ * @param {string} [criterios.ultimaVisitaHasta] Última visita en o antes de esta fecha (YYYY-MM-DD).
+ * @param {string} [criterios.tratamientoActivo] 'si' o 'no' para filtrar por planes de tratamiento activos.
+ * @param {number} [criterios.sinVisitaDias] Solo pacientes sin consultas en los últimos N días (o sin ninguna).
+ * @param {string} [criterios.orden] Uno de los valores de ORDENES_BUSQUEDA.
+ * @returns {Promise<Array<{paciente: Object, edad: number, ultimaVisita: string|null, planesActivos: number, coincidencias: string[]}>>}
+ */
+async function buscarPacientes(criterios = {}) {
+    // Las consultas se leen sin descifrar: la fecha está en claro y las notas solo se descifran si hacen falta
+    const [pacientes, consultas, planes] = await Promise.all([
+        getAllPacientes(),
+        getRegistrosGuardados(STORE_NAME_CONSULTAS),
+        getAllFromStore(STORE_NAME_PLANES)
+    ]);
+
+    const consultasPorPaciente = new Map();
+    consultas.forEach(consulta => {
+        if (!consultasPorPaciente.has(consulta.pacienteId)) {
+            consultasPorPaciente.set(consulta.pacienteId, []);
+        }
+        consultasPorPaciente.get(consulta.pacienteId).push(consulta);
+    });
+    const planesActivosPorPaciente = new Map();
+    planes.filter(plan => plan.estado === 'activo').forEach(plan => {
+        planesActivosPorPaciente.set(plan.pacienteId, (planesActivosPorPaciente.get(plan.pacienteId) || 0) + 1);
+    });
+
+    const terminos = normalizarTexto(criterios.texto || '').split(/\s+/).filter(Boolean);
+    const limiteSinVisita = criterios.sinVisitaDias > 0 ? formatDate(sumarDias(new Date(), -criterios.sinVisitaDias)) : null;
+
+    const resultados = [];
+    for (const paciente of pacientes) {
+        const consultasPaciente = consultasPorPaciente.get(paciente.id) || [];
+        const ultimaVisita = consultasPaciente.reduce((max, c) => (!max || c.fecha > max ? c.fecha : max), null);
+        const edad = calcularEdad(paciente.fechaNacimiento);
+        const planesActivos = planesActivosPorPaciente.get(paciente.id) || 0;
+
+        // Primero los filtros que no necesitan descifrar nada
+        if (criterios.edadMinima !== undefined && criterios.edadMinima !== null && edad < criterios.edadMinima) {
+            continue;
+        }
+        if (criterios.edadMaxima !== undefined && criterios.edadMaxima !== null && edad > criterios.edadMaxima) {
+            continue;
+        }
+        if (criterios.ultimaVisitaDesde && (!ultimaVisita || ultimaVisita < criterios.ultimaVisitaDesde)) {
+            continue;
+        }
+        if (criterios.ultimaVisitaHasta && (!ultimaVisita || ultimaVisita > criterios.ultimaVisitaHasta)) {
+            continue;
+        }
+        if (criterios.tratamientoActivo === 'si' && planesActivos === 0) {
+            continue;
+        }
+        if (criterios.tratamientoActivo === 'no' && planesActivos > 0) {
+            continue;
+        }
+        if (limiteSinVisita && ultimaVisita && ultimaVisita > limiteSinVisita) {
+            continue;
+        }
+
+        // Texto: cada término debe aparecer en algún campo o en alguna nota.
+        // Las notas solo se consultan si hay términos que no aparecen en los campos del paciente.
+        const coincidencias = new Set();
+        const pendientes = terminos.filter(termino => {
+            let encontrado = false;
+            CAMPOS_BUSQUEDA.forEach(({ campo, etiqueta }) => {
+                if (normalizarTexto(paciente[campo]).includes(termino)) {
+                    coincidencias.add(etiqueta);
+                    encontrado = true;
+                }
+            });
+            return !encontrado;
+        });
+        if (pendientes.length > 0) {
+            const notas = await Promise.all(consultasPaciente.map(getNotasBusqueda));
+            if (!pendientes.every(termino => notas.some(nota => nota.includes(termino)))) {
+                continue;
+            }
+            coincidencias.add('Notas de consulta');
+        }
+
+        resultados.push({ paciente, edad, ultimaVisita, planesActivos, coincidencias: [...coincidencias] });
+    }
+
+    // Las fechas ISO se ordenan alfabéticamente; sin visitas se considera la fecha más antigua
+    const porNombre = (a, b) => a.paciente.nombre.localeCompare(b.paciente.nombre);
+    const comparadores = {
+        nombre: porNombre,
+        ultimaVisitaReciente: (a, b) => (b.ultimaVisita || '').localeCompare(a.ultimaVisita || '') || porNombre(a, b),
+        ultimaVisitaAntigua: (a, b) => (a.ultimaVisita || '').localeCompare(b.ultimaVisita || '') || porNombre(a, b),
+        edadAsc: (a, b) => a.edad - b.edad || porNombre(a, b),
+        edadDesc: (a, b) => b.edad - a.edad || porNombre(a, b),
+        registro: (a, b) => b.paciente.id - a.paciente.id
+    };
+    return resultados.sort(comparadores[criterios.orden] || porNombre);
+}
+
+// --- Pacientes Duplicados ---
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos: número mínimo de letras a insertar, borrar o cambiar.
+ * @param {string} a Primer texto.
+ * @param {string} b Segundo texto.
+ * @returns {number} Distancia.
+ */
+function distanciaEdicion(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        anterior = actual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Indica si dos nombres probablemente son de la misma persona: iguales sin acentos ni mayúsculas,
+ * uno contiene todas las palabras del otro ("Ana Ramírez" y "Ana María Ramírez López") o solo
+ * difieren en una o dos letras (erratas).
+ * @param {string} a Primer nombre.
+ * @param {string} b Segundo nombre.
+ * @returns {boolean} true si son parecidos.
+ */
+function sonNombresSimilares(a, b) {
+    const nombreA = normalizarNombre(a);
+    const nombreB = normalizarNombre(b);
+    if (!nombreA || !nombreB) {
+        return false;
+    }
+    const palabrasA = nombreA.split(' ');
+    const palabrasB = nombreB.split(' ');
+    const [menos, mas] = palabrasA.length <= palabrasB.length ? [palabrasA, palabrasB] : [palabrasB, palabrasA];
+    return menos.every(palabra => mas.includes(palabra)) ||
+        distanciaEdicion(nombreA, nombreB) <= Math.min(2, Math.floor(Math.max(nombreA.length, nombreB.length) / 5));
+}
+
+/**
+ * Busca pacientes registrados con la misma fecha de nacimiento y un nombre parecido.
+ * Recorre el índice de nombres sin descifrar los registros (el nombre y la fecha no se cifran).
+ * @param {string} nombre Nombre del paciente.
+ * @param {string} fechaNacimiento Fecha de nacimiento YYYY-MM-DD.
+ * @param {number|null} [excluirId=null] ID de un paciente que no debe aparecer (el propio paciente).
+ * @returns {Promise<Array<{id: number, nombre: string, fechaNacimiento: string}>>} Posibles duplicados.
+ */
+async function buscarPacientesSimilares(nombre, fechaNacimiento, excluirId = null) {
+    const transaction = db.transaction([STORE_NAME_PACIENTES], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_PACIENTES).index('nombreNormalizado');
+    return new Promise((resolve, reject) => {
+        const similares = [];
+        const request = index.openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve(similares);
+                return;
+            }
+            const paciente = cursor.value;
+            if (paciente.id !== excluirId && paciente.fechaNacimiento === fechaNacimiento && sonNombresSimilares(paciente.nombre, nombre)) {
+                similares.push({ id: paciente.id, nombre: paciente.nombre, fechaNacimiento: paciente.fechaNacimiento });
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Compara dos pacientes campo a campo (con las mismas etiquetas que las hojas de cálculo).
+ * @param {Object} a Primer paciente.
+ * @param {Object} b Segundo paciente.
+ * @returns {Array<{campo: string, etiqueta: string, valorA: *, valorB: *}>} Campos con valores distintos.
+ */
+function diferenciasPacientes(a, b) {
+    const valor = (paciente, campo) => (campo === 'contraindicaciones'
+        ? [...(paciente.contraindicaciones || [])].sort().join(',')
+        : (paciente[campo] || '').trim());
+    return COLUMNAS_CSV_PACIENTES
+        .filter(({ campo }) => valor(a, campo) !== valor(b, campo))
+        .map(({ campo, etiqueta }) => ({ campo, etiqueta, valorA: a[campo], valorB: b[campo] }));
+}
+
+/**
+ * Fusiona dos pacientes en una única transacción: las consultas, fotos, citas y planes del paciente
+ * eliminado pasan al conservado, que toma los valores elegidos, y el registro eliminado se borra.
+ * @param {number} conservadoId ID del paciente que se conserva.
+ * @param {number} eliminadoId ID del paciente que desaparece.
+ * @param {Object} valores Valores elegidos para los campos que difieren (p. ej. { telefono: '...' }).
+ * @returns {Promise<Object>} El paciente resultante.
+ */
+async function fusionarPacientes(conservadoId, eliminadoId, valores = {}) {
+    const [conservado, eliminado] = await Promise.all([getPacienteById(conservadoId), getPacienteById(eliminadoId)]);
+    if (!conservado || !eliminado || conservadoId === eliminadoId) {
+        throw new Error('Elige dos pacientes distintos para fusionar.');
+    }
+    const fusionado = normalizarPaciente({ ...conservado, ...valores, id: conservado.id, uuid: conservado.uuid });
+    // Cifrar antes de abrir la transacción: una espera ajena a IndexedDB la cerraría
+    const registro = await cifrarRegistro(STORE_NAME_PACIENTES, fusionado);
+    const consultasMovidas = await getConsultasByPacienteId(eliminadoId);
+    const entradas = await Promise.all([
+        prepararEntradaHistorial(STORE_NAME_PACIENTES, 'fusionar', conservado, fusionado),
+        prepararEntradaHistorial(STORE_NAME_PACIENTES, 'eliminar', eliminado, null),
+        ...consultasMovidas.map(consulta =>
+            prepararEntradaHistorial(STORE_NAME_CONSULTAS, 'fusionar', consulta, { ...consulta, pacienteId: conservadoId }))
+    ]);
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME_PACIENTES, ...STORES_DEPENDIENTES_PACIENTE, STORE_NAME_HISTORIAL], 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('La fusión se ha cancelado.'));
+        try {
+            STORES_DEPENDIENTES_PACIENTE.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('pacienteId');
+                index.openCursor(IDBKeyRange.only(eliminadoId)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.update({ ...cursor.value, pacienteId: conservadoId });
+                        cursor.continue();
+                    }
+                };
+            });
+            const pacientesStore = transaction.objectStore(STORE_NAME_PACIENTES);
+            pacientesStore.put(registro);
+            pacientesStore.delete(eliminadoId);
+            anadirEntradasHistorial(transaction, entradas);
+        } catch (error) {
+            transaction.abort();
+            reject(error);
+        }
+    });
+    return fusionado;
+}
+
+// --- Estadísticas de la Consulta ---
+
+/**
+ * Obtiene el periodo (día, semana o mes) al que pertenece una fecha.
+ * @param {string} fecha Fecha YYYY-MM-DD.
+ * @param {string} agrupacion 'dia', 'semana' (de lunes a domingo) o 'mes'.
+ * @returns {string} Clave del periodo: la fecha, la del lunes (YYYY-MM-DD) o el mes (YYYY-MM).
+ */
+function periodoDeFecha(fecha, agrupacion) {
+    if (agrupacion === 'dia') {
+        return fecha;
+    }
+    return agrupacion === 'mes' ? fecha.slice(0, 7) : formatDate(inicioSemana(new Date(fecha + 'T00:00:00')));
+}
+
+/**
+ * Lista todos los periodos entre dos fechas, para que los periodos sin sesiones también aparezcan.
+ * @param {string} desde Fecha inicial YYYY-MM-DD.
+ * @param {string} hasta Fecha final YYYY-MM-DD.
+ * @param {string} agrupacion 'dia', 'semana' o 'mes'.
+ * @returns {Array<string>} Claves de los periodos en orden.
+ */
+function periodosEntre(desde, hasta, agrupacion) {
+    const periodos = [];
+    let actual = periodoDeFecha(desde, agrupacion);
+    const ultimo = periodoDeFecha(hasta, agrupacion);
+    while (actual <= ultimo) {
+        periodos.push(actual);
+        if (agrupacion === 'mes') {
+            const [anio, mes] = actual.split('-').map(Number);
+            actual = mes === 12 ? `${anio + 1}-01` : `${anio}-${String(mes + 1).padStart(2, '0')}`;
+        } else {
+            actual = formatDate(sumarDias(actual, agrupacion === 'dia' ? 1 : 7));
+        }
+    }
+    return periodos;
+}
+
+/**
+ * Número de días entre dos fechas YYYY-MM-DD.
+ * @param {string} desde Fecha inicial.
+ * @param {string} hasta Fecha final.
+ * @returns {number} Días transcurridos.
+ */
+function diasEntre(desde, hasta) {
+    return Math.round((new Date(hasta + 'T00:00:00') - new Date(desde + 'T00:00:00')) / 86400000);
+}
+
+/**
+ * Calcula las estadísticas de la consulta a partir de los pacientes y sus consultas.
+ * Las sesiones, los pacientes nuevos y recurrentes, los diagnósticos, las edades y los intervalos entre
+ * visitas se calculan con las consultas del rango de fechas; los pacientes sin visita se cuentan
+ * respecto a la fecha final del rango.
+ * @param {Object} opciones
+ * @param {string} [opciones.desde] Fecha inicial YYYY-MM-DD (por defecto, la primera consulta).
+ * @param {string} [opciones.hasta] Fecha final YYYY-MM-DD (por defecto, hoy).
+ * @param {string} [opciones.agrupacion='semana'] Agrupar las sesiones por 'semana' o por 'mes'.
+ * @returns {Promise<Object<string, {titulo: string, columnas: string[], filas: Array<Array<*>>}>>} Tablas por clave.
+ */
+async function calcularEstadisticas({ desde, hasta, agrupacion = 'semana' } = {}) {
+    const [pacientes, consultas] = await Promise.all([
+        getAllPacientes(),
+        getAllFromStore(STORE_NAME_CONSULTAS)
+    ]);
+    const fechaFinal = hasta || formatDate(new Date());
+    const fechaInicial = desde || consultas.reduce((min, c) => (!min || c.fecha < min ? c.fecha : min), null) || fechaFinal;
+    const pacientesPorId = new Map(pacientes.map(paciente => [paciente.id, paciente]));
+    const porcentaje = (valor, total) => (total > 0 ? `${Math.round(valor / total * 100)} %` : '0 %');
+
+    // Fechas de todas las consultas de cada paciente, en orden
+    const fechasPorPaciente = new Map();
+    consultas.filter(c => pacientesPorId.has(c.pacienteId)).forEach(consulta => {
+        if (!fechasPorPaciente.has(consulta.pacienteId)) {
+            fechasPorPaciente.set(consulta.pacienteId, []);
+        }
+        fechasPorPaciente.get(consulta.pacienteId).push(consulta.fecha);
+    });
+    fechasPorPaciente.forEach(fechas => fechas.sort());
+
+    const enRango = consultas.filter(c => pacientesPorId.has(c.pacienteId) && c.fecha >= fechaInicial && c.fecha <= fechaFinal);
+    const atendidos = [...new Set(enRango.map(c => c.pacienteId))].map(id => pacientesPorId.get(id));
+
+    // Sesiones y pacientes nuevos/recurrentes por periodo (nuevo = su primera consulta cae en ese periodo)
+    const periodos = new Map(periodosEntre(fechaInicial, fechaFinal, agrupacion)
+        .map(periodo => [periodo, { sesiones: 0, pacientes: new Set() }]));
+    enRango.forEach(consulta => {
+        const periodo = periodos.get(periodoDeFecha(consulta.fecha, agrupacion));
+        periodo.sesiones++;
+        periodo.pacientes.add(consulta.pacienteId);
+    });
+    const etiquetaPeriodo = agrupacion === 'mes' ? 'Mes' : 'Semana (lunes)';
+    const filasSesiones = [];
+    const filasNuevos = [];
+    periodos.forEach(({ sesiones, pacientes: ids }, periodo) => {
+        const nuevos = [...ids].filter(id => periodoDeFecha(fechasPorPaciente.get(id)[0], agrupacion) === periodo).length;
+        filasSesiones.push([periodo, sesiones, ids.size]);
+        filasNuevos.push([periodo, nuevos, ids.size - nuevos]);
+    });
+
+    // Diagnósticos más comunes, agrupando los que solo difieren en mayúsculas, acentos o espacios
+    const diagnosticos = new Map();
+    atendidos.forEach(paciente => {
+        const clave = normalizarNombre(paciente.diagnosticoFisio);
+        if (!diagnosticos.has(clave)) {
+            diagnosticos.set(clave, { diagnostico: (paciente.diagnosticoFisio || '').trim() || 'Sin diagnóstico', pacientes: 0 });
+        }
+        diagnosticos.get(clave).pacientes++;
+    });
+    const filasDiagnosticos = [...diagnosticos.values()]
+        .sort((a, b) => b.pacientes - a.pacientes || a.diagnostico.localeCompare(b.diagnostico))
+        .map(({ diagnostico, pacientes: total }) => [diagnostico, total, porcentaje(total, atendidos.length)]);
+
+    const filasEdades = RANGOS_EDAD_ESTADISTICAS.map(([minima, maxima]) => {
+        const total = atendidos.filter(paciente => {
+            const edad = calcularEdad(paciente.fechaNacimiento);
+            return edad >= minima && edad <= maxima;
+        }).length;
+        const rango = maxima === Infinity ? `${minima} o más` : `${minima}–${maxima}`;
+        return [rango, total, porcentaje(total, atendidos.length)];
+    });
+
+    // Intervalos entre visitas consecutivas dentro del rango (pacientes con al menos dos consultas)
+    const filasIntervalos = atendidos
+        .map(paciente => {
+            const fechas = fechasPorPaciente.get(paciente.id).filter(f => f >= fechaInicial && f <= fechaFinal);
+            const intervalos = fechas.slice(1).map((fecha, i) => diasEntre(fechas[i], fecha));
+            return { paciente, fechas, intervalos };
+        })
+        .filter(({ intervalos }) => intervalos.length > 0)
+        .map(({ paciente, fechas, intervalos }) => [
+            paciente.nombre,
+            fechas.length,
+            Math.round(intervalos.reduce((suma, dias) => suma + dias, 0) / intervalos.length),
+            Math.max(...intervalos),
+            fechas[fechas.length - 1]
+        ])
+        .sort((a, b) => b[3] - a[3] || a[0].localeCompare(b[0]));
+
+    // Pacientes sin visita respecto a la fecha final (sin contar consultas posteriores a ella)
+    const sinVisita = pacientes
+        .map(paciente => {
+            const anteriores = (fechasPorPaciente.get(paciente.id) || []).filter(f => f <= fechaFinal);
+            const ultimaVisita = anteriores[anteriores.length - 1] || null;
+            return { paciente, ultimaVisita, dias: ultimaVisita ? diasEntre(ultimaVisita, fechaFinal) : null };
+        })
+        .filter(({ dias }) => dias === null || dias > UMBRALES_SIN_VISITA[0]);
+    const filasResumenSinVisita = [
+        ...UMBRALES_SIN_VISITA.map(umbral => [`Más de ${umbral} días`, sinVisita.filter(({ dias }) => dias !== null && dias > umbral).length]),
+        ['Sin ninguna consulta', sinVisita.filter(({ dias }) => dias === null).length]
+    ];
+    const filasSinVisita = sinVisita
+        .filter(({ dias }) => dias !== null)
+        .sort((a, b) => b.dias - a.dias || a.paciente.nombre.localeCompare(b.paciente.nombre))
+        .map(({ paciente, ultimaVisita, dias }) => [paciente.nombre, paciente.telefono, ultimaVisita, dias]);
+
+    return {
+        sesiones: {
+            titulo: `Sesiones por ${agrupacion === 'mes' ? 'mes' : 'semana'}`,
+            columnas: [etiquetaPeriodo, 'Sesiones', 'Pacientes atendidos'],
+            filas: filasSesiones
+        },
+        nuevosRecurrentes: {
+            titulo: 'Pacientes nuevos y recurrentes',
+            columnas: [etiquetaPeriodo, 'Nuevos', 'Recurrentes'],
+            filas: filasNuevos
+        },
+        diagnosticos: {
+            titulo: 'Diagnósticos más comunes',
+            columnas: ['Diagnóstico', 'Pacientes', 'Porcentaje'],
+            filas: filasDiagnosticos
+        },
+        edades: {
+            titulo: 'Distribución por edad',
+            columnas: ['Edad', 'Pacientes', 'Porcentaje'],
+            filas: filasEdades
+        },
+        intervalos: {
+            titulo: 'Intervalos entre visitas',
+            columnas: ['Paciente', 'Sesiones', 'Intervalo medio (días)', 'Mayor intervalo (días)', 'Última visita'],
+            filas: filasIntervalos
+        },
+        resumenSinVisita: {
+            titulo: `Pacientes sin visita al ${fechaFinal}`,
+            columnas: ['Sin visita', 'Pacientes'],
+            filas: filasResumenSinVisita
+        },
+        sinVisita: {
+            titulo: `Pacientes sin visita en más de ${UMBRALES_SIN_VISITA[0]} días`,
+            columnas: ['Paciente', 'Teléfono', 'Última visita', 'Días sin visita'],
+            filas: filasSinVisita
+        }
+    };
+}
+
+// --- Gestión de Importación/Exportación de Datos ---
+
+/**
+ * Obtiene todos los registros de un object store tal como están guardados, sin descifrar sus campos sensibles.
+ * @param {string} storeName Nombre del object store.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con todos los registros.
+ */
+async function getRegistrosGuardados(storeName) {
+    const transaction = db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene todos los registros de un object store.
+ * @param {string} storeName Nombre del object store.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con todos los registros.
+ */
+async function getAllFromStore(storeName) {
+    const transaction = db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(descifrarRegistros(storeName, request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Calcula el hash SHA-256 de un texto.
+ * @param {string} texto Texto a resumir.
+ * @returns {Promise<string>} Hash en hexadecimal.
+ */
+async function calcularHash(texto) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(texto));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reúne todos los datos en el envoltorio de copia de seguridad: identificador de la aplicación,
+ * versión del formato y de la base de datos, fecha de exportación, recuentos y hash de integridad.
+ * @returns {Promise<Object>} Copia de seguridad lista para serializar.
+ */
+async function generarRespaldo() {
+    const datos = {};
+    for (const storeName of STORES_RESPALDO) {
+        datos[storeName] = await getAllFromStore(storeName);
+    }
+
+    // Las imágenes (Blob) no se pueden serializar a JSON: se guardan como data URL
+    for (const foto of datos[STORE_NAME_FOTOS]) {
+        foto.imagen = await blobADataURL(foto.imagen);
+        foto.miniatura = await blobADataURL(foto.miniatura);
+    }
+
+    const recuento = {};
+    STORES_RESPALDO.forEach(storeName => {
+        recuento[storeName] = datos[storeName].length;
+    });
+
+    return {
+        app: APP_RESPALDO,
+        formato: FORMATO_RESPALDO,
+        dbVersion: DB_VERSION,
+        exportadoEn: new Date().toISOString(),
+        recuento,
+        hash: await calcularHash(JSON.stringify(datos)),
+        datos
+    };
+}
+
+// Actualizaciones de las copias de seguridad antiguas: cada función pasa de la versión N a la N + 1
+const MIGRACIONES_RESPALDO = {
+    1: (respaldo) => {
+        const datos = {};
+        STORES_RESPALDO.forEach(storeName => {
+            datos[storeName] = (respaldo.datos[storeName] || []).map(registro => ({ ...registro, uuid: registro.uuid || generarUUID() }));
+        });
+        return { ...respaldo, formato: 2, datos };
+    }
+};
+
+const PATRON_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+const PATRON_HORA = /^\d{2}:\d{2}$/;
+
+function esFechaValida(valor) {
+    return typeof valor === 'string' && PATRON_FECHA.test(valor) && !isNaN(new Date(valor + 'T00:00:00'));
+}
+
+/**
+ * Comprueba la estructura de todos los registros de una copia de seguridad antes de escribir nada:
+ * tipos y campos obligatorios, IDs únicos y referencias a registros que existan en la propia copia.
+ * @param {Object} datos Registros de la copia por store.
+ * @returns {string[]} Errores encontrados (vacío si la copia es válida).
+ */
+function validarDatosRespaldo(datos) {
+    const errores = [];
+    const ids = {};
+
+    STORES_RESPALDO.forEach(storeName => {
+        const etiqueta = ETIQUETAS_STORES[storeName];
+        ids[storeName] = new Set();
+        if (!Array.isArray(datos[storeName])) {
+            errores.push(`${etiqueta}: se esperaba una lista de registros.`);
+            datos[storeName] = [];
+            return;
+        }
+        datos[storeName].forEach((registro, indice) => {
+            if (!registro || typeof registro !== 'object') {
+                errores.push(`${etiqueta} n.º ${indice + 1}: no es un registro válido.`);
+                return;
+            }
+            if (!Number.isInteger(registro.id)) {
+                errores.push(`${etiqueta} n.º ${indice + 1}: falta el ID o no es un número entero.`);
+            } else if (ids[storeName].has(registro.id)) {
+                errores.push(`${etiqueta} n.º ${indice + 1}: el ID ${registro.id} está repetido.`);
+            } else {
+                ids[storeName].add(registro.id);
+            }
+        });
+    });
+
+    const comprobar = (storeName, condicion, mensaje) => {
+        datos[storeName].forEach((registro, indice) => {
+            if (registro && typeof registro === 'object' && !condicion(registro)) {
+                errores.push(`${ETIQUETAS_STORES[storeName]} n.º ${indice + 1} (ID ${registro.id}): ${mensaje}`);
+            }
+        });
+    };
+    const referencia = (storeName, campo, storeReferido, opcional) => comprobar(storeName,
+        r => (opcional && (r[campo] === null || r[campo] === undefined)) || ids[storeReferido].has(r[campo]),
+        `${campo} no corresponde a ningún registro de ${ETIQUETAS_STORES[storeReferido].toLowerCase()} de la copia.`);
+
+    comprobar(STORE_NAME_PACIENTES, p => typeof p.nombre === 'string' && p.nombre.trim() !== '', 'falta el nombre.');
+    comprobar(STORE_NAME_PACIENTES, p => esFechaValida(p.fechaNacimiento), 'la fecha de nacimiento no es válida.');
+    comprobar(STORE_NAME_PACIENTES, p => CAMPOS_PACIENTE.every(campo => p[campo] === undefined || p[campo] === null || typeof p[campo] === 'string'),
+        'algún dato de contacto o clínico no es texto.');
+    comprobar(STORE_NAME_PACIENTES, p => p.contraindicaciones === undefined || Array.isArray(p.contraindicaciones),
+        'las contraindicaciones no son una lista.');
+
+    comprobar(STORE_NAME_CONSULTAS, c => esFechaValida(c.fecha), 'la fecha no es válida.');
+    comprobar(STORE_NAME_CONSULTAS, c => c.notas === undefined || typeof c.notas === 'string', 'las notas no son texto.');
+    comprobar(STORE_NAME_CONSULTAS, c => c.evaluacion === undefined || c.evaluacion === null ||
+        (typeof c.evaluacion === 'object' && !Array.isArray(c.evaluacion)), 'la evaluación no es válida.');
+    referencia(STORE_NAME_CONSULTAS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    referencia(STORE_NAME_CONSULTAS, 'planId', STORE_NAME_PLANES, true);
+
+    referencia(STORE_NAME_PLANES, 'pacienteId', STORE_NAME_PACIENTES, false);
+    comprobar(STORE_NAME_PLANES, p => Number.isInteger(p.sesiones) && p.sesiones > 0, 'el número de sesiones no es válido.');
+
+    referencia(STORE_NAME_FOTOS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    referencia(STORE_NAME_FOTOS, 'consultaId', STORE_NAME_CONSULTAS, true);
+    comprobar(STORE_NAME_FOTOS, f => typeof f.imagen === 'string' && f.imagen.startsWith('data:'), 'falta la imagen.');
+
+    referencia(STORE_NAME_CITAS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    referencia(STORE_NAME_CITAS, 'consultaId', STORE_NAME_CONSULTAS, true);
+    comprobar(STORE_NAME_CITAS, c => esFechaValida(c.fecha) && PATRON_HORA.test(c.hora), 'la fecha u hora no es válida.');
+
+    referencia(STORE_NAME_CONSENTIMIENTOS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    comprobar(STORE_NAME_CONSENTIMIENTOS, c => typeof c.texto === 'string' && c.texto.trim() !== '', 'falta el texto.');
+    comprobar(STORE_NAME_CONSENTIMIENTOS, c => typeof c.firma === 'string' && c.firma.startsWith('data:image/'), 'falta la firma.');
+    comprobar(STORE_NAME_CONSENTIMIENTOS, c => typeof c.fechaFirma === 'string' && !isNaN(new Date(c.fechaFirma)), 'la fecha de firma no es válida.');
+
+    comprobar(STORE_NAME_PLANTILLAS_NOTAS, p => typeof p.nombre === 'string' && p.nombre.trim() !== '', 'falta el nombre.');
+    comprobar(STORE_NAME_PLANTILLAS_NOTAS, p => typeof p.texto === 'string', 'el texto no es válido.');
+    comprobar(STORE_NAME_PLANTILLAS_NOTAS, p => TIPOS_PLANTILLA_NOTA.some(tipo => tipo.valor === p.tipo), 'el tipo no es válido.');
+
+    comprobar(STORE_NAME_SERVICIOS, s => typeof s.nombre === 'string' && s.nombre.trim() !== '', 'falta el nombre.');
+    comprobar(STORE_NAME_SERVICIOS, s => Number.isFinite(s.precio) && s.precio >= 0, 'el precio no es válido.');
+    comprobar(STORE_NAME_SERVICIOS, s => Number.isInteger(s.sesiones) && s.sesiones > 0, 'el número de sesiones no es válido.');
+
+    referencia(STORE_NAME_CARGOS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    referencia(STORE_NAME_CARGOS, 'consultaId', STORE_NAME_CONSULTAS, true);
+    comprobar(STORE_NAME_CARGOS, c => esFechaValida(c.fecha), 'la fecha no es válida.');
+    comprobar(STORE_NAME_CARGOS, c => Number.isFinite(c.importe) && c.importe > 0, 'el importe no es válido.');
+
+    referencia(STORE_NAME_PAGOS, 'pacienteId', STORE_NAME_PACIENTES, false);
+    comprobar(STORE_NAME_PAGOS, p => esFechaValida(p.fecha), 'la fecha no es válida.');
+    comprobar(STORE_NAME_PAGOS, p => Number.isFinite(p.importe) && p.importe > 0, 'el importe no es válido.');
+    comprobar(STORE_NAME_PAGOS, p => METODOS_PAGO.some(metodo => metodo.valor === p.metodo), 'la forma de pago no es válida.');
+
+    return errores;
+}
+
+/**
+ * Interpreta el contenido de un archivo de copia de seguridad: comprueba que pertenece a esta aplicación,
+ * verifica el hash y los recuentos, actualiza las versiones antiguas del formato y valida todos los registros.
+ * Las copias cifradas se descifran primero con la contraseña indicada.
+ * @param {string} contenido Texto del archivo.
+ * @param {string} [contrasena] Contraseña de la copia, si está cifrada.
+ * @returns {Promise<Object>} Registros de la copia por store (fotos ya convertidas a Blob).
+ * @throws {Error} Con un mensaje para el usuario si el archivo no es una copia válida.
+ */
+async function leerRespaldo(contenido, contrasena) {
+    let json;
+    try {
+        json = JSON.parse(contenido);
+    } catch (error) {
+        throw new Error('El archivo no es un JSON válido.');
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('El archivo no es una copia de seguridad de esta aplicación.');
+    }
+
+    if (json.app === APP_RESPALDO && json.cifrado) {
+        if (!contrasena) {
+            throw new Error('La copia está cifrada. Escribe su contraseña antes de importarla.');
+        }
+        return leerRespaldo(await descifrarConContrasena(json.cifrado, contrasena));
+    }
+
+    let respaldo;
+    if (json.app === undefined && Array.isArray(json[STORE_NAME_PACIENTES])) {
+        respaldo = { formato: 1, datos: json }; // Copia anterior al envoltorio versionado
+    } else if (json.app === APP_RESPALDO && Number.isInteger(json.formato) && json.datos && typeof json.datos === 'object') {
+        respaldo = json;
+    } else {
+        throw new Error('El archivo no es una copia de seguridad de esta aplicación.');
+    }
+
+    if (respaldo.formato > FORMATO_RESPALDO || respaldo.dbVersion > DB_VERSION) {
+        throw new Error('La copia se creó con una versión más reciente de la aplicación. Actualiza la aplicación antes de importarla.');
+    }
+    if (respaldo.formato >= 2) {
+        if (respaldo.hash !== await calcularHash(JSON.stringify(respaldo.datos))) {
+            throw new Error('La copia está dañada o se ha modificado: el hash de integridad no coincide.');
+        }
+        // Las copias anteriores a un store (por ejemplo, a los consentimientos) no lo incluyen ni en los datos ni en el recuento
+        STORES_RESPALDO.forEach(storeName => {
+            if (!(storeName in respaldo.datos) && !(storeName in (respaldo.recuento || {}))) {
+                respaldo.datos[storeName] = [];
+                respaldo.recuento = { ...respaldo.recuento, [storeName]: 0 };
+            }
+        });
+        const recuentoIncorrecto = STORES_RESPALDO.find(storeName =>
+            (respaldo.datos[storeName] || []).length !== (respaldo.recuento || {})[storeName]);
+        if (recuentoIncorrecto) {
+            throw new Error(`La copia está incompleta: el número de registros de ${ETIQUETAS_STORES[recuentoIncorrecto].toLowerCase()} no coincide.`);
+        }
+    }
+
+    while (respaldo.formato < FORMATO_RESPALDO) {
+        respaldo = MIGRACIONES_RESPALDO[respaldo.formato](respaldo);
+    }
+
+    const datos = respaldo.datos;
+    const errores = validarDatosRespaldo(datos);
+    if (errores.length > 0) {
+        const mostrados = errores.slice(0, 5).join(' ');
+        const resto = errores.length > 5 ? ` (y ${errores.length - 5} errores más)` : '';
+        throw new Error(`La copia contiene datos no válidos y no se ha importado nada. ${mostrados}${resto}`);
+    }
+
+    datos[STORE_NAME_PACIENTES] = datos[STORE_NAME_PACIENTES].map(normalizarPaciente);
+    datos[STORE_NAME_FOTOS] = datos[STORE_NAME_FOTOS].map(foto => ({
+        ...foto,
+        imagen: dataURLABlob(foto.imagen),
+        miniatura: foto.miniatura ? dataURLABlob(foto.miniatura) : dataURLABlob(foto.imagen)
+    }));
+    return datos;
+}
+
+/**
+ * Ofrece un archivo para descargar.
+ * @param {Blob} blob Contenido del archivo.
+ * @param {string} nombreArchivo Nombre sugerido.
+ */
+function descargarArchivo(blob, nombreArchivo) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = nombreArchivo;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function nombreArchivoRespaldo(fecha) {
+    return `fisio_dermatofuncional_backup_${formatDate(fecha)}.json`;
+}
+
+/**
+ * Descarga una copia de seguridad de todos los datos.
+ * @param {string} [contrasena] Si se indica, la copia se cifra con ella (PBKDF2 + AES-GCM).
+ */
+async function exportAllData(contrasena) {
+    try {
+        let respaldo = await generarRespaldo();
+        if (contrasena) {
+            respaldo = {
+                app: APP_RESPALDO,
+                formato: FORMATO_RESPALDO,
+                exportadoEn: respaldo.exportadoEn,
+                cifrado: await cifrarConContrasena(JSON.stringify(respaldo), contrasena)
+            };
+        }
+
+        const jsonString = JSON.stringify(respaldo, null, 2); // Formato legible con indentación
+        descargarArchivo(new Blob([jsonString], { type: 'application/json' }), nombreArchivoRespaldo(new Date()));
+        alert('Datos exportados con éxito. Revisa tus descargas.');
+    } catch (error) {
+        console.error('Error al exportar datos:', error);
+        alert('Error al exportar los datos. Consulta la consola para más detalles.');
+    }
+}
+
+/**
+ * Importa una copia de seguridad, revisando antes sus diferencias con los datos locales.
+ * @param {File} file Archivo de copia de seguridad.
+ * @param {string} [contrasena] Contraseña de la copia, si está cifrada.
+ */
+async function importAllData(file, contrasena) {
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+        try {
+            // Validar toda la copia antes de escribir nada en la base de datos
+            const datosToImport = await leerRespaldo(event.target.result, contrasena);
+
+            // Revisar las diferencias con los datos locales y elegir entre fusionar o reemplazar
+            const analisis = await analizarFusion(datosToImport);
+            const modo = await mostrarRevisionImportacion(analisis);
+            if (modo === null) {
+                document.getElementById('importMessage').style.display = 'none';
+                return;
+            }
+
+            if (modo === 'reemplazar') {
+                if (!confirm('¿Estás seguro de que quieres reemplazar todos los datos? Se borrarán los pacientes y consultas registrados en este equipo.')) {
+                    document.getElementById('importMessage').style.display = 'none';
+                    return;
+                }
+
+                await reemplazarTodosLosDatos(datosToImport);
+            } else {
+                await aplicarFusion(analisis);
+            }
+
+            alert('Datos importados con éxito. La página se recargará para aplicar los cambios.');
+            window.location.reload();
+
+        } catch (error) {
+            console.error('Error al importar datos:', error);
+            const importMessage = document.getElementById('importMessage');
+            importMessage.textContent = `Error al importar datos. ${error.message}`;
+            importMessage.style.backgroundColor = '#f8d7da';
+            importMessage.style.color = '#721c24';
+            importMessage.style.display = 'inline';
+            setTimeout(() => {
+                importMessage.style.display = 'none';
+            }, 10000);
+        }
+    };
+    reader.onerror = (error) => {
+        console.error('Error al leer el archivo:', error);
+        alert('Error al leer el archivo.');
+    };
+    reader.readAsText(file);
+}
+
+// --- Fusión de Copias de Seguridad ---
+
+// Campos que no se comparan al fusionar (identificadores, imágenes y el estado de la papelera de cada equipo)
+const CAMPOS_SIN_COMPARAR = ['id', 'uuid', 'imagen', 'miniatura', 'nombreNormalizado', 'eliminadoEn'];
+
+/**
+ * Clave para reconocer un mismo registro en dos equipos cuando no comparte uuid
+ * (copias de seguridad anteriores a los uuid). Las claves foráneas ya deben estar
+ * traducidas a IDs locales.
+ */
+const CLAVES_COINCIDENCIA = {
+    [STORE_NAME_PACIENTES]: p => `${normalizarNombre(p.nombre)}|${p.fechaNacimiento}`,
+    [STORE_NAME_PLANES]: p => `${p.pacienteId}|${normalizarTexto(p.objetivo)}|${p.fechaInicio}`,
+    [STORE_NAME_CONSULTAS]: c => `${c.pacienteId}|${c.fecha}|${normalizarTexto(c.notas)}`,
+    [STORE_NAME_FOTOS]: f => `${f.pacienteId}|${f.fecha}|${f.zona}|${f.momento}`,
+    [STORE_NAME_CITAS]: c => `${c.pacienteId}|${c.fecha}|${c.hora}`,
+    [STORE_NAME_CONSENTIMIENTOS]: c => `${c.pacienteId}|${c.modalidad}|${c.fechaFirma}`,
+    [STORE_NAME_PLANTILLAS_NOTAS]: p => `${p.tipo}|${normalizarNombre(p.nombre)}`,
+    [STORE_NAME_SERVICIOS]: s => normalizarNombre(s.nombre),
+    [STORE_NAME_CARGOS]: c => `${c.pacienteId}|${c.fecha}|${normalizarTexto(c.concepto)}|${c.importe}`,
+    [STORE_NAME_PAGOS]: p => `${p.pacienteId}|${p.fecha}|${p.importe}|${p.numeroRecibo}`
+};
+
+function esValorVacio(valor) {
+    return valor === undefined || valor === null || valor === '' ||
+        (Array.isArray(valor) && valor.length === 0) ||
+        (typeof valor === 'object' && !Array.isArray(valor) && Object.keys(valor).length === 0);
+}
+
+/**
+ * Compara un registro local con su equivalente importado, campo a campo.
+ * Si solo el registro local está vacío, el valor importado se aplica automáticamente;
+ * si ambos tienen valores distintos, el campo queda en conflicto hasta que se elija uno.
+ * @param {string} storeName Store al que pertenecen los registros.
+ * @param {Object} local Registro local.
+ * @param {Object} importado Registro importado.
+ * @returns {Array<{campo: string, local: *, importado: *, tipo: string, eleccion: string}>} Cambios encontrados.
+ */
+function compararRegistros(storeName, local, importado) {
+    const ignorados = [...CAMPOS_SIN_COMPARAR, ...Object.keys(REFERENCIAS_RESPALDO[storeName])];
+    const campos = new Set([...Object.keys(local), ...Object.keys(importado)]);
+    const cambios = [];
+
+    campos.forEach(campo => {
+        if (ignorados.includes(campo) || esValorVacio(importado[campo])) {
+            return;
+        }
+        if (JSON.stringify(local[campo]) === JSON.stringify(importado[campo])) {
+            return;
+        }
+        cambios.push({
+            campo,
+            local: local[campo],
+            importado: importado[campo],
+            tipo: esValorVacio(local[campo]) ? 'auto' : 'conflicto',
+            eleccion: 'local'
+        });
+    });
+    return cambios;
+}
+
+/**
+ * Clasifica cada registro importado como nuevo, sin cambios, con cambios o en conflicto
+ * respecto a los datos locales. Los registros se emparejan por uuid y, si no, por CLAVES_COINCIDENCIA.
+ * @param {Object} datos Registros importados por store.
+ * @returns {Promise<Object>} Por store, un array de entradas {importado, local, tipo, cambios}.
+ */
+async function analizarFusion(datos) {
+    const analisis = {};
+    const mapaIds = {}; // Por store: ID importado → ID local de los registros emparejados
+
+    for (const storeName of STORES_RESPALDO) {
+        const locales = await getAllFromStore(storeName);
+        const porUuid = new Map(locales.filter(r => r.uuid).map(r => [r.uuid, r]));
+        const porClave = new Map(locales.map(r => [CLAVES_COINCIDENCIA[storeName](r), r]));
+        mapaIds[storeName] = new Map();
+
+        analisis[storeName] = datos[storeName].map(importado => {
+            // Traducir las claves foráneas para poder comparar con los registros locales
+            const traducido = { ...importado };
+            Object.entries(REFERENCIAS_RESPALDO[storeName]).forEach(([campo, storeReferido]) => {
+                if (traducido[campo] !== null && traducido[campo] !== undefined) {
+                    traducido[campo] = mapaIds[storeReferido].get(traducido[campo]) ?? `nuevo-${traducido[campo]}`;
+                }
+            });
+
+            const local = (importado.uuid && porUuid.get(importado.uuid)) || porClave.get(CLAVES_COINCIDENCIA[storeName](traducido)) || null;
+            if (!local) {
+                return { importado, local: null, tipo: 'nuevo', cambios: [] };
+            }
+
+            mapaIds[storeName].set(importado.id, local.id);
+            const cambios = compararRegistros(storeName, local, importado);
+            const tipo = cambios.some(c => c.tipo === 'conflicto') ? 'conflicto' : cambios.length > 0 ? 'cambiado' : 'identico';
+            return { importado, local, tipo, cambios };
+        });
+    }
+    return analisis;
+}
+
+/**
+ * Aplica una fusión analizada en una única transacción: añade los registros nuevos con IDs locales,
+ * actualiza los emparejados con los cambios automáticos y los conflictos resueltos a favor de la copia,
+ * y reasigna las claves foráneas (pacienteId, planId, consultaId) a los IDs locales.
+ * Si algo falla, la transacción se revierte por completo.
+ * @param {Object} analisis Resultado de analizarFusion (con las elecciones de cada conflicto).
+ * @returns {Promise<void>} Una promesa que resuelve cuando la fusión se ha guardado.
+ */
+async function aplicarFusion(analisis) {
+    // Preparar (y cifrar, si procede) cada registro antes de abrir la transacción,
+    // porque una espera ajena a IndexedDB la cerraría
+    const pendientes = {};
+    const historial = {}; // Entradas del historial de los pacientes y consultas que cambian o se añaden
+    for (const storeName of STORES_RESPALDO) {
+        pendientes[storeName] = [];
+        historial[storeName] = [];
+        for (const entrada of analisis[storeName]) {
+            let registro = null;
+            if (entrada.local) {
+                const aplicar = entrada.cambios.filter(c => c.tipo === 'auto' || c.eleccion === 'importado');
+                if (aplicar.length > 0) {
+                    registro = { ...entrada.local };
+                    aplicar.forEach(cambio => {
+                        registro[cambio.campo] = entrada.importado[cambio.campo];
+                    });
+                }
+            } else {
+                registro = { ...entrada.importado };
+                delete registro.id;
+                registro.uuid = registro.uuid || generarUUID();
+            }
+            if (registro && storeName === STORE_NAME_PACIENTES) {
+                registro = normalizarPaciente(registro);
+            }
+            let entradaHistorial = null;
+            if (registro && (storeName === STORE_NAME_PACIENTES || storeName === STORE_NAME_CONSULTAS)) {
+                // Las referencias de los registros nuevos se traducen dentro de la transacción; el historial no las incluye
+                const sinReferencias = { ...registro };
+                Object.keys(REFERENCIAS_RESPALDO[storeName]).forEach(campo => delete sinReferencias[campo]);
+                entradaHistorial = entrada.local
+                    ? await prepararEntradaHistorial(storeName, 'importar', entrada.local, registro)
+                    : await prepararEntradaHistorial(storeName, 'importar', null, sinReferencias);
+            }
+            historial[storeName].push(entradaHistorial);
+            pendientes[storeName].push(registro && await cifrarRegistro(storeName, registro));
+        }
+    }
+
+    const transaction = db.transaction([...STORES_RESPALDO, STORE_NAME_HISTORIAL], 'readwrite');
+    const completada = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('La fusión se ha cancelado.'));
+    });
+    const esperar = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const mapaIds = {};
+
+    try {
+        for (const storeName of STORES_RESPALDO) {
+            const store = transaction.objectStore(storeName);
+            mapaIds[storeName] = new Map();
+
+            for (const [indice, entrada] of analisis[storeName].entries()) {
+                const registro = pendientes[storeName][indice];
+                const entradaHistorial = historial[storeName][indice];
+                if (entrada.local) {
+                    mapaIds[storeName].set(entrada.importado.id, entrada.local.id);
+                    if (registro) {
+                        await esperar(store.put(registro));
+                        anadirEntradasHistorial(transaction, [entradaHistorial]);
+                    }
+                    continue;
+                }
+
+                let huerfano = false;
+                Object.entries(REFERENCIAS_RESPALDO[storeName]).forEach(([campo, storeReferido]) => {
+                    if (registro[campo] === null || registro[campo] === undefined) {
+                        return;
+                    }
+                    const idLocal = mapaIds[storeReferido].get(registro[campo]);
+                    if (idLocal !== undefined) {
+                        registro[campo] = idLocal;
+                    } else if (campo === 'pacienteId') {
+                        huerfano = true; // Registro de un paciente que no está en la copia
+                    } else {
+                        registro[campo] = null;
+                    }
+                });
+                if (huerfano) {
+                    continue;
+                }
+
+                const nuevoId = await esperar(store.add(registro));
+                mapaIds[storeName].set(entrada.importado.id, nuevoId);
+                if (entradaHistorial) {
+                    entradaHistorial.registroId = nuevoId;
+                    entradaHistorial.pacienteId = storeName === STORE_NAME_PACIENTES ? nuevoId : registro.pacienteId;
+                    anadirEntradasHistorial(transaction, [entradaHistorial]);
+                }
+            }
+        }
+    } catch (error) {
+        try {
+            transaction.abort();
+        } catch (abortError) {
+            // La transacción ya se había abortado por el error de la petición
+        }
+        throw error;
+    }
+
+    await completada;
+}
+
+/**
+ * Describe un registro para mostrarlo en la revisión de la importación.
+ * @param {string} storeName Store del registro.
+ * @param {Object} registro Registro a describir.
+ * @returns {string} Descripción breve.
+ */
+function describirRegistro(storeName, registro) {
+    switch (storeName) {
+        case STORE_NAME_PACIENTES: return `${registro.nombre} (${registro.fechaNacimiento})`;
+        case STORE_NAME_PLANES: return `Plan "${registro.objetivo}" desde ${registro.fechaInicio}`;
+        case STORE_NAME_CONSULTAS: return `Consulta del ${registro.fecha}`;
+        case STORE_NAME_FOTOS: return `Foto de ${registro.zona} del ${registro.fecha}`;
+        case STORE_NAME_CITAS: return `Cita del ${registro.fecha} a las ${registro.hora}`;
+        case STORE_NAME_SERVICIOS: return `Servicio "${registro.nombre}"`;
+        case STORE_NAME_CARGOS: return `Cargo "${registro.concepto}" del ${registro.fecha}`;
+        case STORE_NAME_PAGOS: return `Pago de ${formatearImporte(registro.importe)} del ${registro.fecha}`;
+        case STORE_NAME_PLANTILLAS_NOTAS: return `${registro.tipo === 'frase' ? 'Frase rápida' : 'Plantilla'} "${registro.nombre}"`;
+        case STORE_NAME_CONSENTIMIENTOS: return `Consentimiento de ${etiquetaModalidad(registro.modalidad)} firmado el ${formatDateTime(registro.fechaFirma)}`;
+        default: return `Registro ${registro.id}`;
+    }
+}
+
+function formatearValorFusion(valor) {
+    if (esValorVacio(valor)) {
+        return '(vacío)';
+    }
+    const texto = typeof valor === 'string' ? valor : JSON.stringify(valor);
+    return texto.length > 120 ? texto.slice(0, 117) + '...' : texto;
+}
+
+/**
+ * Muestra el resumen de la importación (nuevos, con cambios, en conflicto) y permite elegir, para cada
+ * campo en conflicto, si se conserva el valor local o el de la copia.
+ * @param {Object} analisis Resultado de analizarFusion; las elecciones se guardan en sus cambios.
+ * @returns {Promise<string|null>} 'fusionar', 'reemplazar' o null si se cancela.
+ */
+function mostrarRevisionImportacion(analisis) {
+    const importModal = document.getElementById('importModal');
+    const resumenDiv = document.getElementById('resumenImportacion');
+    const detalleDiv = document.getElementById('detalleImportacion');
+
+    const contar = (storeName, tipo) => analisis[storeName].filter(entrada => entrada.tipo === tipo).length;
+    resumenDiv.innerHTML = `
+        <table class="tabla-importacion">
+            <thead><tr><th></th><th>Nuevos</th><th>Con cambios</th><th>En conflicto</th><th>Sin cambios</th></tr></thead>
+            <tbody>
+                ${STORES_RESPALDO.map(storeName => `
+                    <tr>
+                        <th>${ETIQUETAS_STORES[storeName]}</th>
+                        <td>${contar(storeName, 'nuevo')}</td>
+                        <td>${contar(storeName, 'cambiado')}</td>
+                        <td>${contar(storeName, 'conflicto')}</td>
+                        <td>${contar(storeName, 'identico')}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>`;
+
+    const secciones = [];
+    const nuevosPacientes = analisis[STORE_NAME_PACIENTES].filter(entrada => entrada.tipo === 'nuevo');
+    if (nuevosPacientes.length > 0) {
+        secciones.push(`
+            <h4>Pacientes nuevos</h4>
+            <ul>${nuevosPacientes.map(e => `<li>${escaparHTML(describirRegistro(STORE_NAME_PACIENTES, e.importado))}</li>`).join('')}</ul>`);
+    }
+
+    STORES_RESPALDO.forEach(storeName => {
+        analisis[storeName].forEach((entrada, indice) => {
+            if (entrada.tipo !== 'cambiado' && entrada.tipo !== 'conflicto') {
+                return;
+            }
+            const filas = entrada.cambios.map((cambio, indiceCambio) => {
+                const nombre = `conflicto-${storeName}-${indice}-${indiceCambio}`;
+                if (cambio.tipo === 'auto') {
+                    return `
+                        <tr>
+                            <th>${escaparHTML(cambio.campo)}</th>
+                            <td colspan="2">Se completará con: ${escaparHTML(formatearValorFusion(cambio.importado))}</td>
+                        </tr>`;
+                }
+                return `
+                    <tr class="fila-conflicto">
+                        <th>${escaparHTML(cambio.campo)}</th>
+                        <td><label><input type="radio" name="${nombre}" value="local" data-store="${storeName}" data-indice="${indice}" data-cambio="${indiceCambio}" checked>
+                            Local: ${escaparHTML(formatearValorFusion(cambio.local))}</label></td>
+                        <td><label><input type="radio" name="${nombre}" value="importado" data-store="${storeName}" data-indice="${indice}" data-cambio="${indiceCambio}">
+                            Copia: ${escaparHTML(formatearValorFusion(cambio.importado))}</label></td>
+                    </tr>`;
+            }).join('');
+            secciones.push(`
+                <div class="entrada-importacion entrada-${entrada.tipo}">
+                    <strong>${ETIQUETAS_STORES[storeName]}: ${escaparHTML(describirRegistro(storeName, entrada.local))}</strong>
+                    <table class="tabla-cambios">${filas}</table>
+                </div>`);
+        });
+    });
+    detalleDiv.innerHTML = secciones.length > 0
+        ? secciones.join('')
+        : '<p class="no-results">No hay registros con cambios respecto a los datos locales.</p>';
+
+    detalleDiv.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const cambio = analisis[radio.dataset.store][parseInt(radio.dataset.indice)].cambios[parseInt(radio.dataset.cambio)];
+            cambio.eleccion = radio.value;
+        });
+    });
+
+    importModal.style.display = 'block';
+    return new Promise(resolve => {
+        const cerrar = (modo) => {
+            importModal.style.display = 'none';
+            resolve(modo);
+        };
+        document.getElementById('fusionarImportacion').onclick = () => cerrar('fusionar');
+        document.getElementById('reemplazarImportacion').onclick = () => cerrar('reemplazar');
+        document.getElementById('cancelarImportacion').onclick = () => cerrar(null);
+    });
+}
+
+/**
+ * Separa una entrada del historial del registro al que pertenecía, antes de que otro registro reutilice su ID.
+ * Los IDs originales se conservan en `registroIdAnterior` y `pacienteIdAnterior`, fuera de los índices.
+ * @param {Object} entrada Entrada del historial tal como está guardada.
+ * @param {string} sustituidoEn Fecha ISO de la importación que sustituyó los datos.
+ * @returns {Object} Entrada desvinculada.
+ */
+function desvincularEntradaHistorial(entrada, sustituidoEn) {
+    return {
+        ...entrada,
+        registroId: null,
+        pacienteId: null,
+        registroIdAnterior: entrada.registroId,
+        pacienteIdAnterior: entrada.pacienteId,
+        sustituidoEn
+    };
+}
+
+/**
+ * Sustituye todos los datos por los de una copia de seguridad en una única transacción:
+ * si falla cualquier escritura, se revierte todo y los datos anteriores se conservan.
+ * El historial de cambios no se borra (solo se añade), pero sus entradas anteriores se desvinculan de los IDs:
+ * los registros de la copia reutilizan los IDs de los registros locales que sustituyen y, sin desvincularlas,
+ * el historial de un paciente o una consulta mostraría versiones de otro.
+ * @param {Object} datos Registros de la copia por store.
+ * @returns {Promise<void>} Una promesa que resuelve cuando la transacción se ha completado.
+ */
+async function reemplazarTodosLosDatos(datos) {
+    // Cifrar antes de abrir la transacción: una espera ajena a IndexedDB la cerraría
+    const registros = {};
+    for (const storeName of STORES_RESPALDO) {
+        registros[storeName] = await Promise.all(datos[storeName].map(registro => cifrarRegistro(storeName, registro)));
+    }
+    // El historial conserva el contenido de los pacientes y consultas que se sustituyen, ya desvinculado
+    const sustituidoEn = new Date().toISOString();
+    const eliminados = [];
+    const entradas = [];
+    for (const storeName of [STORE_NAME_PACIENTES, STORE_NAME_CONSULTAS]) {
+        for (const local of await getAllFromStore(storeName)) {
+            eliminados.push(await prepararEntradaHistorial(storeName, 'eliminar', local, null));
+        }
+        for (const importado of datos[storeName]) {
+            entradas.push(await prepararEntradaHistorial(storeName, 'importar', null, importado));
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([...STORES_RESPALDO, STORE_NAME_HISTORIAL], 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('La importación se ha cancelado.'));
+        try {
+            for (const storeName of STORES_RESPALDO) {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                for (const registro of registros[storeName]) {
+                    store.put(registro); // Se conservan los IDs de la copia para mantener las referencias
+                }
+            }
+            // Las entradas nuevas se añaden al terminar de recorrer las anteriores, para que el cursor no las desvincule
+            transaction.objectStore(STORE_NAME_HISTORIAL).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.value.registroId !== null) {
+                        cursor.update(desvincularEntradaHistorial(cursor.value, sustituidoEn));
+                    }
+                    cursor.continue();
+                    return;
+                }
+                anadirEntradasHistorial(transaction, eliminados.filter(Boolean).map(entrada => desvincularEntradaHistorial(entrada, sustituidoEn)));
+                anadirEntradasHistorial(transaction, entradas);
+            };
+        } catch (error) {
+            transaction.abort(); // Un registro que no se puede guardar revierte también el borrado
+            reject(error);
+        }
+    });
+}
+
+// --- Hojas de Cálculo (CSV) ---
+
+/**
+ * Lee un archivo CSV. Acepta la marca BOM, campos entre comillas (con comillas dobles y saltos de línea)
+ * y detecta el separador de la primera línea: coma, punto y coma (Excel en español) o tabulador.
+ * @param {string} texto Contenido del archivo.
+ * @returns {Array<Array<string>>} Filas con los valores de cada celda.
+ */
+function parsearCSV(texto) {
+    const contenido = texto.replace(/^\uFEFF/, '');
+    const primeraLinea = contenido.split(/\r?\n/, 1)[0];
+    const separador = [';', '\t', ','].reduce((mejor, candidato) =>
+        (primeraLinea.split(candidato).length > primeraLinea.split(mejor).length ? candidato : mejor), ',');
+
+    const filas = [];
+    let fila = [];
+    let celda = '';
+    let entreComillas = false;
+    for (let i = 0; i < contenido.length; i++) {
+        const caracter = contenido[i];
+        if (entreComillas) {
+            if (caracter === '"' && contenido[i + 1] === '"') {
+                celda += '"';
+                i++;
+            } else if (caracter === '"') {
+                entreComillas = false;
+            } else {
+                celda += caracter;
+            }
+        } else if (caracter === '"') {
+            entreComillas = true;
+        } else if (caracter === separador) {
+            fila.push(celda);
+            celda = '';
+        } else if (caracter === '\n' || caracter === '\r') {
+            if (caracter === '\r' && contenido[i + 1] === '\n') {
+                i++;
+            }
+            fila.push(celda);
+            filas.push(fila);
+            fila = [];
+            celda = '';
+        } else {
+            celda += caracter;
+        }
+    }
+    if (celda !== '' || fila.length > 0) {
+        fila.push(celda);
+        filas.push(fila);
+    }
+    return filas;
+}
+
+/**
+ * Propone a qué campo del paciente corresponde cada columna, comparando los encabezados (sin acentos
+ * ni mayúsculas) con los nombres de COLUMNAS_CSV_PACIENTES. Cada campo se asigna como mucho a una columna.
+ * @param {Array<string>} encabezados Primera fila del archivo.
+ * @returns {Array<string>} Campo asignado a cada columna ('' si no se importa).
+ */
+function sugerirMapeoColumnas(encabezados) {
+    const asignados = new Set();
+    return encabezados.map(encabezado => {
+        const clave = normalizarNombre(encabezado);
+        const columna = COLUMNAS_CSV_PACIENTES.find(({ campo, etiqueta, alias }) => !asignados.has(campo) &&
+            [campo, etiqueta, ...alias].some(nombre => normalizarNombre(nombre) === clave));
+        if (!columna) {
+            return '';
+        }
+        asignados.add(columna.campo);
+        return columna.campo;
+    });
+}
+
+/**
+ * Detecta el formato de fecha más frecuente entre los valores de una columna.
+ * @param {Array<string>} valores Valores de la columna de fecha de nacimiento.
+ * @returns {string} Valor de FORMATOS_FECHA_CSV ('iso' si no se reconoce ninguno).
+ */
+function detectarFormatoFecha(valores) {
+    const recuento = FORMATOS_FECHA_CSV.map(formato => ({
+        valor: formato.valor,
+        coincidencias: valores.filter(valor => formato.patron.test(String(valor).trim())).length
+    }));
+    return recuento.reduce((mejor, formato) => (formato.coincidencias > mejor.coincidencias ? formato : mejor)).valor;
+}
+
+/**
+ * Convierte una fecha de la hoja de cálculo a YYYY-MM-DD.
+ * @param {string} valor Fecha tal como aparece en el archivo.
+ * @param {string} formato Valor de FORMATOS_FECHA_CSV.
+ * @returns {string|null} Fecha en formato YYYY-MM-DD, o null si no tiene ese formato o no existe (p. ej. 31/02).
+ */
+function convertirFechaCSV(valor, formato) {
+    const coincidencia = FORMATOS_FECHA_CSV.find(f => f.valor === formato).patron.exec(String(valor).trim());
+    if (!coincidencia) {
+        return null;
+    }
+    const [anio, mes, dia] = formato === 'iso'
+        ? [coincidencia[1], coincidencia[2], coincidencia[3]]
+        : [coincidencia[3], coincidencia[2], coincidencia[1]];
+    const fecha = `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+    return esFechaValida(fecha) && formatDate(new Date(fecha + 'T00:00:00')) === fecha ? fecha : null;
+}
+
+/**
+ * Convierte y valida las filas de una hoja de cálculo de pacientes.
+ * @param {Array<Array<string>>} filas Filas de datos (sin la fila de encabezados).
+ * @param {Array<string>} mapeo Campo asignado a cada columna ('' para no importarla).
+ * @param {string} formatoFecha Valor de FORMATOS_FECHA_CSV.
+ * @param {Array<Object>} existentes Pacientes ya registrados, para detectar duplicados.
+ * @returns {{pacientes: Array<{fila: number, paciente: Object, duplicadoDe: string|null}>, errores: Array<{fila: number, mensajes: string[]}>}}
+ * Pacientes válidos (con el posible duplicado) y errores, con el número de fila del archivo (la 1 es la de encabezados).
+ */
+function analizarCSVPacientes(filas, mapeo, formatoFecha, existentes) {
+    if (!mapeo.includes('nombre') || !mapeo.includes('fechaNacimiento')) {
+        throw new Error('Asigna una columna al nombre y otra a la fecha de nacimiento.');
+    }
+    const repetido = mapeo.find((campo, columna) => campo && mapeo.indexOf(campo) !== columna);
+    if (repetido) {
+        const etiqueta = COLUMNAS_CSV_PACIENTES.find(c => c.campo === repetido).etiqueta;
+        throw new Error(`El campo "${etiqueta}" está asignado a varias columnas.`);
+    }
+    const claveDuplicado = CLAVES_COINCIDENCIA[STORE_NAME_PACIENTES];
+    const registrados = new Map(existentes.map(paciente => [claveDuplicado(paciente), `${paciente.nombre} (ya registrado)`]));
+    const hoy = formatDate(new Date());
+    const sexos = ['Femenino', 'Masculino', 'Otro'];
+
+    const pacientes = [];
+    const errores = [];
+    filas.forEach((valores, indice) => {
+        const fila = indice + 2;
+        if (valores.every(valor => !valor.trim())) {
+            return; // Fila vacía
+        }
+        const paciente = { contraindicaciones: [] };
+        const mensajes = [];
+        mapeo.forEach((campo, columna) => {
+            const valor = (valores[columna] || '').trim();
+            if (!campo) {
+                return;
+            }
+            if (campo === 'fechaNacimiento') {
+                paciente.fechaNacimiento = convertirFechaCSV(valor, formatoFecha);
+                if (!valor) {
+                    mensajes.push('Falta la fecha de nacimiento.');
+                } else if (!paciente.fechaNacimiento) {
+                    const etiqueta = FORMATOS_FECHA_CSV.find(f => f.valor === formatoFecha).etiqueta;
+                    mensajes.push(`La fecha de nacimiento "${valor}" no es una fecha válida con el formato ${etiqueta}.`);
+                } else if (paciente.fechaNacimiento > hoy) {
+                    mensajes.push(`La fecha de nacimiento ${paciente.fechaNacimiento} es posterior a hoy.`);
+                }
+            } else if (campo === 'contraindicaciones') {
+                valor.split(/[;,|]/).map(texto => texto.trim()).filter(Boolean).forEach(texto => {
+                    const contraindicacion = CONTRAINDICACIONES.find(c =>
+                        normalizarNombre(c.etiqueta) === normalizarNombre(texto) || normalizarNombre(c.valor) === normalizarNombre(texto));
+                    if (contraindicacion) {
+                        paciente.contraindicaciones.push(contraindicacion.valor);
+                    } else {
+                        mensajes.push(`Contraindicación no reconocida: "${texto}".`);
+                    }
+                });
+            } else if (campo === 'sexo') {
+                const sexo = sexos.find(opcion => valor && normalizarTexto(opcion).startsWith(normalizarTexto(valor)));
+                if (valor && !sexo) {
+                    mensajes.push(`Sexo no reconocido: "${valor}" (usa ${sexos.join(', ')}).`);
+                }
+                paciente.sexo = sexo || '';
+            } else {
+                paciente[campo] = valor;
+            }
+        });
+        if (!paciente.nombre) {
+            mensajes.push('Falta el nombre.');
+        }
+        if (!esEmailValido(paciente.email || '')) {
+            mensajes.push(`El correo electrónico "${paciente.email}" no tiene un formato válido.`);
+        }
+        if (mensajes.length > 0) {
+            errores.push({ fila, mensajes });
+            return;
+        }
+
+        const clave = claveDuplicado(paciente);
+        pacientes.push({ fila, paciente: normalizarPaciente(paciente), duplicadoDe: registrados.get(clave) || null });
+        if (!registrados.has(clave)) {
+            registrados.set(clave, `${paciente.nombre} (fila ${fila} del archivo)`);
+        }
+    });
+    return { pacientes, errores };
+}
+
+/**
+ * Guarda los pacientes importados de una hoja de cálculo en una única transacción.
+ * @param {Array<Object>} pacientes Pacientes ya validados.
+ * @returns {Promise<number>} Número de pacientes guardados.
+ */
+async function importarPacientesCSV(pacientes) {
+    // Cifrar antes de abrir la transacción: una espera ajena a IndexedDB la cerraría
+    const nuevos = pacientes.map(paciente => ({ ...normalizarPaciente(paciente), uuid: generarUUID() }));
+    const registros = await Promise.all(nuevos.map(paciente => cifrarRegistro(STORE_NAME_PACIENTES, paciente)));
+    const entradas = await Promise.all(nuevos.map(paciente => prepararEntradaHistorial(STORE_NAME_PACIENTES, 'crear', null, paciente)));
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME_PACIENTES, STORE_NAME_HISTORIAL], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME_PACIENTES);
+        registros.forEach((registro, indice) => {
+            store.add(registro).onsuccess = (event) => {
+                entradas[indice].registroId = event.target.result;
+                entradas[indice].pacienteId = event.target.result;
+                anadirEntradasHistorial(transaction, [entradas[indice]]);
+            };
+        });
+        transaction.oncomplete = () => resolve(registros.length);
+        transaction.onabort = () => reject(transaction.error || new Error('La importación se ha cancelado.'));
+    });
+}
+
+/**
+ * Genera la lista de pacientes en CSV.
+ * @returns {Promise<string>} Contenido CSV.
+ */
+async function exportarPacientesCSV() {
+    const pacientes = await getAllPacientes();
+    const filas = pacientes
+        .sort((a, b) => a.nombre.localeCompare(b.nombre))
+        .map(paciente => [
+            paciente.id,
+            ...COLUMNAS_CSV_PACIENTES.map(({ campo }) => (campo === 'contraindicaciones'
+                ? etiquetasContraindicaciones(paciente.contraindicaciones).join('; ')
+                : paciente[campo]))
+        ]);
+    return generarCSV(['ID', ...COLUMNAS_CSV_PACIENTES.map(columna => columna.etiqueta)], filas);
+}
+
+/**
+ * Genera la lista de consultas en CSV, ordenada por paciente y fecha.
+ * @returns {Promise<string>} Contenido CSV.
+ */
+async function exportarConsultasCSV() {
+    const [pacientes, consultas] = await Promise.all([getAllPacientes(), getAllFromStore(STORE_NAME_CONSULTAS)]);
+    const pacientesPorId = new Map(pacientes.map(paciente => [paciente.id, paciente]));
+    const filas = consultas
+        .filter(consulta => pacientesPorId.has(consulta.pacienteId))
+        .map(consulta => ({ consulta, paciente: pacientesPorId.get(consulta.pacienteId) }))
+        .sort((a, b) => a.paciente.nombre.localeCompare(b.paciente.nombre) || a.consulta.fecha.localeCompare(b.consulta.fecha))
+        .map(({ consulta, paciente }) => [consulta.id, paciente.id, paciente.nombre, paciente.fechaNacimiento, consulta.fecha, consulta.notas]);
+    return generarCSV(['ID consulta', 'ID paciente', 'Paciente', 'Fecha de nacimiento', 'Fecha', 'Notas'], filas);
+}
+
+// --- Copias de Seguridad Automáticas ---
+
+async function getConfiguracionCopias() {
+    return { ...COPIAS_AUTOMATICAS_POR_DEFECTO, ...await getAjuste('copiasAutomaticas', {}) };
+}
+
+/**
+ * Obtiene las copias automáticas guardadas, de la más reciente a la más antigua.
+ * Solo se leen los metadatos: el contenido de las copias está en otro store.
+ * @returns {Promise<Array<Object>>} Una promesa que resuelve con las copias (id, fecha, recuento, tamano).
+ */
+async function getCopiasAutomaticas() {
+    const transaction = db.transaction([STORE_NAME_COPIAS], 'readonly');
+    const index = transaction.objectStore(STORE_NAME_COPIAS).index('fecha');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll();
+        request.onsuccess = () => resolve(request.result.reverse());
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene los metadatos de una copia automática.
+ * @param {number} id ID de la copia.
+ * @returns {Promise<Object|undefined>} Una promesa que resuelve con la copia (id, fecha, recuento, tamano).
+ */
+async function getCopiaAutomatica(id) {
+    const transaction = db.transaction([STORE_NAME_COPIAS], 'readonly');
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore(STORE_NAME_COPIAS).get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Obtiene el texto de una copia automática, tal como lo leería la importación.
+ * Si la copia se guardó cifrada (cifrado en reposo activo), se descifra con la clave de los datos.
+ * @param {number} id ID de la copia.
+ * @returns {Promise<string>} Contenido JSON de la copia.
+ */
+async function getContenidoCopia(id) {
+    const transaction = db.transaction([STORE_NAME_CONTENIDO_COPIAS], 'readonly');
+    const copia = await new Promise((resolve, reject) => {
+        const request = transaction.objectStore(STORE_NAME_CONTENIDO_COPIAS).get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    if (!copia) {
+        throw new Error('La copia automática no existe.');
+    }
+    if (typeof copia.contenido === 'string') {
+        return copia.contenido;
+    }
+    if (!claveDatos) {
+        throw new Error('La copia está cifrada. Desbloquea los datos antes de restaurarla.');
+    }
+    return descifrarTexto(claveDatos, copia.contenido);
+}
+
+/**
+ * Guarda una copia del día en la carpeta elegida por el usuario (File System Access API), si la hay
+ * y el navegador conserva el permiso de escritura. Elimina de la carpeta las copias más antiguas que el máximo.
+ * @param {string} contenido Contenido JSON de la copia.
+ * @param {Date} fecha Fecha de la copia.
+ * @param {number} maximo Número de copias a conservar.
+ * @returns {Promise<boolean>} true si se ha escrito el archivo.
+ */
+async function guardarCopiaEnCarpeta(contenido, fecha, maximo) {
+    const carpeta = await getAjuste('carpetaCopias', null);
+    if (!carpeta || !carpeta.queryPermission || await carpeta.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+        return false;
+    }
+    const archivo = await carpeta.getFileHandle(nombreArchivoRespaldo(fecha), { create: true });
+    const escritura = await archivo.createWritable();
+    await escritura.write(contenido);
+    await escritura.close();
+
+    const nombres = [];
+    for await (const [nombre] of carpeta.entries()) {
+        if (/^fisio_dermatofuncional_backup_\d{4}-\d{2}-\d{2}\.json$/.test(nombre)) {
+            nombres.push(nombre);
+        }
+    }
+    nombres.sort().reverse(); // El nombre incluye la fecha ISO: orden alfabético = orden cronológico
+    for (const nombre of nombres.slice(maximo)) {
+        await carpeta.removeEntry(nombre);
+    }
+    return true;
+}
+
+/**
+ * Crea una copia de seguridad automática en el store de copias (y en la carpeta elegida, si la hay)
+ * y elimina las más antiguas por encima del máximo configurado. Con el cifrado en reposo activo,
+ * la copia se guarda cifrada con la misma clave que los datos, también en la carpeta.
+ * @returns {Promise<Object>} Metadatos de la copia creada.
+ */
+async function crearCopiaAutomatica() {
+    const configuracion = await getConfiguracionCopias();
+    const respaldo = await generarRespaldo();
+    const texto = JSON.stringify(respaldo);
+    const fecha = new Date();
+    const copia = {
+        fecha: fecha.toISOString(),
+        recuento: respaldo.recuento,
+        tamano: texto.length
+    };
+    const contenido = claveDatos ? await cifrarTexto(claveDatos, texto) : texto;
+
+    const copias = await getCopiasAutomaticas();
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME_COPIAS, STORE_NAME_CONTENIDO_COPIAS], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME_COPIAS);
+        const contenidoStore = transaction.objectStore(STORE_NAME_CONTENIDO_COPIAS);
+        store.add(copia).onsuccess = (event) => {
+            copia.id = event.target.result;
+            contenidoStore.put({ id: copia.id, contenido });
+        };
+        // Rotación: la nueva copia cuenta dentro del máximo
+        copias.slice(Math.max(configuracion.maximo - 1, 0)).forEach(antigua => {
+            store.delete(antigua.id);
+            contenidoStore.delete(antigua.id);
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    // Con el cifrado activo, la carpeta recibe la copia cifrada con el mismo formato que una exportación con contraseña:
+    // la clave de los datos se derivó de su contraseña con esta sal e iteraciones, así que se importa con ella.
+    let contenidoCarpeta = texto;
+    if (claveDatos) {
+        const { sal, iteraciones } = await getAjuste('cifradoDatos', null);
+        contenidoCarpeta = JSON.stringify({
+            app: APP_RESPALDO,
+            formato: FORMATO_RESPALDO,
+            exportadoEn: respaldo.exportadoEn,
+            cifrado: { kdf: 'PBKDF2', hash: 'SHA-256', iteraciones, sal, algoritmo: 'AES-GCM', ...contenido }
+        });
+    }
+
+    try {
+        await guardarCopiaEnCarpeta(contenidoCarpeta, fecha, configuracion.maximo);
+    } catch (error) {
+        console.error('No se ha podido guardar la copia en la carpeta:', error);
+    }
+
+    return copia;
+}
+
+/**
+ * Crea la copia automática del día si está activada y todavía no existe.
+ * @returns {Promise<Object|null>} Metadatos de la copia creada, o null si no hacía falta.
+ */
+async function comprobarCopiaAutomatica() {
+    const configuracion = await getConfiguracionCopias();
+    if (!configuracion.activas) {
+        return null;
+    }
+    const [ultima] = await getCopiasAutomaticas();
+    if (ultima && formatDate(new Date(ultima.fecha)) === formatDate(new Date())) {
+        return null;
+    }
+    return crearCopiaAutomatica();
+}
+
+// --- Aplicación sin Conexión ---
+
+/**
+ * Pide al navegador que no elimine los datos de la aplicación (IndexedDB) cuando falte espacio.
+ * @returns {Promise<boolean|null>} true si el almacenamiento es persistente, false si se ha denegado,
+ * null si el navegador no lo admite.
+ */
+async function solicitarAlmacenamientoPersistente() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        return null;
+    }
+    if (await navigator.storage.persisted()) {
+        return true;
+    }
+    return navigator.storage.persist();
+}
+
+/**
+ * Registra el service worker que guarda la aplicación en caché para usarla sin conexión.
+ * @param {function(ServiceWorker): void} alHaberActualizacion Se llama cuando hay una versión nueva
+ * instalada y esperando a activarse.
+ * @returns {Promise<void>}
+ */
+async function registrarServiceWorker(alHaberActualizacion) {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
+    }
+    const registro = await navigator.serviceWorker.register('sw.js');
+
+    // Una versión que ya estaba esperando (por ejemplo, descargada en una visita anterior)
+    if (registro.waiting && navigator.serviceWorker.controller) {
+        alHaberActualizacion(registro.waiting);
+    }
+    registro.addEventListener('updatefound', () => {
+        const nuevo = registro.installing;
+        nuevo.addEventListener('statechange', () => {
+            // Si no hay controlador es la primera instalación, no una actualización
+            if (nuevo.state === 'installed' && navigator.serviceWorker.controller) {
+                alHaberActualizacion(nuevo);
+            }
+        });
+    });
+
+    // Al activarse la versión nueva, recargar para usar sus archivos
+    let recargando = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!recargando) {
+            recargando = true;
+            window.location.reload();
+        }
+    });
+}
+
+// --- Event Listeners y Lógica de Interfaz ---
 
 document.addEventListener('DOMContentLoaded', async () => {
     // Abrir la base de datos al cargar la página
     await openDB();
 
-    const nombreInput = document.getElementById('nombre');
-    const fechaNacimientoInput = document.getElementById('fechaNacimiento');
-    const motivoConsultaInput = document.getElementById('motivoConsulta');
-    const diagnosticoFisioInput = document.getElementById('diagnosticoFisio');
-    const antecedentesInput = document.getElementById('antecedentes');
-    const guardarPacienteBtn = document.getElementById('guardarPaciente');
-    const mensajeGuardado = document.getElementById('mensajeGuardado');
+    // Funcionamiento sin conexión y protección de los datos frente a la limpieza automática del navegador
+    registrarServiceWorker(mostrarAvisoActualizacion).catch(error => {
+        console.error('Error al registrar el service worker:', error);
+    });
+    solicitarAlmacenamientoPersistente().catch(error => {
+        console.error('Error al solicitar almacenamiento persistente:', error);
+    });
+
+    const nombreInput = document.getElementById('nombre');
+    const fechaNacimientoInput = document.getElementById('fechaNacimiento');
+    const contraindicacionesDiv = document.getElementById('contraindicaciones');
+    const guardarPacienteBtn = document.getElementById('guardarPaciente');
+    const mensajeGuardado = document.getElementById('mensajeGuardado');
+
+    const busquedaNombreInput = document.getElementById('busquedaNombre');
+    const mostrarTodosBtn = document.getElementById('mostrarTodos');
+    const buscarPacienteBtn = document.getElementById('buscarPaciente');
+    const filtroEdadMinimaInput = document.getElementById('filtroEdadMinima');
+    const filtroEdadMaximaInput = document.getElementById('filtroEdadMaxima');
+    const filtroVisitaDesdeInput = document.getElementById('filtroVisitaDesde');
+    const filtroVisitaHastaInput = document.getElementById('filtroVisitaHasta');
+    const filtroTratamientoSelect = document.getElementById('filtroTratamiento');
+    const filtroSinVisitaInput = document.getElementById('filtroSinVisita');
+    const ordenBusquedaSelect = document.getElementById('ordenBusqueda');
+    const limpiarFiltrosBtn = document.getElementById('limpiarFiltros');
+    const resumenBusquedaP = document.getElementById('resumenBusqueda');
+    const cargarMasPacientesBtn = document.getElementById('cargarMasPacientes');
+    const resultadosBusquedaDiv = document.getElementById('resultadosBusqueda');
+
+    // Elementos de importación/exportación
+    const exportarDatosBtn = document.getElementById('exportarDatos');
+    const importarArchivoInput = document.getElementById('importarArchivo');
+    const importarDatosBtn = document.getElementById('importarDatos');
+    const importMessage = document.getElementById('importMessage');
+    const claveRespaldoInput = document.getElementById('claveRespaldo');
+    const exportarPacientesCSVBtn = document.getElementById('exportarPacientesCSV');
+    const exportarConsultasCSVBtn = document.getElementById('exportarConsultasCSV');
+    const importarCSVBtn = document.getElementById('importarCSV');
+    const importarCSVArchivoInput = document.getElementById('importarCSVArchivo');
+    const csvModal = document.getElementById('csvModal');
+    const mapeoCSVDiv = document.getElementById('mapeoCSV');
+    const formatoFechaCSVSelect = document.getElementById('formatoFechaCSV');
+    const resultadoCSVDiv = document.getElementById('resultadoCSV');
+    const importarDuplicadosCSVInput = document.getElementById('importarDuplicadosCSV');
+    const confirmarImportacionCSVBtn = document.getElementById('confirmarImportacionCSV');
+    const cancelarImportacionCSVBtn = document.getElementById('cancelarImportacionCSV');
+    const estadoCopiasP = document.getElementById('estadoCopias');
+    const abrirCopiasBtn = document.getElementById('abrirCopias');
+    const copiasModal = document.getElementById('copiasModal');
+    const cerrarCopiasBtn = document.getElementById('cerrarCopias');
+    const copiasActivasInput = document.getElementById('copiasActivas');
+    const maximoCopiasInput = document.getElementById('maximoCopias');
+    const guardarConfiguracionCopiasBtn = document.getElementById('guardarConfiguracionCopias');
+    const crearCopiaAhoraBtn = document.getElementById('crearCopiaAhora');
+    const carpetaCopiasSeccion = document.getElementById('carpetaCopiasSeccion');
+    const estadoCarpetaCopiasP = document.getElementById('estadoCarpetaCopias');
+    const elegirCarpetaCopiasBtn = document.getElementById('elegirCarpetaCopias');
+    const quitarCarpetaCopiasBtn = document.getElementById('quitarCarpetaCopias');
+    const listaCopiasDiv = document.getElementById('listaCopias');
+    const mensajeCopias = document.getElementById('mensajeCopias');
+
+    // Elementos de estadísticas
+    const abrirEstadisticasBtn = document.getElementById('abrirEstadisticas');
+    const estadisticasModal = document.getElementById('estadisticasModal');
+    const cerrarEstadisticasBtn = document.getElementById('cerrarEstadisticas');
+    const estadisticasDesdeInput = document.getElementById('estadisticasDesde');
+    const estadisticasHastaInput = document.getElementById('estadisticasHasta');
+    const estadisticasAgrupacionSelect = document.getElementById('estadisticasAgrupacion');
+    const tablasEstadisticasDiv = document.getElementById('tablasEstadisticas');
+
+    // Elementos del resumen de ingresos
+    const abrirIngresosBtn = document.getElementById('abrirIngresos');
+    const ingresosModal = document.getElementById('ingresosModal');
+    const cerrarIngresosBtn = document.getElementById('cerrarIngresos');
+    const ingresosDesdeInput = document.getElementById('ingresosDesde');
+    const ingresosHastaInput = document.getElementById('ingresosHasta');
+    const ingresosAgrupacionSelect = document.getElementById('ingresosAgrupacion');
+    const tablasIngresosDiv = document.getElementById('tablasIngresos');
+
+    // Elementos de la papelera
+    const abrirPapeleraBtn = document.getElementById('abrirPapelera');
+    const papeleraModal = document.getElementById('papeleraModal');
+    const cerrarPapeleraBtn = document.getElementById('cerrarPapelera');
+    const diasPapeleraInput = document.getElementById('diasPapelera');
+    const guardarDiasPapeleraBtn = document.getElementById('guardarDiasPapelera');
+    const mensajePapelera = document.getElementById('mensajePapelera');
+    const listaPapeleraDiv = document.getElementById('listaPapelera');
+    const vaciarPapeleraBtn = document.getElementById('vaciarPapelera');
+
+
+    // Modal elements
+    const editModal = document.getElementById('editModal');
+    const closeButton = document.querySelector('.close-button');
+    const modalPacienteNombre = document.getElementById('modalPacienteNombre');
+    const modalPacienteFechaNac = document.getElementById('modalPacienteFechaNac');
+    const modalPacienteEdad = document.getElementById('modalPacienteEdad');
+    const modalContraindicacionesDiv = document.getElementById('modalContraindicaciones');
+    const modalAlertaContraindicaciones = document.getElementById('modalAlertaContraindicaciones');
+    const guardarCambiosExpedienteBtn = document.getElementById('guardarCambiosExpediente');
+    const eliminarPacienteModalBtn = document.getElementById('eliminarPacienteModalBtn');
+    const historialCambiosSeccion = document.getElementById('historialCambiosSeccion');
+    const historialCambiosDiv = document.getElementById('historialCambios');
+    const abrirFusionPacientesBtn = document.getElementById('abrirFusionPacientes');
+    const fusionPacientesModal = document.getElementById('fusionPacientesModal');
+    const fusionPacienteActualSpan = document.getElementById('fusionPacienteActual');
+    const fusionOtroPacienteSelect = document.getElementById('fusionOtroPaciente');
+    const fusionCamposDiv = document.getElementById('fusionCampos');
+    const confirmarFusionPacientesBtn = document.getElementById('confirmarFusionPacientes');
+    const cancelarFusionPacientesBtn = document.getElementById('cancelarFusionPacientes');
+    const mensajeEdicion = document.getElementById('mensajeEdicion');
+
+    const fechaConsultaInput = document.getElementById('fechaConsulta');
+    const notasConsultaInput = document.getElementById('notasConsulta');
+    const evaluacionConsultaDiv = document.getElementById('evaluacionConsulta');
+    const planConsultaSelect = document.getElementById('planConsulta');
+    const cobroConsultaSelect = document.getElementById('cobroConsulta');
+    const agregarConsultaBtn = document.getElementById('agregarConsulta');
+    const plantillaNotaSelect = document.getElementById('plantillaNota');
+    const insertarPlantillaNotaBtn = document.getElementById('insertarPlantillaNota');
+    const gestionarPlantillasNotasBtn = document.getElementById('gestionarPlantillasNotas');
+    const plantillasNotasModal = document.getElementById('plantillasNotasModal');
+    const cerrarPlantillasNotasBtn = document.getElementById('cerrarPlantillasNotas');
+    const nombrePlantillaNotaInput = document.getElementById('nombrePlantillaNota');
+    const tipoPlantillaNotaSelect = document.getElementById('tipoPlantillaNota');
+    const textoPlantillaNotaInput = document.getElementById('textoPlantillaNota');
+    const guardarPlantillaNotaBtn = document.getElementById('guardarPlantillaNota');
+    const cancelarEdicionPlantillaNotaBtn = document.getElementById('cancelarEdicionPlantillaNota');
+    const mensajePlantillasNotas = document.getElementById('mensajePlantillasNotas');
+    const listaPlantillasNotasDiv = document.getElementById('listaPlantillasNotas');
+    let plantillasNotas = []; // Plantillas y frases rápidas cargadas en el selector de las notas
+    let plantillaNotaEditadaId = null; // Plantilla que se está modificando en el gestor (null si es nueva)
+    const listaConsultasDiv = document.getElementById('listaConsultas');
+    const imprimirDesdeInput = document.getElementById('imprimirDesde');
+    const imprimirHastaInput = document.getElementById('imprimirHasta');
+    const imprimirExpedienteBtn = document.getElementById('imprimirExpediente');
+    const areaImpresion = document.getElementById('areaImpresion');
+    const progresoMedidasDiv = document.getElementById('progresoMedidas');
+
+    // Planes de tratamiento
+    const planObjetivoInput = document.getElementById('planObjetivo');
+    const planModalidadSelect = document.getElementById('planModalidad');
+    const planSesionesInput = document.getElementById('planSesiones');
+    const planFrecuenciaInput = document.getElementById('planFrecuencia');
+    const planFechaInicioInput = document.getElementById('planFechaInicio');
+    const agregarPlanBtn = document.getElementById('agregarPlan');
+    const listaPlanesDiv = document.getElementById('listaPlanes');
+
+    // Galería de fotos clínicas
+    const fotoArchivoInput = document.getElementById('fotoArchivo');
+    const fotoZonaSelect = document.getElementById('fotoZona');
+    const fotoMomentoSelect = document.getElementById('fotoMomento');
+    const fotoFechaInput = document.getElementById('fotoFecha');
+    const fotoConsultaSelect = document.getElementById('fotoConsulta');
+    const agregarFotosBtn = document.getElementById('agregarFotos');
+    const filtroZonaFotosSelect = document.getElementById('filtroZonaFotos');
+    const galeriaFotosDiv = document.getElementById('galeriaFotos');
+    const compararFotosBtn = document.getElementById('compararFotos');
+    const comparacionFotosDiv = document.getElementById('comparacionFotos');
+    let urlsFotos = []; // Object URLs activos de la galería, para liberarlos al redibujar
+
+    // Cobros y pagos
+    const saldoPacienteP = document.getElementById('saldoPaciente');
+    const cargoServicioSelect = document.getElementById('cargoServicio');
+    const cargoConceptoInput = document.getElementById('cargoConcepto');
+    const cargoImporteInput = document.getElementById('cargoImporte');
+    const cargoFechaInput = document.getElementById('cargoFecha');
+    const registrarCargoBtn = document.getElementById('registrarCargo');
+    const pagoImporteInput = document.getElementById('pagoImporte');
+    const pagoMetodoSelect = document.getElementById('pagoMetodo');
+    const pagoConceptoInput = document.getElementById('pagoConcepto');
+    const pagoFechaInput = document.getElementById('pagoFecha');
+    const registrarPagoBtn = document.getElementById('registrarPago');
+    const mensajeCobros = document.getElementById('mensajeCobros');
+    const listaCobrosDiv = document.getElementById('listaCobros');
+    const listaServiciosDiv = document.getElementById('listaServicios');
+    const servicioNombreInput = document.getElementById('servicioNombre');
+    const servicioSesionesInput = document.getElementById('servicioSesiones');
+    const servicioPrecioInput = document.getElementById('servicioPrecio');
+    const guardarServicioBtn = document.getElementById('guardarServicio');
+    const cancelarEdicionServicioBtn = document.getElementById('cancelarEdicionServicio');
+    let serviciosCatalogo = []; // Catálogo completo de servicios, incluidos los retirados
+    let servicioEditadoId = null; // Servicio que se está modificando en Configuración (null si es nuevo)
+
+    // Consentimientos informados
+    const consentimientoModalidadSelect = document.getElementById('consentimientoModalidad');
+    const prepararConsentimientoBtn = document.getElementById('prepararConsentimiento');
+    const listaConsentimientosDiv = document.getElementById('listaConsentimientos');
+    const consentimientoModal = document.getElementById('consentimientoModal');
+    const cerrarConsentimientoBtn = document.getElementById('cerrarConsentimiento');
+    const consentimientoPacienteSpan = document.getElementById('consentimientoPaciente');
+    const consentimientoTratamientoSpan = document.getElementById('consentimientoTratamiento');
+    const textoConsentimientoInput = document.getElementById('textoConsentimiento');
+    const firmaCanvas = document.getElementById('firmaConsentimiento');
+    const limpiarFirmaBtn = document.getElementById('limpiarFirma');
+    const guardarConsentimientoBtn = document.getElementById('guardarConsentimiento');
+    const mensajeConsentimiento = document.getElementById('mensajeConsentimiento');
+    let firmaVacia = true; // Si todavía no se ha dibujado nada en el recuadro de firma
+    let trazandoFirma = false;
+
+    // Agenda de citas
+    const citaPacienteSelect = document.getElementById('citaPaciente');
+    const citaFechaInput = document.getElementById('citaFecha');
+    const citaHoraInput = document.getElementById('citaHora');
+    const citaDuracionSelect = document.getElementById('citaDuracion');
+    const citaTratamientoSelect = document.getElementById('citaTratamiento');
+    const agendarCitaBtn = document.getElementById('agendarCita');
+    const mensajeCita = document.getElementById('mensajeCita');
+    const vistaAgendaSelect = document.getElementById('vistaAgenda');
+    const agendaAnteriorBtn = document.getElementById('agendaAnterior');
+    const agendaHoyBtn = document.getElementById('agendaHoy');
+    const agendaSiguienteBtn = document.getElementById('agendaSiguiente');
+    const agendaTituloSpan = document.getElementById('agendaTitulo');
+    const calendarioCitasDiv = document.getElementById('calendarioCitas');
+
+    // Configuración
+    const abrirAjustesBtn = document.getElementById('abrirAjustes');
+    const ajustesModal = document.getElementById('ajustesModal');
+    const cerrarAjustesBtn = document.getElementById('cerrarAjustes');
+    const estadoCifradoP = document.getElementById('estadoCifrado');
+    const formularioCifradoDiv = document.getElementById('formularioCifrado');
+    const claveCifradoInput = document.getElementById('claveCifrado');
+    const confirmarClaveCifradoInput = document.getElementById('confirmarClaveCifrado');
+    const activarCifradoBtn = document.getElementById('activarCifrado');
+    const desactivarCifradoBtn = document.getElementById('desactivarCifrado');
+    const bloquearAhoraBtn = document.getElementById('bloquearAhora');
+    const pantallaBloqueo = document.getElementById('pantallaBloqueo');
+    const claveBloqueoInput = document.getElementById('claveBloqueo');
+    const desbloquearAppBtn = document.getElementById('desbloquearApp');
+    const mensajeBloqueo = document.getElementById('mensajeBloqueo');
+    const estadoBloqueoP = document.getElementById('estadoBloqueo');
+    const nuevaClaveBloqueoInput = document.getElementById('nuevaClaveBloqueo');
+    const confirmarClaveBloqueoInput = document.getElementById('confirmarClaveBloqueo');
+    const minutosBloqueoInput = document.getElementById('minutosBloqueo');
+    const bloquearAlOcultarInput = document.getElementById('bloquearAlOcultar');
+    const guardarBloqueoBtn = document.getElementById('guardarBloqueo');
+    const desactivarBloqueoBtn = document.getElementById('desactivarBloqueo');
+    const tablaReglasDiv = document.getElementById('tablaReglas');
+    const guardarReglasBtn = document.getElementById('guardarReglas');
+    const restaurarReglasBtn = document.getElementById('restaurarReglas');
+    const mensajeAjustes = document.getElementById('mensajeAjustes');
+    const plantillaModalidadSelect = document.getElementById('plantillaModalidad');
+    const plantillaConsentimientoInput = document.getElementById('plantillaConsentimiento');
+    const guardarPlantillaConsentimientoBtn = document.getElementById('guardarPlantillaConsentimiento');
+    const restaurarPlantillaConsentimientoBtn = document.getElementById('restaurarPlantillaConsentimiento');
+
+    let currentPacienteId = null; // Para saber qué paciente estamos editando en el modal
+    let fechaAgenda = new Date(); // Día de referencia de la vista de agenda
+    let citaPendienteId = null; // Cita asistida que se está registrando como consulta
+    let configuracionBloqueo = null; // Configuración del bloqueo de la aplicación (null si no está activado)
+    let aplicacionBloqueada = false;
+    let temporizadorInactividad = null;
+
+    // --- Funcionalidad de Registrar Paciente ---
+
+    /**
+     * Genera las casillas de contraindicaciones dentro de un contenedor.
+     * @param {HTMLElement} contenedor Elemento donde se crean las casillas.
+     */
+    function crearCasillasContraindicaciones(contenedor) {
+        contenedor.innerHTML = CONTRAINDICACIONES.map(contraindicacion => `
+            <label class="contraindicacion-casilla">
+                <input type="checkbox" value="${contraindicacion.valor}"> ${escaparHTML(contraindicacion.etiqueta)}
+            </label>`).join('');
+    }
+
+    function leerContraindicaciones(contenedor) {
+        return Array.from(contenedor.querySelectorAll('input[type="checkbox"]:checked')).map(casilla => casilla.value);
+    }
+
+    guardarPacienteBtn.addEventListener('click', async () => {
+        const nombre = nombreInput.value.trim();
+        const fechaNacimiento = fechaNacimientoInput.value; // YYYY-MM-DD
+
+        if (nombre && fechaNacimiento && !esEmailValido(document.getElementById('email').value.trim())) {
+            mensajeGuardado.textContent = 'El correo electrónico no tiene un formato válido.';
+            mensajeGuardado.style.backgroundColor = '#fff3cd';
+            mensajeGuardado.style.color = '#856404';
+            mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
+            setTimeout(() => {
+                mensajeGuardado.style.display = 'none'; // Ocultar mensaje después de 3 segundos
+                mensajeGuardado.textContent = '';
+            }, 3000);
+            return;
+        }
+
+        if (nombre && fechaNacimiento) {
+            const similares = await buscarPacientesSimilares(nombre, fechaNacimiento);
+            if (similares.length > 0 && !confirm(`Ya hay ${similares.length === 1 ? 'un paciente registrado' : 'pacientes registrados'} con un nombre parecido y la misma fecha de nacimiento:\n\n${similares.map(p => `- ${p.nombre} (${p.fechaNacimiento})`).join('\n')}\n\n¿Registrar de todos modos un paciente nuevo?`)) {
+                return;
+            }
+            const pacienteData = {
+                nombre,
+                fechaNacimiento,
+                contraindicaciones: leerContraindicaciones(contraindicacionesDiv)
+            };
+            CAMPOS_PACIENTE.forEach(campo => {
+                pacienteData[campo] = document.getElementById(campo).value.trim();
+            });
+
+            try {
+                await addPaciente(pacienteData);
+                mensajeGuardado.textContent = '¡Paciente guardado con éxito!';
+                mensajeGuardado.style.backgroundColor = '#d4edda';
+                mensajeGuardado.style.color = '#155724';
+                mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
+                nombreInput.value = '';
+                fechaNacimientoInput.value = '';
+                CAMPOS_PACIENTE.forEach(campo => {
+                    document.getElementById(campo).value = '';
+                });
+                contraindicacionesDiv.querySelectorAll('input[type="checkbox"]').forEach(casilla => {
+                    casilla.checked = false;
+                });
+                await displayAllPacientes(); // Actualizar lista de pacientes
+            } catch (error) {
+                mensajeGuardado.textContent = 'Error al guardar el paciente.';
+                mensajeGuardado.style.backgroundColor = '#f8d7da';
+                mensajeGuardado.style.color = '#721c24';
+                mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
+                console.error('Error al guardar paciente:', error);
+            } finally {
+                setTimeout(() => {
+                    mensajeGuardado.style.display = 'none'; // Ocultar mensaje después de 3 segundos
+                    mensajeGuardado.textContent = '';
+                }, 3000);
+            }
+        } else {
+            mensajeGuardado.textContent = 'Por favor, completa el nombre y la fecha de nacimiento.';
+            mensajeGuardado.style.backgroundColor = '#fff3cd';
+            mensajeGuardado.style.color = '#856404';
+            mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
+            setTimeout(() => {
+                mensajeGuardado.style.display = 'none'; // Ocultar mensaje después de 3 segundos
+                mensajeGuardado.textContent = '';
+            }, 3000);
+        }
+    });
+
+    // --- Funcionalidad de Búsqueda Instantánea ---
+
+    ordenBusquedaSelect.innerHTML = ORDENES_BUSQUEDA
+        .map(orden => `<option value="${orden.valor}">${escaparHTML(orden.etiqueta)}</option>`)
+        .join('');
+
+    function leerNumeroFiltro(input) {
+        const valor = parseInt(input.value);
+        return isNaN(valor) ? null : valor;
+    }
+
+    function leerCriteriosBusqueda() {
+        return {
+            texto: busquedaNombreInput.value.trim(),
+            edadMinima: leerNumeroFiltro(filtroEdadMinimaInput),
+            edadMaxima: leerNumeroFiltro(filtroEdadMaximaInput),
+            ultimaVisitaDesde: filtroVisitaDesdeInput.value,
+            ultimaVisitaHasta: filtroVisitaHastaInput.value,
+            tratamientoActivo: filtroTratamientoSelect.value,
+            sinVisitaDias: leerNumeroFiltro(filtroSinVisitaInput),
+            orden: ordenBusquedaSelect.value
+        };
+    }
+
+    // Estado del listado: posición de la siguiente página del índice por nombre o resultados de búsqueda aún sin mostrar
+    let siguientePaginaPacientes = null;
+    let resultadosPendientes = [];
+    let pacientesMostrados = 0;
+    let totalPacientesListado = 0;
+    let busquedaConFiltros = false;
+    let busquedaEnCurso = 0; // Descarta las respuestas de búsquedas anteriores que terminen tarde
+
+    /**
+     * Vuelve a buscar con el texto, los filtros y el orden actuales y muestra los resultados.
+     * Sin texto ni filtros y en orden alfabético, los pacientes se leen por páginas del índice de nombres;
+     * en otro caso se busca en todos y los resultados se muestran también por partes.
+     */
+    async function aplicarBusqueda() {
+        const busqueda = ++busquedaEnCurso;
+        const criterios = leerCriteriosBusqueda();
+        const hayCriterios = criterios.texto || criterios.edadMinima !== null || criterios.edadMaxima !== null ||
+            criterios.ultimaVisitaDesde || criterios.ultimaVisitaHasta || criterios.tratamientoActivo || criterios.sinVisitaDias;
+
+        if (!hayCriterios && criterios.orden === 'nombre') {
+            const [pagina, total] = await Promise.all([getPaginaPacientes(null, PACIENTES_POR_PAGINA), contarPacientes()]);
+            const resumen = await getResumenPacientes(pagina.pacientes.map(paciente => paciente.id));
+            if (busqueda !== busquedaEnCurso) {
+                return;
+            }
+            busquedaConFiltros = false;
+            resultadosPendientes = [];
+            siguientePaginaPacientes = pagina.siguiente;
+            totalPacientesListado = total;
+            displayPacientes(resultadosDePagina(pagina.pacientes, resumen), false);
+            return;
+        }
+
+        const resultados = await buscarPacientes(criterios);
+        if (busqueda !== busquedaEnCurso) {
+            return;
+        }
+        busquedaConFiltros = Boolean(hayCriterios);
+        siguientePaginaPacientes = null;
+        resultadosPendientes = [...resultados];
+        totalPacientesListado = resultados.length;
+        displayPacientes(resultadosPendientes.splice(0, PACIENTES_POR_PAGINA), false);
+    }
+
+    /**
+     * Convierte una página de pacientes del índice al formato de resultados de buscarPacientes.
+     * @param {Array<Object>} pacientes Pacientes de la página.
+     * @param {Map<number, Object>} resumen Última visita y planes activos por paciente.
+     * @returns {Array<Object>} Resultados para displayPacientes.
+     */
+    function resultadosDePagina(pacientes, resumen) {
+        return pacientes.map(paciente => ({
+            paciente,
+            edad: calcularEdad(paciente.fechaNacimiento),
+            ...resumen.get(paciente.id),
+            coincidencias: []
+        }));
+    }
+
+    /**
+     * Añade al listado la siguiente página de pacientes o de resultados de búsqueda.
+     */
+    async function cargarMasPacientes() {
+        if (resultadosPendientes.length > 0) {
+            displayPacientes(resultadosPendientes.splice(0, PACIENTES_POR_PAGINA), true);
+            return;
+        }
+        if (!siguientePaginaPacientes) {
+            return;
+        }
+        const busqueda = busquedaEnCurso;
+        const pagina = await getPaginaPacientes(siguientePaginaPacientes, PACIENTES_POR_PAGINA);
+        const resumen = await getResumenPacientes(pagina.pacientes.map(paciente => paciente.id));
+        if (busqueda !== busquedaEnCurso) {
+            return;
+        }
+        siguientePaginaPacientes = pagina.siguiente;
+        displayPacientes(resultadosDePagina(pagina.pacientes, resumen), true);
+    }
+
+    busquedaNombreInput.addEventListener('input', retrasarEjecucion(aplicarBusqueda, RETARDO_BUSQUEDA));
+    busquedaNombreInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            aplicarBusqueda();
+        }
+    });
+    buscarPacienteBtn.addEventListener('click', aplicarBusqueda);
+    [filtroEdadMinimaInput, filtroEdadMaximaInput, filtroVisitaDesdeInput, filtroVisitaHastaInput,
+        filtroTratamientoSelect, filtroSinVisitaInput, ordenBusquedaSelect].forEach(control => {
+        control.addEventListener('change', aplicarBusqueda);
+    });
+
+    let cargandoMasPacientes = false;
+    async function cargarMasPacientesUnaVez() {
+        if (cargandoMasPacientes) {
+            return;
+        }
+        cargandoMasPacientes = true;
+        try {
+            await cargarMasPacientes();
+        } finally {
+            cargandoMasPacientes = false;
+        }
+    }
+
+    cargarMasPacientesBtn.addEventListener('click', cargarMasPacientesUnaVez);
+    // Desplazamiento continuo: al acercarse al final de la lista se carga la siguiente página
+    if ('IntersectionObserver' in window) {
+        new IntersectionObserver((entradas) => {
+            if (entradas.some(entrada => entrada.isIntersecting) && cargarMasPacientesBtn.style.display !== 'none') {
+                cargarMasPacientesUnaVez();
+            }
+        }, { rootMargin: '200px' }).observe(cargarMasPacientesBtn);
+    }
+
+    function limpiarFiltrosBusqueda() {
+        [filtroEdadMinimaInput, filtroEdadMaximaInput, filtroVisitaDesdeInput, filtroVisitaHastaInput, filtroSinVisitaInput]
+            .forEach(input => {
+                input.value = '';
+            });
+        filtroTratamientoSelect.value = '';
+    }
+
+    limpiarFiltrosBtn.addEventListener('click', async () => {
+        limpiarFiltrosBusqueda();
+        await aplicarBusqueda();
+    });
+
+    mostrarTodosBtn.addEventListener('click', async () => {
+        busquedaNombreInput.value = '';
+        limpiarFiltrosBusqueda();
+        await displayAllPacientes();
+    });
+
+    // --- Función para mostrar pacientes en la interfaz ---
+
+    /**
+     * Crea la tarjeta de un paciente del listado.
+     * @param {Object} resultado Paciente y su resumen (edad, última visita, planes activos, coincidencias).
+     * @returns {HTMLElement} Tarjeta del paciente.
+     */
+    function crearTarjetaPaciente({ paciente, edad, ultimaVisita, planesActivos, coincidencias }) {
+        const pacienteCard = document.createElement('div');
+        pacienteCard.classList.add('patient-card');
+        const textoCoincidencias = coincidencias.length > 0 && !(coincidencias.length === 1 && coincidencias[0] === 'Nombre')
+            ? `<br><small class="coincidencias-busqueda">Coincide en: ${escaparHTML(coincidencias.join(', '))}</small>`
+            : '';
+        pacienteCard.innerHTML = `
+            <div>
+                <strong>Nombre:</strong> <span>${escaparHTML(paciente.nombre)}</span>
+                ${planesActivos > 0 ? '<span class="etiqueta-tratamiento">Tratamiento activo</span>' : ''}<br>
+                <strong>Fecha Nacimiento:</strong> <span>${paciente.fechaNacimiento}</span><br>
+                <strong>Edad:</strong> <span>${edad} años</span><br>
+                <strong>Última visita:</strong> <span>${ultimaVisita || 'Sin consultas'}</span>
+                ${textoCoincidencias}
+            </div>
+            <div>
+                <button class="view-expediente-btn" data-id="${paciente.id}">Ver Expediente</button>
+                <button class="delete-patient-btn" data-id="${paciente.id}">Eliminar</button>
+            </div>
+        `;
+        return pacienteCard;
+    }
+
+    /**
+     * Muestra resultados en la lista de pacientes y actualiza el botón para cargar más.
+     * @param {Array<Object>} resultados Resultados con el paciente y su resumen (última visita, planes activos, coincidencias).
+     * @param {boolean} anadir Si es true, se añaden a los ya mostrados en lugar de reemplazarlos.
+     */
+    function displayPacientes(resultados, anadir) {
+        if (!anadir) {
+            resultadosBusquedaDiv.innerHTML = '';
+            pacientesMostrados = 0;
+        }
+        if (!anadir && resultados.length === 0) {
+            resultadosBusquedaDiv.innerHTML = '<p class="no-results">No se encontraron pacientes.</p>';
+        }
+
+        const fragmento = document.createDocumentFragment();
+        resultados.forEach(resultado => fragmento.appendChild(crearTarjetaPaciente(resultado)));
+        resultadosBusquedaDiv.appendChild(fragmento);
+        pacientesMostrados += resultados.length;
+
+        const hayMas = resultadosPendientes.length > 0 || siguientePaginaPacientes !== null;
+        cargarMasPacientesBtn.style.display = hayMas ? 'block' : 'none';
+        const total = totalPacientesListado;
+        const encontrados = busquedaConFiltros
+            ? `${total} paciente${total === 1 ? '' : 's'} encontrado${total === 1 ? '' : 's'}.`
+            : '';
+        const mostrando = hayMas ? `Mostrando ${pacientesMostrados} de ${total} pacientes.` : '';
+        resumenBusquedaP.textContent = [encontrados, mostrando].filter(Boolean).join(' ');
+    }
+
+    // Un único listener para los botones de todas las tarjetas, presentes y futuras
+    resultadosBusquedaDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const pacienteId = parseInt(boton.dataset.id);
+
+        if (boton.classList.contains('view-expediente-btn')) {
+            await openExpedienteModal(pacienteId);
+            return;
+        }
+        if (boton.classList.contains('delete-patient-btn')) {
+            const paciente = await getPacienteById(pacienteId);
+            if (paciente && await confirmarEnvioPapelera(paciente)) {
+                try {
+                    await deletePaciente(pacienteId);
+                    alert('Paciente enviado a la papelera.');
+                    await displayAllPacientes();
+                } catch (error) {
+                    alert('Error al eliminar el paciente.');
+                    console.error('Error deleting patient:', error);
+                }
+            }
+        }
+    });
+
+    async function displayAllPacientes() {
+        await aplicarBusqueda(); // Respeta el orden elegido (y los filtros, si los hay)
+        actualizarPacientesCita(await getNombresPacientes());
+        await displayAgenda();
+    }
+
+    // --- Funcionalidad de Agenda de Citas ---
+
+    /**
+     * Rellena el selector de pacientes del formulario de citas, ordenado por nombre.
+     * @param {Array<{id: number, nombre: string}>} pacientes Todos los pacientes.
+     */
+    function actualizarPacientesCita(pacientes) {
+        const seleccionado = citaPacienteSelect.value;
+        citaPacienteSelect.innerHTML = '<option value="">-- Selecciona un paciente --</option>' + [...pacientes]
+            .sort((a, b) => a.nombre.localeCompare(b.nombre))
+            .map(paciente => `<option value="${paciente.id}">${escaparHTML(paciente.nombre)}</option>`)
+            .join('');
+        citaPacienteSelect.value = seleccionado;
+    }
+
+    function mostrarMensajeCita(texto, tipo) {
+        const colores = {
+            exito: ['#d4edda', '#155724'],
+            error: ['#f8d7da', '#721c24'],
+            aviso: ['#fff3cd', '#856404']
+        };
+        mensajeCita.textContent = texto;
+        mensajeCita.style.backgroundColor = colores[tipo][0];
+        mensajeCita.style.color = colores[tipo][1];
+        mensajeCita.style.display = 'block';
+        setTimeout(() => {
+            mensajeCita.style.display = 'none';
+            mensajeCita.textContent = '';
+        }, 3000);
+    }
+
+    agendarCitaBtn.addEventListener('click', async () => {
+        const pacienteId = parseInt(citaPacienteSelect.value);
+        const fecha = citaFechaInput.value;
+        const hora = citaHoraInput.value;
+
+        if (!pacienteId || !fecha || !hora) {
+            mostrarMensajeCita('Por favor, selecciona el paciente, la fecha y la hora de la cita.', 'aviso');
+            return;
+        }
+
+        const citaData = {
+            pacienteId,
+            fecha,
+            hora,
+            duracion: parseInt(citaDuracionSelect.value),
+            tratamiento: citaTratamientoSelect.value,
+            estado: 'programada',
+            consultaId: null
+        };
+
+        // Avisar si la cita se solapa con otra cita activa del mismo día
+        const inicio = horaAMinutos(hora);
+        const fin = inicio + citaData.duracion;
+        const solapada = (await getCitasEntreFechas(fecha, fecha)).find(cita => {
+            if (cita.estado === 'cancelada') {
+                return false;
+            }
+            const inicioOtra = horaAMinutos(cita.hora);
+            return inicio < inicioOtra + cita.duracion && inicioOtra < fin;
+        });
+        if (solapada && !confirm(`Ya hay una cita a las ${solapada.hora} que se solapa con este horario. ¿Agendar de todos modos?`)) {
+            return;
+        }
+
+        try {
+            await addCita(citaData);
+            mostrarMensajeCita('¡Cita agendada con éxito!', 'exito');
+            citaHoraInput.value = '';
+            fechaAgenda = new Date(fecha + 'T00:00:00');
+            await displayAgenda();
+        } catch (error) {
+            mostrarMensajeCita('Error al agendar la cita.', 'error');
+            console.error('Error al agendar cita:', error);
+        }
+    });
+
+    /**
+     * Dibuja la agenda de la semana (lunes a domingo) o del día de `fechaAgenda`.
+     */
+    async function displayAgenda() {
+        const vistaSemanal = vistaAgendaSelect.value === 'semana';
+        const inicio = vistaSemanal ? inicioSemana(fechaAgenda) : new Date(fechaAgenda);
+        const numeroDias = vistaSemanal ? 7 : 1;
+        const dias = Array.from({ length: numeroDias }, (_, i) => formatDate(sumarDias(inicio, i)));
+
+        agendaTituloSpan.textContent = vistaSemanal ? `${dias[0]} al ${dias[6]}` : dias[0];
+
+        const citas = await getCitasEntreFechas(dias[0], dias[dias.length - 1]);
+        const pacientes = new Map((await getAllPacientes()).map(paciente => [paciente.id, paciente]));
+        const hoy = formatDate(new Date());
+        const nombresDias = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+
+        calendarioCitasDiv.className = `calendario-citas ${vistaSemanal ? 'vista-semana' : 'vista-dia'}`;
+        calendarioCitasDiv.innerHTML = dias.map(dia => {
+            const diaSemana = (new Date(dia + 'T00:00:00').getDay() + 6) % 7;
+            const citasDia = citas.filter(cita => cita.fecha === dia);
+            const tarjetas = citasDia.map(cita => {
+                const paciente = pacientes.get(cita.pacienteId);
+                const tratamiento = (TIPOS_CITA.find(tipo => tipo.valor === cita.tratamiento) || { etiqueta: cita.tratamiento }).etiqueta;
+                const acciones = cita.estado === 'programada'
+                    ? `
+                        <button class="cita-estado-btn" data-id="${cita.id}" data-estado="asistida">Asistió</button>
+                        <button class="cita-estado-btn" data-id="${cita.id}" data-estado="no_asistio">No asistió</button>
+                        <button class="cita-estado-btn cita-cancelar-btn" data-id="${cita.id}" data-estado="cancelada">Cancelar</button>`
+                    : cita.estado === 'asistida' && !cita.consultaId
+                        ? `<button class="cita-consulta-btn" data-id="${cita.id}">Registrar Consulta</button>`
+                        : '';
+                return `
+                    <div class="cita-item cita-${cita.estado}">
+                        <strong>${cita.hora}</strong> · ${cita.duracion} min<br>
+                        <span>${escaparHTML(paciente ? paciente.nombre : 'Paciente eliminado')}</span><br>
+                        <em>${escaparHTML(tratamiento)}</em><br>
+                        <span class="cita-estado">${ESTADOS_CITA[cita.estado]}${cita.consultaId ? ' · Consulta registrada' : ''}</span>
+                        <div class="cita-acciones">${acciones}</div>
+                    </div>`;
+            }).join('');
+
+            return `
+                <div class="agenda-dia ${dia === hoy ? 'agenda-hoy' : ''}">
+                    <div class="agenda-dia-titulo">${nombresDias[diaSemana]} ${dia.slice(8)}/${dia.slice(5, 7)}</div>
+                    ${tarjetas || '<p class="agenda-vacia">Sin citas</p>'}
+                </div>`;
+        }).join('');
+
+        calendarioCitasDiv.querySelectorAll('.cita-estado-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const cita = await getCitaById(parseInt(event.target.dataset.id));
+                const estado = event.target.dataset.estado;
+                if (!cita || (estado === 'cancelada' && !confirm('¿Estás seguro de que quieres cancelar esta cita?'))) {
+                    return;
+                }
+                try {
+                    cita.estado = estado;
+                    await updateCita(cita);
+                    await displayAgenda();
+                } catch (error) {
+                    alert('Error al actualizar la cita.');
+                    console.error('Error updating appointment:', error);
+                }
+            });
+        });
+
+        calendarioCitasDiv.querySelectorAll('.cita-consulta-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const cita = await getCitaById(parseInt(event.target.dataset.id));
+                if (cita) {
+                    await registrarConsultaDesdeCita(cita);
+                }
+            });
+        });
+    }
+
+    /**
+     * Abre el expediente del paciente con el formulario de consulta precargado con la fecha
+     * y el tratamiento de la cita. Al guardar la consulta, queda vinculada a la cita.
+     * @param {Object} cita Cita asistida.
+     */
+    async function registrarConsultaDesdeCita(cita) {
+        await openExpedienteModal(cita.pacienteId);
+        if (editModal.style.display !== 'block') {
+            return;
+        }
+        citaPendienteId = cita.id;
+        fechaConsultaInput.value = cita.fecha;
+        rellenarFormularioEvaluacion(evaluacionConsultaDiv, MODALIDADES.some(m => m.valor === cita.tratamiento)
+            ? { modalidades: [cita.tratamiento] }
+            : null);
+        const planActivo = (await getPlanesByPacienteId(cita.pacienteId))
+            .find(plan => plan.estado === 'activo' && plan.modalidad === cita.tratamiento);
+        planConsultaSelect.value = planActivo ? planActivo.id : '';
+        notasConsultaInput.focus();
+    }
+
+    vistaAgendaSelect.addEventListener('change', displayAgenda);
+
+    agendaAnteriorBtn.addEventListener('click', async () => {
+        fechaAgenda = sumarDias(fechaAgenda, vistaAgendaSelect.value === 'semana' ? -7 : -1);
+        await displayAgenda();
+    });
+
+    agendaSiguienteBtn.addEventListener('click', async () => {
+        fechaAgenda = sumarDias(fechaAgenda, vistaAgendaSelect.value === 'semana' ? 7 : 1);
+        await displayAgenda();
+    });
+
+    agendaHoyBtn.addEventListener('click', async () => {
+        fechaAgenda = new Date();
+        await displayAgenda();
+    });
+
+    // Opciones del formulario de citas
+    citaTratamientoSelect.innerHTML = TIPOS_CITA
+        .map(tipo => `<option value="${tipo.valor}">${escaparHTML(tipo.etiqueta)}</option>`)
+        .join('');
+    citaFechaInput.value = formatDate(new Date());
+
+    // Con el bloqueo activado, no se muestra ningún dato hasta introducir el PIN o la contraseña
+    configuracionBloqueo = await getAjuste('bloqueo', null);
+    if (configuracionBloqueo) {
+        aplicacionBloqueada = true;
+        await esperarDesbloqueoAplicacion();
+    } else if (await getAjuste('cifradoDatos', null)) {
+        // Si los datos están cifrados en reposo, pedir la contraseña antes de mostrar nada
+        await solicitarDesbloqueo();
+    }
+    actualizarBotonBloqueo();
+    reiniciarTemporizadorInactividad();
+
+    // Mostrar todos los pacientes al cargar la página inicialmente
+    await displayAllPacientes();
+
+    // Copia automática del día (y comprobación periódica por si la aplicación sigue abierta al cambiar de día)
+    await ejecutarCopiaAutomatica();
+    setInterval(ejecutarCopiaAutomatica, 60 * 60 * 1000);
+
+    // Borrado de los pacientes que han cumplido su plazo en la papelera, con la misma periodicidad
+    await purgarPapeleraAutomatica();
+    setInterval(purgarPapeleraAutomatica, 60 * 60 * 1000);
+
+    // --- Funcionalidad de Exportar/Importar Datos ---
+    exportarDatosBtn.addEventListener('click', async () => {
+        await exportAllData(claveRespaldoInput.value);
+        claveRespaldoInput.value = '';
+    });
+
+    importarDatosBtn.addEventListener('click', () => {
+        importarArchivoInput.click();
+    });
+
+    importarArchivoInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            importMessage.textContent = 'Importando datos...';
+            importMessage.style.backgroundColor = '#fff3cd';
+            importMessage.style.color = '#856404';
+            importMessage.style.display = 'block'; // Mostrar el mensaje
+            await importAllData(file, claveRespaldoInput.value);
+            event.target.value = ''; // Limpiar el input file
+            claveRespaldoInput.value = '';
+        }
+    });
+
+    // --- Funcionalidad de Hojas de Cálculo (CSV) ---
+
+    exportarPacientesCSVBtn.addEventListener('click', async () => {
+        const csv = await exportarPacientesCSV();
+        descargarArchivo(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `pacientes_${formatDate(new Date())}.csv`);
+    });
+
+    exportarConsultasCSVBtn.addEventListener('click', async () => {
+        const csv = await exportarConsultasCSV();
+        descargarArchivo(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `consultas_${formatDate(new Date())}.csv`);
+    });
+
+    formatoFechaCSVSelect.innerHTML = FORMATOS_FECHA_CSV
+        .map(formato => `<option value="${formato.valor}">${escaparHTML(formato.etiqueta)}</option>`)
+        .join('');
+
+    // Archivo en revisión: encabezados, filas de datos y resultado de la última validación
+    let encabezadosCSV = [];
+    let filasCSV = [];
+    let resultadoCSV = null;
+
+    function leerArchivoTexto(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('No se pudo leer el archivo.'));
+            reader.readAsText(file);
+        });
+    }
+
+    function leerMapeoCSV() {
+        return Array.from(mapeoCSVDiv.querySelectorAll('select')).map(select => select.value);
+    }
+
+    /**
+     * Muestra la tabla para asignar cada columna del archivo a un campo del paciente.
+     * @param {Array<string>} mapeo Campo asignado a cada columna.
+     */
+    function displayMapeoCSV(mapeo) {
+        const opciones = [{ campo: '', etiqueta: '-- No importar --' }, ...COLUMNAS_CSV_PACIENTES];
+        mapeoCSVDiv.innerHTML = `
+            <table class="tabla-copias">
+                <thead><tr><th>Columna del archivo</th><th>Ejemplo</th><th>Importar como</th></tr></thead>
+                <tbody>
+                    ${encabezadosCSV.map((encabezado, columna) => `
+                        <tr>
+                            <td>${escaparHTML(encabezado)}</td>
+                            <td>${escaparHTML((filasCSV.find(fila => (fila[columna] || '').trim()) || [])[columna] || '')}</td>
+                            <td>
+                                <select data-columna="${columna}">
+                                    ${opciones.map(({ campo, etiqueta }) =>
+                                        `<option value="${campo}" ${campo === mapeo[columna] ? 'selected' : ''}>${escaparHTML(etiqueta)}</option>`).join('')}
+                                </select>
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    /**
+     * Valida las filas con la asignación de columnas y el formato de fecha elegidos y muestra el resultado.
+     */
+    async function validarImportacionCSV() {
+        try {
+            resultadoCSV = analizarCSVPacientes(filasCSV, leerMapeoCSV(), formatoFechaCSVSelect.value, await getAllPacientes());
+        } catch (error) {
+            resultadoCSV = null;
+            resultadoCSVDiv.innerHTML = `<p class="alerta-contraindicaciones">${escaparHTML(error.message)}</p>`;
+            actualizarBotonImportacionCSV();
+            return;
+        }
+
+        const { pacientes, errores } = resultadoCSV;
+        const duplicados = pacientes.filter(p => p.duplicadoDe);
+        resultadoCSVDiv.innerHTML = `
+            <p><strong>${pacientes.length}</strong> fila${pacientes.length === 1 ? '' : 's'} válida${pacientes.length === 1 ? '' : 's'},
+                <strong>${errores.length}</strong> con errores y <strong>${duplicados.length}</strong> posible${duplicados.length === 1 ? '' : 's'} duplicado${duplicados.length === 1 ? '' : 's'}.</p>
+            ${errores.length > 0 ? `
+                <h3>Filas con errores (no se importarán)</h3>
+                <ul class="lista-csv">
+                    ${errores.map(({ fila, mensajes }) => `<li>Fila ${fila}: ${escaparHTML(mensajes.join(' '))}</li>`).join('')}
+                </ul>` : ''}
+            ${duplicados.length > 0 ? `
+                <h3>Posibles duplicados (mismo nombre y fecha de nacimiento)</h3>
+                <ul class="lista-csv">
+                    ${duplicados.map(({ fila, paciente, duplicadoDe }) =>
+                        `<li>Fila ${fila}: ${escaparHTML(paciente.nombre)} coincide con ${escaparHTML(duplicadoDe)}</li>`).join('')}
+                </ul>` : ''}`;
+        actualizarBotonImportacionCSV();
+    }
+
+    function pacientesAImportarCSV() {
+        return resultadoCSV
+            ? resultadoCSV.pacientes.filter(p => !p.duplicadoDe || importarDuplicadosCSVInput.checked).map(p => p.paciente)
+            : [];
+    }
+
+    function actualizarBotonImportacionCSV() {
+        const total = pacientesAImportarCSV().length;
+        confirmarImportacionCSVBtn.textContent = `Importar ${total} paciente${total === 1 ? '' : 's'}`;
+        confirmarImportacionCSVBtn.disabled = total === 0;
+    }
+
+    function cerrarImportacionCSV() {
+        csvModal.style.display = 'none';
+        encabezadosCSV = [];
+        filasCSV = [];
+        resultadoCSV = null;
+        mapeoCSVDiv.innerHTML = '';
+        resultadoCSVDiv.innerHTML = '';
+    }
+
+    importarCSVBtn.addEventListener('click', () => {
+        importarCSVArchivoInput.click();
+    });
+
+    importarCSVArchivoInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Permite volver a elegir el mismo archivo
+        if (!file) {
+            return;
+        }
+        const filas = parsearCSV(await leerArchivoTexto(file));
+        if (filas.length < 2) {
+            alert('El archivo no tiene filas de datos. La primera fila debe contener los encabezados de las columnas.');
+            return;
+        }
+        [encabezadosCSV, ...filasCSV] = filas;
+        const mapeo = sugerirMapeoColumnas(encabezadosCSV);
+        const columnaFecha = mapeo.indexOf('fechaNacimiento');
+        formatoFechaCSVSelect.value = columnaFecha >= 0
+            ? detectarFormatoFecha(filasCSV.map(fila => fila[columnaFecha] || ''))
+            : FORMATOS_FECHA_CSV[0].valor;
+        importarDuplicadosCSVInput.checked = false;
+        displayMapeoCSV(mapeo);
+        await validarImportacionCSV();
+        csvModal.style.display = 'block';
+    });
+
+    mapeoCSVDiv.addEventListener('change', validarImportacionCSV);
+    formatoFechaCSVSelect.addEventListener('change', validarImportacionCSV);
+    importarDuplicadosCSVInput.addEventListener('change', actualizarBotonImportacionCSV);
+    cancelarImportacionCSVBtn.addEventListener('click', cerrarImportacionCSV);
+
+    confirmarImportacionCSVBtn.addEventListener('click', async () => {
+        const pacientes = pacientesAImportarCSV();
+        try {
+            const total = await importarPacientesCSV(pacientes);
+            cerrarImportacionCSV();
+            importMessage.textContent = `${total} paciente${total === 1 ? '' : 's'} importado${total === 1 ? '' : 's'} desde la hoja de cálculo.`;
+            importMessage.style.backgroundColor = '#d4edda';
+            importMessage.style.color = '#155724';
+            importMessage.style.display = 'inline';
+            setTimeout(() => {
+                importMessage.style.display = 'none';
+            }, 5000);
+            await displayAllPacientes();
+        } catch (error) {
+            alert('Error al importar los pacientes. No se ha guardado ninguno.');
+            console.error('Error importing CSV:', error);
+        }
+    });
+
+    // --- Funcionalidad de Papelera ---
+
+    /**
+     * Pide confirmación para enviar un paciente a la papelera, indicando cuánto tiempo se conservará.
+     * @param {Object} paciente Paciente a eliminar.
+     * @returns {Promise<boolean>} true si se confirma.
+     */
+    async function confirmarEnvioPapelera(paciente) {
+        const dias = await getDiasPapelera();
+        return confirm(`¿Estás seguro de que quieres eliminar a ${paciente.nombre}? Se enviará a la papelera junto con todas sus consultas y podrás recuperarlo durante ${dias} días; después se borrará definitivamente.`);
+    }
+
+    async function purgarPapeleraAutomatica() {
+        if (aplicacionBloqueada) {
+            return;
+        }
+        try {
+            if (await purgarPapeleraCaducada() > 0 && papeleraModal.style.display === 'block') {
+                await displayPapelera();
+            }
+        } catch (error) {
+            console.error('Error al vaciar la papelera:', error);
+        }
+    }
+
+    function mostrarMensajePapelera(texto, tipo) {
+        mensajePapelera.textContent = texto;
+        mensajePapelera.style.backgroundColor = tipo === 'exito' ? '#d4edda' : '#f8d7da';
+        mensajePapelera.style.color = tipo === 'exito' ? '#155724' : '#721c24';
+        mensajePapelera.style.display = 'block';
+        setTimeout(() => {
+            mensajePapelera.style.display = 'none';
+            mensajePapelera.textContent = '';
+        }, 3000);
+    }
+
+    /**
+     * Muestra los pacientes de la papelera con los días que les quedan antes de borrarse definitivamente.
+     */
+    async function displayPapelera() {
+        const [pacientes, dias] = await Promise.all([getPacientesPapelera(), getDiasPapelera()]);
+        vaciarPapeleraBtn.disabled = pacientes.length === 0;
+        if (pacientes.length === 0) {
+            listaPapeleraDiv.innerHTML = '<p class="no-results">La papelera está vacía.</p>';
+            return;
+        }
+        listaPapeleraDiv.innerHTML = `
+            <table class="tabla-papelera">
+                <thead><tr><th>Paciente</th><th>Fecha de nacimiento</th><th>Eliminado</th><th>Se borrará en</th><th></th></tr></thead>
+                <tbody>
+                    ${pacientes.map(paciente => {
+                        const restantes = Math.max(0, Math.ceil((sumarDias(new Date(paciente.eliminadoEn), dias) - Date.now()) / (24 * 60 * 60 * 1000)));
+                        return `
+                        <tr>
+                            <td>${escaparHTML(paciente.nombre)}</td>
+                            <td>${escaparHTML(paciente.fechaNacimiento)}</td>
+                            <td>${formatDateTime(paciente.eliminadoEn)}</td>
+                            <td>${restantes} ${restantes === 1 ? 'día' : 'días'}</td>
+                            <td>
+                                <button class="restaurar-papelera-btn" data-id="${paciente.id}">Recuperar</button>
+                                <button class="purgar-papelera-btn" data-id="${paciente.id}">Borrar definitivamente</button>
+                            </td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    abrirPapeleraBtn.addEventListener('click', async () => {
+        diasPapeleraInput.value = await getDiasPapelera();
+        await displayPapelera();
+        papeleraModal.style.display = 'block';
+    });
+
+    cerrarPapeleraBtn.addEventListener('click', () => {
+        papeleraModal.style.display = 'none';
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === papeleraModal) {
+            papeleraModal.style.display = 'none';
+        }
+    });
+
+    guardarDiasPapeleraBtn.addEventListener('click', async () => {
+        const dias = parseInt(diasPapeleraInput.value);
+        if (!(dias >= 1)) {
+            mostrarMensajePapelera('Indica un número de días válido.', 'error');
+            return;
+        }
+        await setAjuste('diasPapelera', dias);
+        mostrarMensajePapelera('Plazo de la papelera guardado.', 'exito');
+        await purgarPapeleraAutomatica();
+        await displayPapelera();
+    });
+
+    listaPapeleraDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const pacienteId = parseInt(boton.dataset.id);
+        try {
+            if (boton.classList.contains('restaurar-papelera-btn')) {
+                await restaurarPaciente(pacienteId);
+                mostrarMensajePapelera('Paciente recuperado con sus consultas.', 'exito');
+            } else if (boton.classList.contains('purgar-papelera-btn')) {
+                if (!confirm('¿Borrar definitivamente este paciente y todas sus consultas, fotos, citas y planes? Esta acción es irreversible.')) {
+                    return;
+                }
+                await purgarPaciente(pacienteId);
+                mostrarMensajePapelera('Paciente borrado definitivamente.', 'exito');
+            } else {
+                return;
+            }
+            await displayPapelera();
+            await displayAllPacientes();
+        } catch (error) {
+            mostrarMensajePapelera('No se ha podido completar la operación.', 'error');
+            console.error('Error en la papelera:', error);
+        }
+    });
+
+    vaciarPapeleraBtn.addEventListener('click', async () => {
+        const pacientes = await getPacientesPapelera();
+        if (pacientes.length === 0 || !confirm(`¿Borrar definitivamente los ${pacientes.length} pacientes de la papelera? Esta acción es irreversible.`)) {
+            return;
+        }
+        try {
+            for (const paciente of pacientes) {
+                await purgarPaciente(paciente.id);
+            }
+            mostrarMensajePapelera('Papelera vaciada.', 'exito');
+        } catch (error) {
+            mostrarMensajePapelera('No se ha podido vaciar la papelera.', 'error');
+            console.error('Error al vaciar la papelera:', error);
+        }
+        await displayPapelera();
+    });
+
+    // --- Funcionalidad de Copias de Seguridad Automáticas ---
+
+    async function ejecutarCopiaAutomatica() {
+        if (aplicacionBloqueada) {
+            return;
+        }
+        try {
+            await comprobarCopiaAutomatica();
+        } catch (error) {
+            console.error('Error al crear la copia automática:', error);
+        }
+        await displayEstadoCopias();
+    }
+
+    /**
+     * Muestra en la sección de búsqueda cuándo se hizo la última copia automática.
+     */
+    async function displayEstadoCopias() {
+        const configuracion = await getConfiguracionCopias();
+        const [ultima] = await getCopiasAutomaticas();
+        estadoCopiasP.classList.remove('copia-atrasada');
+        if (!ultima) {
+            estadoCopiasP.textContent = configuracion.activas
+                ? 'Todavía no hay copias automáticas.'
+                : 'Las copias automáticas están desactivadas.';
+            estadoCopiasP.classList.toggle('copia-atrasada', !configuracion.activas);
+            return;
+        }
+        const recuento = ultima.recuento || {};
+        estadoCopiasP.textContent = `Última copia automática: ${formatDateTime(ultima.fecha)} ` +
+            `(${recuento[STORE_NAME_PACIENTES] || 0} pacientes, ${recuento[STORE_NAME_CONSULTAS] || 0} consultas)` +
+            (configuracion.activas ? '' : '. Las copias automáticas están desactivadas.');
+        const dias = (Date.now() - new Date(ultima.fecha).getTime()) / (24 * 60 * 60 * 1000);
+        estadoCopiasP.classList.toggle('copia-atrasada', !configuracion.activas || dias > 2);
+    }
+
+    function mostrarMensajeCopias(texto, tipo) {
+        mensajeCopias.textContent = texto;
+        mensajeCopias.style.backgroundColor = tipo === 'exito' ? '#d4edda' : '#f8d7da';
+        mensajeCopias.style.color = tipo === 'exito' ? '#155724' : '#721c24';
+        mensajeCopias.style.display = 'block';
+        setTimeout(() => {
+            mensajeCopias.style.display = 'none';
+            mensajeCopias.textContent = '';
+        }, 3000);
+    }
+
+    async function displayCarpetaCopias() {
+        if (!window.showDirectoryPicker) {
+            carpetaCopiasSeccion.style.display = 'none';
+            return;
+        }
+        const carpeta = await getAjuste('carpetaCopias', null);
+        if (!carpeta) {
+            estadoCarpetaCopiasP.textContent = 'No hay ninguna carpeta elegida.';
+        } else if (await carpeta.queryPermission({ mode: 'readwrite' }) === 'granted') {
+            estadoCarpetaCopiasP.textContent = `Las copias también se guardan en la carpeta "${carpeta.name}".`;
+        } else {
+            estadoCarpetaCopiasP.textContent = `Carpeta "${carpeta.name}": el navegador necesita permiso de nuevo. Pulsa "Elegir Carpeta" para concederlo.`;
+        }
+        quitarCarpetaCopiasBtn.style.display = carpeta ? 'inline-block' : 'none';
+    }
+
+    async function displayListaCopias() {
+        const copias = await getCopiasAutomaticas();
+        if (copias.length === 0) {
+            listaCopiasDiv.innerHTML = '<p class="no-results">Todavía no hay copias automáticas.</p>';
+            return;
+        }
+        listaCopiasDiv.innerHTML = `
+            <table class="tabla-copias">
+                <thead><tr><th>Fecha</th><th>Pacientes</th><th>Consultas</th><th>Tamaño</th><th></th></tr></thead>
+                <tbody>
+                    ${copias.map(copia => `
+                        <tr>
+                            <td>${formatDateTime(copia.fecha)}</td>
+                            <td>${(copia.recuento || {})[STORE_NAME_PACIENTES] || 0}</td>
+                            <td>${(copia.recuento || {})[STORE_NAME_CONSULTAS] || 0}</td>
+                            <td>${(copia.tamano / 1024).toFixed(0)} KB</td>
+                            <td>
+                                <button class="restaurar-copia-btn" data-id="${copia.id}">Restaurar</button>
+                                <button class="descargar-copia-btn" data-id="${copia.id}">Descargar</button>
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    abrirCopiasBtn.addEventListener('click', async () => {
+        const configuracion = await getConfiguracionCopias();
+        copiasActivasInput.checked = configuracion.activas;
+        maximoCopiasInput.value = configuracion.maximo;
+        await displayCarpetaCopias();
+        await displayListaCopias();
+        copiasModal.style.display = 'block';
+    });
+
+    cerrarCopiasBtn.addEventListener('click', () => {
+        copiasModal.style.display = 'none';
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === copiasModal) {
+            copiasModal.style.display = 'none';
+        }
+    });
+
+    guardarConfiguracionCopiasBtn.addEventListener('click', async () => {
+        const maximo = parseInt(maximoCopiasInput.value);
+        if (isNaN(maximo) || maximo < 1) {
+            mostrarMensajeCopias('El número de copias a conservar debe ser al menos 1.', 'error');
+            return;
+        }
+        try {
+            await setAjuste('copiasAutomaticas', { activas: copiasActivasInput.checked, maximo });
+            await ejecutarCopiaAutomatica();
+            await displayListaCopias();
+            mostrarMensajeCopias('¡Configuración guardada con éxito!', 'exito');
+        } catch (error) {
+            mostrarMensajeCopias('Error al guardar la configuración.', 'error');
+            console.error('Error saving backup settings:', error);
+        }
+    });
+
+    crearCopiaAhoraBtn.addEventListener('click', async () => {
+        try {
+            crearCopiaAhoraBtn.disabled = true;
+            await crearCopiaAutomatica();
+            await displayListaCopias();
+            await displayEstadoCopias();
+            mostrarMensajeCopias('¡Copia creada con éxito!', 'exito');
+        } catch (error) {
+            mostrarMensajeCopias('Error al crear la copia.', 'error');
+            console.error('Error creating backup:', error);
+        } finally {
+            crearCopiaAhoraBtn.disabled = false;
+        }
+    });
+
+    elegirCarpetaCopiasBtn.addEventListener('click', async () => {
+        try {
+            const carpetaGuardada = await getAjuste('carpetaCopias', null);
+            if (carpetaGuardada && await carpetaGuardada.requestPermission({ mode: 'readwrite' }) === 'granted') {
+                await displayCarpetaCopias();
+                return;
+            }
+            const carpeta = await window.showDirectoryPicker({ mode: 'readwrite' });
+            await setAjuste('carpetaCopias', carpeta);
+            await displayCarpetaCopias();
+            mostrarMensajeCopias('Carpeta elegida. La próxima copia automática se guardará también en ella.', 'exito');
+        } catch (error) {
+            if (error.name !== 'AbortError') { // AbortError: el usuario ha cerrado el selector
+                mostrarMensajeCopias('Error al elegir la carpeta.', 'error');
+                console.error('Error choosing backup folder:', error);
+            }
+        }
+    });
+
+    quitarCarpetaCopiasBtn.addEventListener('click', async () => {
+        await setAjuste('carpetaCopias', null);
+        await displayCarpetaCopias();
+    });
+
+    listaCopiasDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const id = parseInt(boton.dataset.id);
+        try {
+            const contenido = await getContenidoCopia(id);
+            const copia = await getCopiaAutomatica(id);
+            const nombreArchivo = nombreArchivoRespaldo(new Date(copia.fecha));
+            if (boton.classList.contains('descargar-copia-btn')) {
+                descargarArchivo(new Blob([contenido], { type: 'application/json' }), nombreArchivo);
+                return;
+            }
+            // Restaurar con el mismo proceso que la importación de un archivo
+            copiasModal.style.display = 'none';
+            importMessage.textContent = 'Importando datos...';
+            importMessage.style.backgroundColor = '#fff3cd';
+            importMessage.style.color = '#856404';
+            importMessage.style.display = 'block';
+            await importAllData(new File([contenido], nombreArchivo, { type: 'application/json' }));
+        } catch (error) {
+            mostrarMensajeCopias(error.message, 'error');
+            console.error('Error reading backup:', error);
+        }
+    });
+
+
+    // --- Funcionalidad de Estadísticas ---
+
+    let estadisticasMostradas = null; // Tablas calculadas, para exportarlas sin volver a calcular
+
+    /**
+     * Genera el HTML de las tablas de un resumen, cada una con su botón de exportación a CSV.
+     * @param {Object<string, {titulo: string, columnas: string[], filas: Array<Array<*>>}>} tablas Tablas por clave.
+     * @returns {string} HTML de las tablas.
+     */
+    function generarTablasResumen(tablas) {
+        return Object.entries(tablas).map(([clave, tabla]) => `
+            <div class="tabla-estadisticas-seccion">
+                <h3>${escaparHTML(tabla.titulo)}</h3>
+                <button class="exportar-csv-btn" data-tabla="${clave}">Exportar CSV</button>
+                ${tabla.filas.length === 0
+                    ? '<p class="no-results">Sin datos en este periodo.</p>'
+                    : `<table class="tabla-estadisticas">
+                        <thead><tr>${tabla.columnas.map(columna => `<th>${escaparHTML(columna)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${tabla.filas.map(fila => `<tr>${fila.map(valor => `<td>${escaparHTML(valor)}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>`}
+            </div>`).join('');
+    }
+
+    /**
+     * Calcula las estadísticas con el rango y la agrupación elegidos y las muestra como tablas.
+     */
+    async function displayEstadisticas() {
+        const desde = estadisticasDesdeInput.value;
+        const hasta = estadisticasHastaInput.value;
+        if (desde && hasta && desde > hasta) {
+            tablasEstadisticasDiv.innerHTML = '<p class="no-results">La fecha inicial debe ser anterior a la final.</p>';
+            estadisticasMostradas = null;
+            return;
+        }
+        estadisticasMostradas = await calcularEstadisticas({ desde, hasta, agrupacion: estadisticasAgrupacionSelect.value });
+        tablasEstadisticasDiv.innerHTML = generarTablasResumen(estadisticasMostradas);
+    }
+
+    abrirEstadisticasBtn.addEventListener('click', async () => {
+        // Por defecto, los últimos tres meses
+        if (!estadisticasDesdeInput.value && !estadisticasHastaInput.value) {
+            const hoy = new Date();
+            estadisticasHastaInput.value = formatDate(hoy);
+            estadisticasDesdeInput.value = formatDate(new Date(hoy.getFullYear(), hoy.getMonth() - 3, hoy.getDate()));
+        }
+        await displayEstadisticas();
+        estadisticasModal.style.display = 'block';
+    });
+
+    cerrarEstadisticasBtn.addEventListener('click', () => {
+        estadisticasModal.style.display = 'none';
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === estadisticasModal) {
+            estadisticasModal.style.display = 'none';
+        }
+    });
+
+    [estadisticasDesdeInput, estadisticasHastaInput, estadisticasAgrupacionSelect].forEach(control => {
+        control.addEventListener('change', displayEstadisticas);
+    });
+
+    tablasEstadisticasDiv.addEventListener('click', (event) => {
+        const boton = event.target.closest('.exportar-csv-btn');
+        if (!boton || !estadisticasMostradas) {
+            return;
+        }
+        const clave = boton.dataset.tabla;
+        const tabla = estadisticasMostradas[clave];
+        const rango = [estadisticasDesdeInput.value, estadisticasHastaInput.value].filter(Boolean).join('_');
+        descargarArchivo(
+            new Blob([generarCSV(tabla.columnas, tabla.filas)], { type: 'text/csv;charset=utf-8' }),
+            `estadisticas_${clave}${rango ? '_' + rango : ''}.csv`
+        );
+    });
+
+
+    // --- Funcionalidad del Resumen de Ingresos ---
+
+    let ingresosMostrados = null; // Tablas calculadas, para exportarlas sin volver a calcular
+
+    /**
+     * Calcula el resumen de ingresos con el rango y la agrupación elegidos y lo muestra como tablas.
+     */
+    async function displayIngresos() {
+        const desde = ingresosDesdeInput.value;
+        const hasta = ingresosHastaInput.value;
+        if (!desde || !hasta || desde > hasta) {
+            tablasIngresosDiv.innerHTML = '<p class="no-results">Indique un rango de fechas válido.</p>';
+            ingresosMostrados = null;
+            return;
+        }
+        ingresosMostrados = await calcularResumenIngresos({ desde, hasta, agrupacion: ingresosAgrupacionSelect.value });
+        tablasIngresosDiv.innerHTML = generarTablasResumen(ingresosMostrados);
+    }
+
+    abrirIngresosBtn.addEventListener('click', async () => {
+        // Por defecto, el mes en curso
+        if (!ingresosDesdeInput.value && !ingresosHastaInput.value) {
+            const hoy = new Date();
+            ingresosHastaInput.value = formatDate(hoy);
+            ingresosDesdeInput.value = formatDate(new Date(hoy.getFullYear(), hoy.getMonth(), 1));
+        }
+        await displayIngresos();
+        ingresosModal.style.display = 'block';
+    });
+
+    cerrarIngresosBtn.addEventListener('click', () => {
+        ingresosModal.style.display = 'none';
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === ingresosModal) {
+            ingresosModal.style.display = 'none';
+        }
+    });
+
+    [ingresosDesdeInput, ingresosHastaInput, ingresosAgrupacionSelect].forEach(control => {
+        control.addEventListener('change', displayIngresos);
+    });
+
+    tablasIngresosDiv.addEventListener('click', (event) => {
+        const boton = event.target.closest('.exportar-csv-btn');
+        if (!boton || !ingresosMostrados) {
+            return;
+        }
+        const clave = boton.dataset.tabla;
+        const tabla = ingresosMostrados[clave];
+        descargarArchivo(
+            new Blob([generarCSV(tabla.columnas, tabla.filas)], { type: 'text/csv;charset=utf-8' }),
+            `ingresos_${clave}_${ingresosDesdeInput.value}_${ingresosHastaInput.value}.csv`
+        );
+    });
+
+    // --- Funcionalidad del Modal de Expediente ---
+    closeButton.addEventListener('click', () => {
+        editModal.style.display = 'none';
+        mensajeEdicion.textContent = '';
+        mensajeEdicion.style.display = 'none'; // Ocultar mensaje al cerrar
+        liberarUrlsFotos();
+        citaPendienteId = null;
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === editModal) {
+            editModal.style.display = 'none';
+            mensajeEdicion.textContent = '';
+            mensajeEdicion.style.display = 'none'; // Ocultar mensaje al cerrar
+            liberarUrlsFotos();
+            citaPendienteId = null;
+        }
+    });
+
+    async function openExpedienteModal(id) {
+        if (id !== currentPacienteId) {
+            historialCambiosSeccion.open = false;
+            historialCambiosDiv.innerHTML = '';
+        }
+        currentPacienteId = id;
+        citaPendienteId = null;
+        const paciente = await getPacienteById(id);
+        if (paciente) {
+            modalPacienteNombre.textContent = paciente.nombre;
+            modalPacienteFechaNac.textContent = paciente.fechaNacimiento;
+            modalPacienteEdad.textContent = `${calcularEdad(paciente.fechaNacimiento)} años`;
+            CAMPOS_PACIENTE.forEach(campo => {
+                document.getElementById(idCampoModal(campo)).value = paciente[campo] || '';
+            });
+            modalContraindicacionesDiv.querySelectorAll('input[type="checkbox"]').forEach(casilla => {
+                casilla.checked = (paciente.contraindicaciones || []).includes(casilla.value);
+            });
+            mostrarAlertaContraindicaciones(paciente);
+
+            planConsultaSelect.value = '';
+            await displayConsultas(id);
+            await actualizarPlantillasNotas();
+            filtroZonaFotosSelect.value = '';
+            await displayFotos(id);
+            await displayConsentimientos(id);
+            await actualizarServicios();
+            cobroConsultaSelect.value = '';
+            [cargoFechaInput, pagoFechaInput].filter(campo => !campo.value).forEach(campo => {
+                campo.value = formatDate(new Date());
+            });
+
+            editModal.style.display = 'block';
+        } else {
+            console.error('Paciente no encontrado:', id);
+            alert('Error: Paciente no encontrado.');
+        }
+    }
+
+    /**
+     * Muestra en el expediente un aviso con las contraindicaciones marcadas del paciente.
+     * @param {Object} paciente Paciente abierto en el modal.
+     */
+    function mostrarAlertaContraindicaciones(paciente) {
+        const etiquetas = etiquetasContraindicaciones(paciente.contraindicaciones);
+        modalAlertaContraindicaciones.textContent = etiquetas.length > 0
+            ? `Contraindicaciones: ${etiquetas.join(', ')}`
+            : '';
+        modalAlertaContraindicaciones.style.display = etiquetas.length > 0 ? 'block' : 'none';
+    }
+
+    // Guardar cambios del expediente (datos de contacto, clínicos y contraindicaciones)
+    guardarCambiosExpedienteBtn.addEventListener('click', async () => {
+        if (currentPacienteId !== null) {
+            const paciente = await getPacienteById(currentPacienteId);
+            if (paciente) {
+                if (!esEmailValido(document.getElementById('modalEmail').value.trim())) {
+                    mensajeEdicion.textContent = 'El correo electrónico no tiene un formato válido.';
+                    mensajeEdicion.style.backgroundColor = '#fff3cd';
+                    mensajeEdicion.style.color = '#856404';
+                    mensajeEdicion.style.display = 'block'; // Mostrar mensaje
+                    setTimeout(() => {
+                        mensajeEdicion.style.display = 'none'; // Ocultar mensaje después de 3 segundos
+                        mensajeEdicion.textContent = '';
+                    }, 3000);
+                    return;
+                }
+                CAMPOS_PACIENTE.forEach(campo => {
+                    paciente[campo] = document.getElementById(idCampoModal(campo)).value.trim();
+                });
+                paciente.contraindicaciones = leerContraindicaciones(modalContraindicacionesDiv);
+
+                try {
+                    await updatePaciente(paciente);
+                    mensajeEdicion.textContent = '¡Expediente actualizado con éxito!';
+                    mensajeEdicion.style.backgroundColor = '#d4edda';
+                    mensajeEdicion.style.color = '#155724';
+                    mensajeEdicion.style.display = 'block'; // Mostrar mensaje
+                    modalPacienteEdad.textContent = `${calcularEdad(paciente.fechaNacimiento)} años`;
+                    mostrarAlertaContraindicaciones(paciente);
+                    await refrescarHistorialCambios();
+                } catch (error) {
+                    mensajeEdicion.textContent = 'Error al actualizar el expediente.';
+                    mensajeEdicion.style.backgroundColor = '#f8d7da';
+                    mensajeEdicion.style.color = '#721c24';
+                    mensajeEdicion.style.display = 'block'; // Mostrar mensaje
+                    console.error('Error al actualizar paciente:', error);
+                } finally {
+                    setTimeout(() => {
+                        mensajeEdicion.style.display = 'none'; // Ocultar mensaje después de 3 segundos
+                        mensajeEdicion.textContent = '';
+                    }, 3000);
+                }
+            }
+        }
+    });
+
+    // Evento para el botón Eliminar Paciente dentro del modal
+    eliminarPacienteModalBtn.addEventListener('click', async () => {
+        if (currentPacienteId !== null) {
+            const paciente = await getPacienteById(currentPacienteId);
+            if (paciente && await confirmarEnvioPapelera(paciente)) {
+                try {
+                    await deletePaciente(currentPacienteId);
+                    alert('Paciente enviado a la papelera.');
+                    editModal.style.display = 'none';
+                    await displayAllPacientes();
+                    currentPacienteId = null;
+                } catch (error) {
+                    alert('Error al eliminar el paciente.');
+                    console.error('Error deleting patient from modal:', error);
+                }
+            }
+        }
+    });
+
+    // --- Funcionalidad de Historial de Cambios ---
+
+    /**
+     * Muestra el historial de cambios del paciente abierto (ficha y consultas), del más reciente al más antiguo.
+     */
+    async function displayHistorialCambios() {
+        const pacienteId = currentPacienteId;
+        const [entradas, consultas] = await Promise.all([
+            getHistorialPaciente(pacienteId),
+            getConsultasByPacienteId(pacienteId)
+        ]);
+        if (pacienteId !== currentPacienteId) {
+            return;
+        }
+        if (entradas.length === 0) {
+            historialCambiosDiv.innerHTML = '<p class="no-results">No hay cambios registrados.</p>';
+            return;
+        }
+        const consultasActuales = new Map(consultas.map(consulta => [consulta.id, consulta]));
+
+        historialCambiosDiv.innerHTML = entradas.map(entrada => {
+            let registro = 'Ficha del paciente';
+            if (entrada.store === STORE_NAME_CONSULTAS) {
+                const cambioFecha = entrada.cambios.find(cambio => cambio.campo === 'fecha');
+                const consulta = consultasActuales.get(entrada.registroId);
+                registro = `Consulta del ${(consulta && consulta.fecha) || (cambioFecha && (cambioFecha.despues || cambioFecha.antes)) || '?'}`;
+            }
+            // Una eliminación se puede deshacer mientras el registro no exista; el resto de versiones, siempre
+            const existe = entrada.store === STORE_NAME_PACIENTES || consultasActuales.has(entrada.registroId);
+            // Los envíos a la papelera y sus recuperaciones se deshacen desde la papelera
+            const boton = ['papelera', 'recuperar'].includes(entrada.accion) ? ''
+                : entrada.accion === 'eliminar'
+                ? (existe ? '' : `<button class="restaurar-version-btn" data-id="${entrada.id}">Recuperar</button>`)
+                : `<button class="restaurar-version-btn" data-id="${entrada.id}">Restaurar esta versión</button>`;
+            return `
+                <div class="entrada-historial">
+                    <p><strong>${formatDateTime(entrada.fecha)}</strong> · ${escaparHTML(ACCIONES_HISTORIAL[entrada.accion] || entrada.accion)} · ${escaparHTML(registro)} ${boton}</p>
+                    <table class="tabla-cambios">
+                        <thead><tr><th>Campo</th><th>Antes</th><th>Después</th></tr></thead>
+                        <tbody>
+                            ${entrada.cambios.map(({ campo, antes, despues }) => `
+                                <tr>
+                                    <td>${escaparHTML(etiquetaCampoHistorial(entrada.store, campo))}</td>
+                                    <td class="valor-historial">${formatearValorHistorial(campo, antes)}</td>
+                                    <td class="valor-historial">${formatearValorHistorial(campo, despues)}</td>
+                                </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Vuelve a cargar el historial de cambios si está desplegado (tras guardar cambios en el expediente).
+     */
+    async function refrescarHistorialCambios() {
+        if (historialCambiosSeccion.open && currentPacienteId !== null) {
+            await displayHistorialCambios();
+        }
+    }
+
+    historialCambiosSeccion.addEventListener('toggle', refrescarHistorialCambios);
+
+    historialCambiosDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('.restaurar-version-btn');
+        if (!boton || !confirm('¿Restaurar esta versión? Los valores actuales se guardarán en el historial y también podrás recuperarlos.')) {
+            return;
+        }
+        try {
+            await restaurarVersionHistorial(parseInt(boton.dataset.id));
+            await openExpedienteModal(currentPacienteId);
+            await displayAllPacientes();
+        } catch (error) {
+            alert(`Error al restaurar la versión. ${error.message}`);
+            console.error('Error restoring version:', error);
+        }
+    });
+
+    // --- Funcionalidad de Fusión de Pacientes ---
+
+    /**
+     * Muestra las diferencias entre el paciente abierto y el elegido para fusionar,
+     * con una opción por campo para decidir qué valor se conserva.
+     */
+    async function displayCamposFusion() {
+        const otroId = parseInt(fusionOtroPacienteSelect.value);
+        confirmarFusionPacientesBtn.disabled = isNaN(otroId);
+        if (isNaN(otroId)) {
+            fusionCamposDiv.innerHTML = '';
+            return;
+        }
+        const [actual, otro, consultasOtro] = await Promise.all([
+            getPacienteById(currentPacienteId),
+            getPacienteById(otroId),
+            getConsultasByPacienteId(otroId)
+        ]);
+        const diferencias = diferenciasPacientes(actual, otro);
+        const mostrarValor = (campo, valor) => escaparHTML(campo === 'contraindicaciones'
+            ? etiquetasContraindicaciones(valor).join(', ')
+            : valor) || '<em>(vacío)</em>';
+        const vacio = (valor) => (Array.isArray(valor) ? valor.length === 0 : !(valor || '').trim());
+
+        fusionCamposDiv.innerHTML = `
+            <p>${consultasOtro.length} consulta${consultasOtro.length === 1 ? '' : 's'} de ${escaparHTML(otro.nombre)}
+                (y sus fotos, citas y planes) pasarán a este expediente.</p>
+            ${diferencias.length === 0
+                ? '<p>Los datos de ambos pacientes coinciden.</p>'
+                : `<table class="tabla-cambios">
+                    <thead><tr><th>Campo</th><th>Este expediente</th><th>${escaparHTML(otro.nombre)}</th></tr></thead>
+                    <tbody>
+                        ${diferencias.map(({ campo, etiqueta, valorA, valorB }) => {
+                            // Por defecto se conserva el valor de este expediente, salvo que esté vacío
+                            const elegirOtro = vacio(valorA) && !vacio(valorB);
+                            return `
+                                <tr>
+                                    <td>${escaparHTML(etiqueta)}</td>
+                                    <td><label><input type="radio" name="fusion-${campo}" value="actual" ${elegirOtro ? '' : 'checked'}> ${mostrarValor(campo, valorA)}</label></td>
+                                    <td><label><input type="radio" name="fusion-${campo}" value="otro" data-campo="${campo}" ${elegirOtro ? 'checked' : ''}> ${mostrarValor(campo, valorB)}</label></td>
+                                </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>`}`;
+    }
+
+    abrirFusionPacientesBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const actual = await getPacienteById(currentPacienteId);
+        const similares = await buscarPacientesSimilares(actual.nombre, actual.fechaNacimiento, actual.id);
+        const otros = (await getNombresPacientes()).filter(p => p.id !== actual.id && !similares.some(s => s.id === p.id));
+        const opcion = (p, sufijo = '') => `<option value="${p.id}">${escaparHTML(p.nombre)}${sufijo}</option>`;
+        fusionPacienteActualSpan.textContent = `${actual.nombre} (${actual.fechaNacimiento})`;
+        fusionOtroPacienteSelect.innerHTML = '<option value="">-- Selecciona un paciente --</option>' +
+            (similares.length > 0
+                ? `<optgroup label="Posibles duplicados">${similares.map(p => opcion(p, ` (${p.fechaNacimiento})`)).join('')}</optgroup>`
+                : '') +
+            `<optgroup label="Todos los pacientes">${otros.map(p => opcion(p)).join('')}</optgroup>`;
+        if (similares.length === 1) {
+            fusionOtroPacienteSelect.value = similares[0].id;
+        }
+        await displayCamposFusion();
+        fusionPacientesModal.style.display = 'block';
+    });
+
+    fusionOtroPacienteSelect.addEventListener('change', displayCamposFusion);
+
+    cancelarFusionPacientesBtn.addEventListener('click', () => {
+        fusionPacientesModal.style.display = 'none';
+        fusionCamposDiv.innerHTML = '';
+    });
+
+    confirmarFusionPacientesBtn.addEventListener('click', async () => {
+        const otroId = parseInt(fusionOtroPacienteSelect.value);
+        const otro = await getPacienteById(otroId);
+        if (!otro || !confirm(`¿Fusionar a ${otro.nombre} con este expediente? El registro de ${otro.nombre} se eliminará y sus datos pasarán a este paciente.`)) {
+            return;
+        }
+        const valores = {};
+        fusionCamposDiv.querySelectorAll('input[type="radio"][value="otro"]:checked').forEach(opcion => {
+            valores[opcion.dataset.campo] = otro[opcion.dataset.campo];
+        });
+        try {
+            await fusionarPacientes(currentPacienteId, otroId, valores);
+            fusionPacientesModal.style.display = 'none';
+            fusionCamposDiv.innerHTML = '';
+            await openExpedienteModal(currentPacienteId);
+            await displayAllPacientes();
+            alert('Pacientes fusionados con éxito.');
+        } catch (error) {
+            alert('Error al fusionar los pacientes. No se ha modificado ningún dato.');
+            console.error('Error merging patients:', error);
+        }
+    });
+
+    // --- Funcionalidad de Historial de Consultas ---
+    agregarConsultaBtn.addEventListener('click', async () => {
+        if (currentPacienteId !== null) {
+            const fechaConsulta = fechaConsultaInput.value;
+            const notasConsulta = notasConsultaInput.value.trim();
+            const evaluacion = leerFormularioEvaluacion(evaluacionConsultaDiv);
+
+            if (fechaConsulta && (notasConsulta || evaluacion)) {
+                if (!(await confirmarContraindicaciones(currentPacienteId, evaluacion))) {
+                    return;
+                }
+                const consultaData = {
+                    pacienteId: currentPacienteId,
+                    fecha: fechaConsulta,
+                    notas: notasConsulta,
+                    evaluacion,
+                    planId: planConsultaSelect.value ? parseInt(planConsultaSelect.value) : null
+                };
+                try {
+                    const consultaId = await addConsulta(consultaData);
+                    const servicio = serviciosCatalogo.find(s => s.id === parseInt(cobroConsultaSelect.value));
+                    if (servicio) {
+                        await addCargo({
+                            pacienteId: currentPacienteId,
+                            consultaId,
+                            concepto: servicio.nombre,
+                            importe: servicio.precio,
+                            fecha: fechaConsulta
+                        });
+                    }
+                    await comprobarPlanCompletado(consultaData.planId);
+                    if (citaPendienteId !== null) {
+                        const cita = await getCitaById(citaPendienteId);
+                        if (cita && cita.pacienteId === currentPacienteId) {
+                            cita.consultaId = consultaId;
+                            await updateCita(cita);
+                        }
+                        citaPendienteId = null;
+                        await displayAgenda();
+                    }
+                    alert('Consulta agregada con éxito.');
+                    fechaConsultaInput.value = formatDate(new Date());
+                    notasConsultaInput.value = '';
+                    rellenarFormularioEvaluacion(evaluacionConsultaDiv, null);
+                    planConsultaSelect.value = '';
+                    cobroConsultaSelect.value = '';
+                    await displayConsultas(currentPacienteId);
+                } catch (error) {
+                    alert('Error al agregar la consulta.');
+                    console.error('Error adding consultation:', error);
+                }
+            } else {
+                alert('Por favor, ingresa la fecha y las notas o la evaluación de la consulta.');
+            }
+        }
+    });
+
+    async function displayConsultas(pacienteId) {
+        listaConsultasDiv.innerHTML = '';
+        const consultas = await getConsultasByPacienteId(pacienteId);
+        const planes = await getPlanesByPacienteId(pacienteId);
+        displayProgreso(consultas);
+        actualizarConsultasFoto(consultas);
+        displayPlanes(planes, consultas);
+        refrescarHistorialCambios();
+        displayCobros(pacienteId); // Los cargos de una consulta eliminada pierden su vínculo
+
+        // Número de sesión de cada consulta dentro de su plan
+        const sesionesPlan = new Map();
+        planes.forEach(plan => {
+            calcularProgresoPlan(plan, consultas).numeroSesion.forEach((numero, consultaId) => {
+                sesionesPlan.set(consultaId, `Sesión ${numero} de ${plan.sesiones} · ${plan.objetivo}`);
+            });
+        });
+
+        if (consultas.length === 0) {
+            listaConsultasDiv.innerHTML = '<p class="no-results">No hay consultas registradas para este paciente.</p>';
+            return;
+        }
+
+        consultas.forEach(consulta => {
+            const consultaItem = document.createElement('div');
+            consultaItem.classList.add('consulta-item');
+            consultaItem.innerHTML = `
+                <strong>Fecha:</strong> <span>${consulta.fecha}</span>
+                ${sesionesPlan.has(consulta.id) ? `<p class="consulta-plan">${escaparHTML(sesionesPlan.get(consulta.id))}</p>` : ''}
+                ${consulta.notas ? `<p><strong>Notas:</strong> ${escaparHTML(consulta.notas)}</p>` : ''}
+                ${formatearEvaluacion(consulta.evaluacion)}
+                ${consulta.editadoEn ? `<p class="consulta-editada">Editada el ${formatDateTime(consulta.editadoEn)}</p>` : ''}
+                <div class="consulta-acciones">
+                    <button class="print-consulta-btn" data-id="${consulta.id}">Imprimir</button>
+                    <button class="edit-consulta-btn" data-id="${consulta.id}">Editar</button>
+                    <button class="delete-consulta-btn" data-id="${consulta.id}">Eliminar</button>
+                </div>
+            `;
+            listaConsultasDiv.appendChild(consultaItem);
+        });
+
+        // Añadir listeners a los botones "Editar" de cada consulta
+        listaConsultasDiv.querySelectorAll('.edit-consulta-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const consultaId = parseInt(event.target.dataset.id);
+                const consulta = await getConsultaById(consultaId);
+                if (consulta) {
+                    await abrirEditorConsulta(event.target.closest('.consulta-item'), consulta);
+                }
+            });
+        });
+
+        // Añadir listeners a los botones "Imprimir" de cada consulta (informe de sesión)
+        listaConsultasDiv.querySelectorAll('.print-consulta-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const consulta = await getConsultaById(parseInt(event.target.dataset.id));
+                const paciente = await getPacienteById(pacienteId);
+                if (consulta && paciente) {
+                    imprimirDocumento(generarDocumentoExpediente(paciente, [consulta], {
+                        titulo: `Informe de Sesión del ${consulta.fecha}`
+                    }));
+                }
+            });
+        });
+
+        // Añadir listeners a los botones "Eliminar" de cada consulta
+        listaConsultasDiv.querySelectorAll('.delete-consulta-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const consultaId = parseInt(event.target.dataset.id);
+                const consulta = await getConsultaById(consultaId);
+
+                if (consulta && confirm(`¿Estás seguro de que quieres eliminar la consulta del ${consulta.fecha}? Esta acción es irreversible.`)) {
+                    try {
+                        await deleteConsulta(consultaId);
+                        alert('Consulta eliminada con éxito.');
+                        await displayConsultas(pacienteId);
+                        await displayAgenda();
+                    } catch (error) {
+                        alert('Error al eliminar la consulta.');
+                        console.error('Error deleting consultation:', error);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Muestra un gráfico por cada medida corporal registrada, con la diferencia
+     * y el porcentaje de cambio respecto a la primera sesión.
+     * @param {Array<Object>} consultas Consultas del paciente.
+     */
+    function displayProgreso(consultas) {
+        const series = obtenerSeriesMedidas(consultas);
+        if (series.length === 0) {
+            progresoMedidasDiv.innerHTML = '<p class="no-results">Aún no hay medidas registradas en las consultas.</p>';
+            return;
+        }
+
+        progresoMedidasDiv.innerHTML = series.map(({ campo, puntos }) => {
+            const primero = puntos[0].valor;
+            const ultimo = puntos[puntos.length - 1].valor;
+            const diferencia = ultimo - primero;
+            const porcentaje = primero !== 0 ? (diferencia / primero) * 100 : 0;
+            const signo = diferencia > 0 ? '+' : '';
+            const resumen = puntos.length > 1
+                ? `${signo}${diferencia.toFixed(1)} ${campo.unidad} (${signo}${porcentaje.toFixed(1)}%) desde la primera sesión`
+                : 'Se necesitan al menos dos sesiones para ver la evolución';
+
+            return `
+                <div class="progreso-medida">
+                    <h4>${escaparHTML(campo.etiqueta)}: ${ultimo} ${campo.unidad}</h4>
+                    ${crearGraficoSVG(puntos, campo.unidad)}
+                    <p class="progreso-resumen ${diferencia < 0 ? 'progreso-baja' : diferencia > 0 ? 'progreso-sube' : ''}">${resumen}</p>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Comprueba las modalidades de una consulta contra las contraindicaciones del paciente.
+     * Si alguna regla bloquea, informa del motivo y no permite guardar; si solo hay advertencias,
+     * pide confirmación.
+     * @param {number} pacienteId ID del paciente de la consulta.
+     * @param {Object|null} evaluacion Evaluación de la consulta (con sus modalidades).
+     * @returns {Promise<boolean>} true si la consulta puede guardarse.
+     */
+    async function confirmarContraindicaciones(pacienteId, evaluacion) {
+        if (!evaluacion || !evaluacion.modalidades) {
+            return true;
+        }
+        const paciente = await getPacienteById(pacienteId);
+        const conflictos = evaluarContraindicaciones(paciente, evaluacion.modalidades, await getReglasContraindicacion());
+        if (conflictos.length === 0) {
+            return true;
+        }
+
+        const describir = conflicto => {
+            const modalidad = (MODALIDADES.find(m => m.valor === conflicto.modalidad) || { etiqueta: conflicto.modalidad }).etiqueta;
+            const contraindicacion = etiquetasContraindicaciones([conflicto.contraindicacion])[0];
+            return conflicto.origen === 'marcada'
+                ? `- ${modalidad}: contraindicada por ${contraindicacion}.`
+                : `- ${modalidad}: los antecedentes mencionan ${contraindicacion.toLowerCase()}; verifica antes de aplicarla.`;
+        };
+        const bloqueos = conflictos.filter(c => c.accion === 'bloquear');
+        if (bloqueos.length > 0) {
+            alert(`No se puede registrar la consulta:\n${bloqueos.map(describir).join('\n')}`);
+            return false;
+        }
+        return confirm(`Atención, posibles contraindicaciones:\n${conflictos.map(describir).join('\n')}\n\n¿Registrar la consulta de todos modos?`);
+    }
+
+    // --- Funcionalidad de Impresión ---
+
+    /**
+     * Imprime un documento generado (o lo guarda como PDF desde el diálogo del navegador).
+     * La hoja de estilos de impresión oculta el resto de la página mientras tanto.
+     * @param {string} html HTML del documento.
+     */
+    function imprimirDocumento(html) {
+        areaImpresion.innerHTML = html;
+        window.print();
+    }
+
+    window.addEventListener('afterprint', () => {
+        areaImpresion.innerHTML = '';
+    });
+
+    imprimirExpedienteBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const desde = imprimirDesdeInput.value;
+        const hasta = imprimirHastaInput.value;
+        if (desde && hasta && desde > hasta) {
+            alert('La fecha inicial no puede ser posterior a la fecha final.');
+            return;
+        }
+
+        const paciente = await getPacienteById(currentPacienteId);
+        const consultas = (await getConsultasByPacienteId(currentPacienteId))
+            .filter(consulta => (!desde || consulta.fecha >= desde) && (!hasta || consulta.fecha <= hasta));
+        imprimirDocumento(generarDocumentoExpediente(paciente, consultas, {
+            titulo: 'Expediente Clínico',
+            desde,
+            hasta
+        }));
+    });
+
+    // --- Funcionalidad de Planes de Tratamiento ---
+
+    /**
+     * Muestra los planes del paciente con su avance y rellena el selector de plan
+     * del formulario de nueva consulta con los planes activos.
+     * @param {Array<Object>} planes Planes del paciente.
+     * @param {Array<Object>} consultas Consultas del paciente.
+     */
+    function displayPlanes(planes, consultas) {
+        const seleccionado = planConsultaSelect.value;
+        planConsultaSelect.innerHTML = '<option value="">-- Sin plan --</option>' + planes
+            .filter(plan => plan.estado === 'activo')
+            .map(plan => `<option value="${plan.id}">${escaparHTML(plan.objetivo)}</option>`)
+            .join('');
+        planConsultaSelect.value = seleccionado;
+
+        if (planes.length === 0) {
+            listaPlanesDiv.innerHTML = '<p class="no-results">No hay planes de tratamiento para este paciente.</p>';
+            return;
+        }
+
+        listaPlanesDiv.innerHTML = planes.map(plan => {
+            const progreso = calcularProgresoPlan(plan, consultas);
+            const modalidad = (MODALIDADES.find(m => m.valor === plan.modalidad) || { etiqueta: plan.modalidad }).etiqueta;
+            const porcentaje = Math.min(100, Math.round((progreso.realizadas / plan.sesiones) * 100));
+            const avisos = [];
+            if (progreso.atrasado) {
+                avisos.push(`Atrasado: ${progreso.diasSinSesion} días sin sesión (frecuencia prevista: cada ${plan.frecuenciaDias} días).`);
+            }
+            progreso.intervalosAtrasados.forEach(intervalo => {
+                avisos.push(`Intervalo de ${intervalo.dias} días entre el ${intervalo.desde} y el ${intervalo.hasta}.`);
+            });
+
+            return `
+                <div class="plan-item plan-${plan.estado}">
+                    <strong>${escaparHTML(plan.objetivo)}</strong>
+                    <span class="plan-estado">${plan.estado === 'completado' ? 'Completado' : 'Activo'}</span><br>
+                    <span>${escaparHTML(modalidad)} · cada ${plan.frecuenciaDias} días · desde ${plan.fechaInicio}</span>
+                    <div class="plan-progreso"><div class="plan-progreso-barra" style="width: ${porcentaje}%"></div></div>
+                    <span>Sesión ${progreso.realizadas} de ${plan.sesiones}${progreso.ultimaFecha ? ` · última el ${progreso.ultimaFecha}` : ''}</span>
+                    ${avisos.map(aviso => `<p class="plan-aviso">${aviso}</p>`).join('')}
+                    <div class="plan-acciones">
+                        <button class="estado-plan-btn" data-id="${plan.id}">${plan.estado === 'completado' ? 'Reactivar' : 'Marcar Completado'}</button>
+                        <button class="delete-plan-btn" data-id="${plan.id}">Eliminar</button>
+                    </div>
+                </div>`;
+        }).join('');
+
+        listaPlanesDiv.querySelectorAll('.estado-plan-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const plan = await getPlanById(parseInt(event.target.dataset.id));
+                if (plan) {
+                    plan.estado = plan.estado === 'completado' ? 'activo' : 'completado';
+                    plan.completadoEn = plan.estado === 'completado' ? new Date().toISOString() : null;
+                    try {
+                        await updatePlan(plan);
+                        await displayConsultas(plan.pacienteId);
+                    } catch (error) {
+                        alert('Error al actualizar el plan.');
+                        console.error('Error updating plan:', error);
+                    }
+                }
+            });
+        });
+
+        listaPlanesDiv.querySelectorAll('.delete-plan-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const plan = await getPlanById(parseInt(event.target.dataset.id));
+                if (plan && confirm(`¿Estás seguro de que quieres eliminar el plan "${plan.objetivo}"? Sus consultas se conservarán sin plan asociado.`)) {
+                    try {
+                        await deletePlan(plan.id);
+                        await displayConsultas(plan.pacienteId);
+                    } catch (error) {
+                        alert('Error al eliminar el plan.');
+                        console.error('Error deleting plan:', error);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Marca un plan como completado cuando ya tiene registradas todas sus sesiones.
+     * @param {number|null} planId ID del plan de la consulta recién guardada.
+     */
+    async function comprobarPlanCompletado(planId) {
+        if (!planId) {
+            return;
+        }
+        const plan = await getPlanById(planId);
+        if (!plan || plan.estado !== 'activo') {
+            return;
+        }
+        const progreso = calcularProgresoPlan(plan, await getConsultasByPacienteId(plan.pacienteId));
+        if (progreso.realizadas >= plan.sesiones) {
+            plan.estado = 'completado';
+            plan.completadoEn = new Date().toISOString();
+            await updatePlan(plan);
+            alert(`El plan "${plan.objetivo}" ha completado sus ${plan.sesiones} sesiones.`);
+        }
+    }
 
-    const busquedaNombreInput = document.getElementById('busquedaNombre');
-    const mostrarTodosBtn = document.getElementById('mostrarTodos');
-    const resultadosBusquedaDiv = document.getElementById('resultadosBusqueda');
+    agregarPlanBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const objetivo = planObjetivoInput.value.trim();
+        const sesiones = parseInt(planSesionesInput.value);
+        const frecuenciaDias = parseInt(planFrecuenciaInput.value);
+        const fechaInicio = planFechaInicioInput.value;
 
-    // Elementos de importación/exportación
-    const exportarDatosBtn = document.getElementById('exportarDatos');
-    const importarArchivoInput = document.getElementById('importarArchivo');
-    const importarDatosBtn = document.getElementById('importarDatos');
-    const importMessage = document.getElementById('importMessage');
+        if (!objetivo || !(sesiones > 0) || !(frecuenciaDias > 0) || !fechaInicio) {
+            alert('Por favor, completa el objetivo, el número de sesiones, la frecuencia y la fecha de inicio del plan.');
+            return;
+        }
+
+        try {
+            await addPlan({
+                pacienteId: currentPacienteId,
+                objetivo,
+                modalidad: planModalidadSelect.value,
+                sesiones,
+                frecuenciaDias,
+                fechaInicio,
+                estado: 'activo',
+                completadoEn: null
+            });
+            planObjetivoInput.value = '';
+            await displayConsultas(currentPacienteId);
+        } catch (error) {
+            alert('Error al crear el plan de tratamiento.');
+            console.error('Error adding plan:', error);
+        }
+    });
 
+    // Al elegir un plan en la nueva consulta, marcar su modalidad en la evaluación
+    planConsultaSelect.addEventListener('change', async () => {
+        if (!planConsultaSelect.value) {
+            return;
+        }
+        const plan = await getPlanById(parseInt(planConsultaSelect.value));
+        const casilla = plan && evaluacionConsultaDiv.querySelector(`input[data-clave="modalidades"][value="${plan.modalidad}"]`);
+        if (casilla) {
+            casilla.checked = true;
+        }
+    });
 
-    // Modal elements
-    const editModal = document.getElementById('editModal');
-    const closeButton = document.querySelector('.close-button');
-    const modalPacienteNombre = document.getElementById('modalPacienteNombre');
-    const modalPacienteFechaNac = document.getElementById('modalPacienteFechaNac');
-    const modalPacienteEdad = document.getElementById('modalPacienteEdad');
-    const modalMotivoConsulta = document.getElementById('modalMotivoConsulta');
-    const modalDiagnosticoFisio = document.getElementById('modalDiagnosticoFisio');
-    const modalAntecedentes = document.getElementById('modalAntecedentes');
-    const guardarCambiosExpedienteBtn = document.getElementById('guardarCambiosExpediente');
-    const eliminarPacienteModalBtn = document.getElementById('eliminarPacienteModalBtn');
-    const mensajeEdicion = document.getElementById('mensajeEdicion');
+    // --- Funcionalidad de Configuración ---
 
-    const fechaConsultaInput = document.getElementById('fechaConsulta');
-    const notasConsultaInput = document.getElementById('notasConsulta');
-    const agregarConsultaBtn = document.getElementById('agregarConsulta');
-    const listaConsultasDiv = document.getElementById('listaConsultas');
+    /**
+     * Dibuja la tabla editable de reglas: una fila por modalidad y una columna por contraindicación.
+     * @param {Object} reglas Reglas por modalidad.
+     */
+    function displayReglas(reglas) {
+        const encabezados = CONTRAINDICACIONES.map(c => `<th>${escaparHTML(c.etiqueta)}</th>`).join('');
+        const filas = MODALIDADES.map(modalidad => {
+            const regla = reglas[modalidad.valor] || { contraindicaciones: [], accion: 'advertir' };
+            const casillas = CONTRAINDICACIONES.map(c => `
+                <td><input type="checkbox" class="regla-casilla" data-modalidad="${modalidad.valor}" value="${c.valor}"
+                    ${regla.contraindicaciones.includes(c.valor) ? 'checked' : ''}></td>`).join('');
+            return `
+                <tr>
+                    <th>${escaparHTML(modalidad.etiqueta)}</th>
+                    ${casillas}
+                    <td>
+                        <select class="regla-accion" data-modalidad="${modalidad.valor}">
+                            <option value="advertir" ${regla.accion === 'advertir' ? 'selected' : ''}>Advertir</option>
+                            <option value="bloquear" ${regla.accion === 'bloquear' ? 'selected' : ''}>Bloquear</option>
+                        </select>
+                    </td>
+                </tr>`;
+        }).join('');
 
-    let currentPacienteId = null; // Para saber qué paciente estamos editando en el modal
+        tablaReglasDiv.innerHTML = `
+            <table class="tabla-reglas">
+                <thead><tr><th>Modalidad</th>${encabezados}<th>Acción</th></tr></thead>
+                <tbody>${filas}</tbody>
+            </table>`;
+    }
 
-    // --- Funcionalidad de Registrar Paciente ---
-    guardarPacienteBtn.addEventListener('click', async () => {
-        const nombre = nombreInput.value.trim();
-        const fechaNacimiento = fechaNacimientoInput.value; // YYYY-MM-DD
-        const motivoConsulta = motivoConsultaInput.value.trim();
-        const diagnosticoFisio = diagnosticoFisioInput.value.trim();
-        const antecedentes = antecedentesInput.value.trim();
+    function mostrarMensajeAjustes(texto, tipo) {
+        mensajeAjustes.textContent = texto;
+        mensajeAjustes.style.backgroundColor = tipo === 'exito' ? '#d4edda' : '#f8d7da';
+        mensajeAjustes.style.color = tipo === 'exito' ? '#155724' : '#721c24';
+        mensajeAjustes.style.display = 'block';
+        setTimeout(() => {
+            mensajeAjustes.style.display = 'none';
+            mensajeAjustes.textContent = '';
+        }, 3000);
+    }
 
-        if (nombre && fechaNacimiento) {
-            const pacienteData = {
-                nombre,
-                fechaNacimiento,
-                motivoConsulta,
-                diagnosticoFisio,
-                antecedentes
+    abrirAjustesBtn.addEventListener('click', async () => {
+        displayReglas(await getReglasContraindicacion());
+        await displayPlantillaConsentimiento();
+        limpiarFormularioServicio();
+        await actualizarServicios();
+        await displayEstadoCifrado();
+        displayEstadoBloqueo();
+        await displayEstadoAlmacenamiento();
+        ajustesModal.style.display = 'block';
+    });
+
+    cerrarAjustesBtn.addEventListener('click', () => {
+        ajustesModal.style.display = 'none';
+    });
+
+    window.addEventListener('click', (event) => {
+        if (event.target === ajustesModal) {
+            ajustesModal.style.display = 'none';
+        }
+    });
+
+    guardarReglasBtn.addEventListener('click', async () => {
+        const reglas = {};
+        MODALIDADES.forEach(modalidad => {
+            reglas[modalidad.valor] = {
+                contraindicaciones: Array.from(tablaReglasDiv.querySelectorAll(`.regla-casilla[data-modalidad="${modalidad.valor}"]:checked`))
+                    .map(casilla => casilla.value),
+                accion: tablaReglasDiv.querySelector(`.regla-accion[data-modalidad="${modalidad.valor}"]`).value
             };
+        });
+        try {
+            await setAjuste('reglasContraindicacion', reglas);
+            mostrarMensajeAjustes('¡Reglas guardadas con éxito!', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al guardar las reglas.', 'error');
+            console.error('Error saving rules:', error);
+        }
+    });
 
-            try {
-                await addPaciente(pacienteData);
-                mensajeGuardado.textContent = '¡Paciente guardado con éxito!';
-                mensajeGuardado.style.backgroundColor = '#d4edda';
-                mensajeGuardado.style.color = '#155724';
-                mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
-                nombreInput.value = '';
-                fechaNacimientoInput.value = '';
-                motivoConsultaInput.value = '';
-                diagnosticoFisioInput.value = '';
-                antecedentesInput.value = '';
-                await displayAllPacientes(); // Actualizar lista de pacientes
-            } catch (error) {
-                mensajeGuardado.textContent = 'Error al guardar el paciente.';
-                mensajeGuardado.style.backgroundColor = '#f8d7da';
-                mensajeGuardado.style.color = '#721c24';
-                mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
-                console.error('Error al guardar paciente:', error);
-            } finally {
-                setTimeout(() => {
-                    mensajeGuardado.style.display = 'none'; // Ocultar mensaje después de 3 segundos
-                    mensajeGuardado.textContent = '';
-                }, 3000);
+    restaurarReglasBtn.addEventListener('click', async () => {
+        if (!confirm('¿Restaurar las reglas de contraindicación predeterminadas? Se perderán los cambios guardados.')) {
+            return;
+        }
+        try {
+            await setAjuste('reglasContraindicacion', {});
+            displayReglas(await getReglasContraindicacion());
+            mostrarMensajeAjustes('Reglas predeterminadas restauradas.', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al restaurar las reglas.', 'error');
+            console.error('Error resetting rules:', error);
+        }
+    });
+
+    async function displayPlantillaConsentimiento() {
+        const plantillas = await getPlantillasConsentimiento();
+        plantillaConsentimientoInput.value = plantillas[plantillaModalidadSelect.value];
+    }
+
+    plantillaModalidadSelect.addEventListener('change', displayPlantillaConsentimiento);
+
+    guardarPlantillaConsentimientoBtn.addEventListener('click', async () => {
+        const texto = plantillaConsentimientoInput.value.trim();
+        if (!texto) {
+            mostrarMensajeAjustes('Escribe el texto de la plantilla.', 'error');
+            return;
+        }
+        try {
+            const guardadas = await getAjuste('plantillasConsentimiento', {});
+            await setAjuste('plantillasConsentimiento', { ...guardadas, [plantillaModalidadSelect.value]: texto });
+            mostrarMensajeAjustes('¡Plantilla guardada con éxito!', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al guardar la plantilla.', 'error');
+            console.error('Error saving consent template:', error);
+        }
+    });
+
+    restaurarPlantillaConsentimientoBtn.addEventListener('click', async () => {
+        if (!confirm('¿Restaurar la plantilla predeterminada de este tratamiento? Se perderán los cambios guardados.')) {
+            return;
+        }
+        try {
+            const { [plantillaModalidadSelect.value]: descartada, ...guardadas } = await getAjuste('plantillasConsentimiento', {});
+            await setAjuste('plantillasConsentimiento', guardadas);
+            await displayPlantillaConsentimiento();
+            mostrarMensajeAjustes('Plantilla predeterminada restaurada.', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al restaurar la plantilla.', 'error');
+            console.error('Error resetting consent template:', error);
+        }
+    });
+
+    // --- Funcionalidad de Cifrado de Datos ---
+
+    /**
+     * Muestra la ventana de desbloqueo y espera a que se introduzca la contraseña correcta.
+     * @returns {Promise<void>} Una promesa que resuelve cuando los datos están desbloqueados.
+     */
+    function solicitarDesbloqueo() {
+        const desbloqueoModal = document.getElementById('desbloqueoModal');
+        const claveDesbloqueoInput = document.getElementById('claveDesbloqueo');
+        const desbloquearBtn = document.getElementById('desbloquear');
+        const mensajeDesbloqueo = document.getElementById('mensajeDesbloqueo');
+
+        desbloqueoModal.style.display = 'block';
+        claveDesbloqueoInput.focus();
+        return new Promise(resolve => {
+            const intentar = async () => {
+                desbloquearBtn.disabled = true;
+                const correcta = await desbloquearDatos(claveDesbloqueoInput.value);
+                desbloquearBtn.disabled = false;
+                claveDesbloqueoInput.value = '';
+                if (!correcta) {
+                    mensajeDesbloqueo.textContent = 'Contraseña incorrecta.';
+                    mensajeDesbloqueo.style.backgroundColor = '#f8d7da';
+                    mensajeDesbloqueo.style.color = '#721c24';
+                    mensajeDesbloqueo.style.display = 'block';
+                    return;
+                }
+                mensajeDesbloqueo.style.display = 'none';
+                desbloqueoModal.style.display = 'none';
+                desbloquearBtn.removeEventListener('click', intentar);
+                claveDesbloqueoInput.removeEventListener('keydown', alPulsarTecla);
+                resolve();
+            };
+            const alPulsarTecla = (event) => {
+                if (event.key === 'Enter') {
+                    intentar();
+                }
+            };
+            desbloquearBtn.addEventListener('click', intentar);
+            claveDesbloqueoInput.addEventListener('keydown', alPulsarTecla);
+        });
+    }
+
+    async function displayEstadoCifrado() {
+        const activo = Boolean(await getAjuste('cifradoDatos', null));
+        estadoCifradoP.textContent = activo
+            ? 'El cifrado de datos está activado.'
+            : 'El cifrado de datos está desactivado.';
+        formularioCifradoDiv.style.display = activo ? 'none' : 'block';
+        desactivarCifradoBtn.style.display = activo ? 'inline-block' : 'none';
+    }
+
+    function avisoCopiasDescartadas(descartadas) {
+        return descartadas > 0
+            ? ` Se han eliminado ${descartadas} copias automáticas cifradas con una contraseña anterior, que ya no se podían restaurar.`
+            : '';
+    }
+
+    activarCifradoBtn.addEventListener('click', async () => {
+        const contrasena = claveCifradoInput.value;
+        if (contrasena.length < 8) {
+            mostrarMensajeAjustes('La contraseña debe tener al menos 8 caracteres.', 'error');
+            return;
+        }
+        if (contrasena !== confirmarClaveCifradoInput.value) {
+            mostrarMensajeAjustes('Las contraseñas no coinciden.', 'error');
+            return;
+        }
+        try {
+            activarCifradoBtn.disabled = true;
+            const descartadas = await activarCifradoDatos(contrasena);
+            claveCifradoInput.value = '';
+            confirmarClaveCifradoInput.value = '';
+            await displayEstadoCifrado();
+            mostrarMensajeAjustes('¡Cifrado activado! Los datos existentes y las copias automáticas se han cifrado.' +
+                avisoCopiasDescartadas(descartadas), 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al activar el cifrado.', 'error');
+            console.error('Error enabling encryption:', error);
+        } finally {
+            activarCifradoBtn.disabled = false;
+        }
+    });
+
+    desactivarCifradoBtn.addEventListener('click', async () => {
+        if (!confirm('¿Desactivar el cifrado? Los datos de los pacientes volverán a guardarse sin cifrar en este equipo.')) {
+            return;
+        }
+        try {
+            const descartadas = await desactivarCifradoDatos();
+            await displayEstadoCifrado();
+            mostrarMensajeAjustes('Cifrado desactivado.' + avisoCopiasDescartadas(descartadas), 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al desactivar el cifrado.', 'error');
+            console.error('Error disabling encryption:', error);
+        }
+    });
+
+    // --- Funcionalidad de Aplicación sin Conexión ---
+
+    /**
+     * Muestra el aviso de nueva versión. Al aceptarlo, la versión en espera se activa y la página se recarga.
+     * @param {ServiceWorker} trabajadorEnEspera Service worker instalado y esperando.
+     */
+    function mostrarAvisoActualizacion(trabajadorEnEspera) {
+        const avisoActualizacion = document.getElementById('avisoActualizacion');
+        avisoActualizacion.style.display = 'flex';
+        document.getElementById('actualizarAplicacion').onclick = () => {
+            trabajadorEnEspera.postMessage({ tipo: 'activar' });
+        };
+        document.getElementById('descartarActualizacion').onclick = () => {
+            avisoActualizacion.style.display = 'none';
+        };
+    }
+
+    async function displayEstadoAlmacenamiento() {
+        const estadoAlmacenamientoP = document.getElementById('estadoAlmacenamiento');
+        if (!navigator.storage || !navigator.storage.persisted) {
+            estadoAlmacenamientoP.textContent = 'Este navegador no permite comprobar si los datos están protegidos frente a la limpieza automática.';
+            return;
+        }
+        const persistente = await navigator.storage.persisted();
+        let texto = persistente
+            ? 'Almacenamiento persistente concedido: el navegador no borrará los datos aunque falte espacio.'
+            : 'El navegador no ha concedido almacenamiento persistente: podría borrar los datos si falta espacio. Haz copias de seguridad con frecuencia.';
+        if (navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            texto += ` Espacio usado: ${(usage / 1048576).toFixed(1)} MB de ${(quota / 1048576).toFixed(0)} MB.`;
+        }
+        estadoAlmacenamientoP.textContent = texto;
+    }
+
+    // --- Funcionalidad de Bloqueo de la Aplicación ---
+
+    /**
+     * Muestra la pantalla de bloqueo y espera el PIN o la contraseña correctos. Si los datos están
+     * cifrados en reposo y la misma contraseña los descifra, se desbloquean a la vez; si no, se pide
+     * también la contraseña del cifrado.
+     * @returns {Promise<void>} Una promesa que resuelve cuando la aplicación está desbloqueada.
+     */
+    function esperarDesbloqueoAplicacion() {
+        pantallaBloqueo.style.display = 'flex';
+        claveBloqueoInput.value = '';
+        claveBloqueoInput.focus();
+        return new Promise(resolve => {
+            const intentar = async () => {
+                const clave = claveBloqueoInput.value;
+                desbloquearAppBtn.disabled = true;
+                const correcta = await comprobarClaveBloqueo(clave);
+                desbloquearAppBtn.disabled = false;
+                claveBloqueoInput.value = '';
+                if (!correcta) {
+                    mensajeBloqueo.textContent = 'PIN o contraseña incorrectos.';
+                    mensajeBloqueo.style.display = 'block';
+                    return;
+                }
+                mensajeBloqueo.style.display = 'none';
+                desbloquearAppBtn.removeEventListener('click', intentar);
+                claveBloqueoInput.removeEventListener('keydown', alPulsarTecla);
+
+                if (await getAjuste('cifradoDatos', null) && !(await desbloquearDatos(clave))) {
+                    await solicitarDesbloqueo();
+                }
+                pantallaBloqueo.style.display = 'none';
+                document.querySelector('.container').style.display = '';
+                aplicacionBloqueada = false;
+                resolve();
+            };
+            const alPulsarTecla = (event) => {
+                if (event.key === 'Enter') {
+                    intentar();
+                }
+            };
+            desbloquearAppBtn.addEventListener('click', intentar);
+            claveBloqueoInput.addEventListener('keydown', alPulsarTecla);
+        });
+    }
+
+    /**
+     * Bloquea la aplicación: cierra las ventanas abiertas, elimina del DOM los datos de pacientes
+     * y olvida la clave del cifrado en reposo hasta el siguiente desbloqueo.
+     */
+    async function bloquearAplicacion() {
+        if (!configuracionBloqueo || aplicacionBloqueada) {
+            return;
+        }
+        aplicacionBloqueada = true;
+        clearTimeout(temporizadorInactividad);
+
+        if (document.getElementById('importModal').style.display === 'block') {
+            document.getElementById('cancelarImportacion').click();
+        }
+        cerrarImportacionCSV();
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+        liberarUrlsFotos();
+        currentPacienteId = null;
+        citaPendienteId = null;
+        ['resultadosBusqueda', 'calendarioCitas', 'citaPaciente', 'listaConsultas', 'listaPlanes', 'galeriaFotos',
+            'progresoMedidas', 'resumenImportacion', 'detalleImportacion', 'areaImpresion', 'tablasEstadisticas', 'fusionCampos', 'historialCambios', 'listaPapelera', 'listaConsentimientos', 'modalAlertaContraindicaciones',
+            'listaCobros', 'saldoPaciente', 'tablasIngresos']
+            .forEach(id => {
+                document.getElementById(id).innerHTML = '';
+            });
+        limpiarFirma();
+        ['modalPacienteNombre', 'modalPacienteFechaNac', 'modalPacienteEdad', 'consentimientoPaciente'].forEach(id => {
+            document.getElementById(id).textContent = '';
+        });
+        document.querySelectorAll('.container input:not([type="file"]):not([type="checkbox"]), .container textarea, .modal input[type="text"], .modal input[type="date"], .modal textarea')
+            .forEach(campo => {
+                campo.value = '';
+            });
+        document.querySelectorAll('.container input[type="checkbox"], .modal input[type="checkbox"]:not(#bloquearAlOcultar)').forEach(casilla => {
+            casilla.checked = false;
+        });
+        document.querySelector('.container').style.display = 'none';
+        claveDatos = null;
+        notasBusqueda.clear();
+
+        await esperarDesbloqueoAplicacion();
+        citaFechaInput.value = formatDate(new Date());
+        reiniciarTemporizadorInactividad();
+        await displayAllPacientes();
+    }
+
+    function reiniciarTemporizadorInactividad() {
+        clearTimeout(temporizadorInactividad);
+        if (configuracionBloqueo && configuracionBloqueo.minutosInactividad > 0 && !aplicacionBloqueada) {
+            temporizadorInactividad = setTimeout(bloquearAplicacion, configuracionBloqueo.minutosInactividad * 60000);
+        }
+    }
+
+    function actualizarBotonBloqueo() {
+        bloquearAhoraBtn.style.display = configuracionBloqueo ? 'inline-block' : 'none';
+    }
+
+    function displayEstadoBloqueo() {
+        estadoBloqueoP.textContent = configuracionBloqueo
+            ? 'El bloqueo está activado. Deja la contraseña en blanco para cambiar solo las opciones.'
+            : 'El bloqueo está desactivado.';
+        minutosBloqueoInput.value = configuracionBloqueo ? configuracionBloqueo.minutosInactividad : 5;
+        bloquearAlOcultarInput.checked = configuracionBloqueo ? configuracionBloqueo.bloquearAlOcultar : true;
+        desactivarBloqueoBtn.style.display = configuracionBloqueo ? 'inline-block' : 'none';
+        nuevaClaveBloqueoInput.value = '';
+        confirmarClaveBloqueoInput.value = '';
+    }
+
+    ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'].forEach(tipo => {
+        document.addEventListener(tipo, reiniciarTemporizadorInactividad, { passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && configuracionBloqueo && configuracionBloqueo.bloquearAlOcultar) {
+            bloquearAplicacion();
+        }
+    });
+
+    bloquearAhoraBtn.addEventListener('click', bloquearAplicacion);
+
+    guardarBloqueoBtn.addEventListener('click', async () => {
+        const clave = nuevaClaveBloqueoInput.value;
+        const minutos = parseInt(minutosBloqueoInput.value);
+        if (!configuracionBloqueo && !clave) {
+            mostrarMensajeAjustes('Escribe un PIN o contraseña para activar el bloqueo.', 'error');
+            return;
+        }
+        if (clave && clave.length < 4) {
+            mostrarMensajeAjustes('El PIN o contraseña debe tener al menos 4 caracteres.', 'error');
+            return;
+        }
+        if (clave !== confirmarClaveBloqueoInput.value) {
+            mostrarMensajeAjustes('Los PIN o contraseñas no coinciden.', 'error');
+            return;
+        }
+        if (isNaN(minutos) || minutos < 0) {
+            mostrarMensajeAjustes('Los minutos de inactividad no son válidos.', 'error');
+            return;
+        }
+        try {
+            configuracionBloqueo = await guardarBloqueo(clave, minutos, bloquearAlOcultarInput.checked);
+            displayEstadoBloqueo();
+            actualizarBotonBloqueo();
+            reiniciarTemporizadorInactividad();
+            mostrarMensajeAjustes('¡Bloqueo guardado con éxito!', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al guardar el bloqueo.', 'error');
+            console.error('Error saving lock settings:', error);
+        }
+    });
+
+    desactivarBloqueoBtn.addEventListener('click', async () => {
+        if (!confirm('¿Desactivar el bloqueo? Cualquiera con acceso a este equipo podrá ver los expedientes.')) {
+            return;
+        }
+        try {
+            await setAjuste('bloqueo', null);
+            configuracionBloqueo = null;
+            clearTimeout(temporizadorInactividad);
+            displayEstadoBloqueo();
+            actualizarBotonBloqueo();
+            mostrarMensajeAjustes('Bloqueo desactivado.', 'exito');
+        } catch (error) {
+            mostrarMensajeAjustes('Error al desactivar el bloqueo.', 'error');
+            console.error('Error disabling lock:', error);
+        }
+    });
+
+    // --- Funcionalidad de Plantillas de Notas ---
+
+    /**
+     * Recarga las plantillas y frases rápidas del selector de las notas y la lista del gestor.
+     */
+    async function actualizarPlantillasNotas() {
+        plantillasNotas = await getPlantillasNotas();
+        const grupos = TIPOS_PLANTILLA_NOTA.map(tipo => {
+            const opciones = plantillasNotas.filter(plantilla => plantilla.tipo === tipo.valor)
+                .map(plantilla => `<option value="${plantilla.id}">${escaparHTML(plantilla.nombre)}</option>`)
+                .join('');
+            return opciones ? `<optgroup label="${tipo.grupo}">${opciones}</optgroup>` : '';
+        }).join('');
+        plantillaNotaSelect.innerHTML = `<option value="">${plantillasNotas.length > 0 ? '-- Elegir plantilla o frase --' : '-- Sin plantillas --'}</option>${grupos}`;
+
+        listaPlantillasNotasDiv.innerHTML = plantillasNotas.length === 0
+            ? '<p class="no-results">Todavía no hay plantillas.</p>'
+            : plantillasNotas.map(plantilla => `
+                <div class="plantilla-nota-item">
+                    <strong>${escaparHTML(plantilla.nombre)}</strong>
+                    <span class="plantilla-nota-tipo">${plantilla.tipo === 'frase' ? 'Frase rápida' : 'Plantilla'}</span>
+                    <p class="texto-plantilla-nota">${escaparHTML(plantilla.texto)}</p>
+                    <button class="editar-plantilla-nota-btn" data-id="${plantilla.id}">Editar</button>
+                    <button class="delete-plantilla-nota-btn" data-id="${plantilla.id}">Eliminar</button>
+                </div>`).join('');
+    }
+
+    function mostrarMensajePlantillasNotas(texto, tipo) {
+        mensajePlantillasNotas.textContent = texto;
+        mensajePlantillasNotas.style.backgroundColor = tipo === 'exito' ? '#d4edda' : '#f8d7da';
+        mensajePlantillasNotas.style.color = tipo === 'exito' ? '#155724' : '#721c24';
+        mensajePlantillasNotas.style.display = 'block';
+        setTimeout(() => {
+            mensajePlantillasNotas.style.display = 'none';
+            mensajePlantillasNotas.textContent = '';
+        }, 3000);
+    }
+
+    function limpiarFormularioPlantillaNota() {
+        plantillaNotaEditadaId = null;
+        nombrePlantillaNotaInput.value = '';
+        tipoPlantillaNotaSelect.value = 'plantilla';
+        textoPlantillaNotaInput.value = '';
+        guardarPlantillaNotaBtn.textContent = 'Guardar Plantilla';
+        cancelarEdicionPlantillaNotaBtn.style.display = 'none';
+    }
+
+    // Insertar la plantilla elegida en las notas, en la posición del cursor, con los marcadores rellenados
+    insertarPlantillaNotaBtn.addEventListener('click', async () => {
+        const plantilla = plantillasNotas.find(p => p.id === parseInt(plantillaNotaSelect.value));
+        if (!plantilla || currentPacienteId === null) {
+            return;
+        }
+        const [paciente, consultas] = await Promise.all([
+            getPacienteById(currentPacienteId),
+            getConsultasByPacienteId(currentPacienteId)
+        ]);
+        const fecha = fechaConsultaInput.value;
+        const planId = planConsultaSelect.value ? parseInt(planConsultaSelect.value) : null;
+        const anteriores = consultas.filter(c => (planId === null || c.planId === planId) && (!fecha || c.fecha <= fecha));
+        const texto = rellenarPlantillaNota(plantilla.texto, {
+            paciente: paciente.nombre,
+            nombre: paciente.nombre.trim().split(/\s+/)[0],
+            sesion: anteriores.length + 1,
+            fecha
+        });
+
+        notasConsultaInput.setRangeText(texto, notasConsultaInput.selectionStart, notasConsultaInput.selectionEnd, 'end');
+        notasConsultaInput.focus();
+        plantillaNotaSelect.value = '';
+    });
+
+    gestionarPlantillasNotasBtn.addEventListener('click', async () => {
+        limpiarFormularioPlantillaNota();
+        await actualizarPlantillasNotas();
+        plantillasNotasModal.style.display = 'block';
+    });
+
+    cerrarPlantillasNotasBtn.addEventListener('click', () => {
+        plantillasNotasModal.style.display = 'none';
+    });
+
+    guardarPlantillaNotaBtn.addEventListener('click', async () => {
+        const nombre = nombrePlantillaNotaInput.value.trim();
+        const texto = textoPlantillaNotaInput.value.trim();
+        if (!nombre || !texto) {
+            mostrarMensajePlantillasNotas('Escribe el nombre y el texto de la plantilla.', 'error');
+            return;
+        }
+        const anterior = plantillasNotas.find(p => p.id === plantillaNotaEditadaId);
+        try {
+            await guardarPlantillaNota({ ...(anterior || {}), nombre, tipo: tipoPlantillaNotaSelect.value, texto });
+            mostrarMensajePlantillasNotas(anterior ? 'Plantilla actualizada.' : '¡Plantilla guardada con éxito!', 'exito');
+            limpiarFormularioPlantillaNota();
+            await actualizarPlantillasNotas();
+        } catch (error) {
+            mostrarMensajePlantillasNotas('Error al guardar la plantilla.', 'error');
+            console.error('Error saving note template:', error);
+        }
+    });
+
+    cancelarEdicionPlantillaNotaBtn.addEventListener('click', limpiarFormularioPlantillaNota);
+
+    listaPlantillasNotasDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const plantilla = plantillasNotas.find(p => p.id === parseInt(boton.dataset.id));
+        if (!plantilla) {
+            return;
+        }
+        if (boton.classList.contains('editar-plantilla-nota-btn')) {
+            plantillaNotaEditadaId = plantilla.id;
+            nombrePlantillaNotaInput.value = plantilla.nombre;
+            tipoPlantillaNotaSelect.value = plantilla.tipo;
+            textoPlantillaNotaInput.value = plantilla.texto;
+            guardarPlantillaNotaBtn.textContent = 'Guardar Cambios';
+            cancelarEdicionPlantillaNotaBtn.style.display = 'inline-block';
+            nombrePlantillaNotaInput.focus();
+        } else if (boton.classList.contains('delete-plantilla-nota-btn')) {
+            if (!confirm(`¿Eliminar la plantilla "${plantilla.nombre}"?`)) {
+                return;
+            }
+            try {
+                await deletePlantillaNota(plantilla.id);
+                if (plantillaNotaEditadaId === plantilla.id) {
+                    limpiarFormularioPlantillaNota();
+                }
+                await actualizarPlantillasNotas();
+            } catch (error) {
+                mostrarMensajePlantillasNotas('Error al eliminar la plantilla.', 'error');
+                console.error('Error deleting note template:', error);
             }
-        } else {
-            mensajeGuardado.textContent = 'Por favor, completa el nombre y la fecha de nacimiento.';
-            mensajeGuardado.style.backgroundColor = '#fff3cd';
-            mensajeGuardado.style.color = '#856404';
-            mensajeGuardado.style.display = 'block'; // Mostrar el mensaje
-            setTimeout(() => {
-                mensajeGuardado.style.display = 'none'; // Ocultar mensaje después de 3 segundos
-                mensajeGuardado.textContent = '';
-            }, 3000);
         }
     });
 
-    // --- Funcionalidad de Búsqueda Instantánea ---
-    busquedaNombreInput.addEventListener('input', async () => {
-        const nombreBusqueda = busquedaNombreInput.value.trim();
-        if (nombreBusqueda.length > 0) {
-            const pacientes = await searchPacientes(nombreBusqueda);
-            displayPacientes(pacientes);
-        } else {
-            displayAllPacientes();
+    // --- Funcionalidad de Consentimientos Informados ---
+
+    /**
+     * Muestra los consentimientos firmados del paciente, con el texto que firmó y su firma.
+     * @param {number} pacienteId ID del paciente.
+     */
+    async function displayConsentimientos(pacienteId) {
+        const consentimientos = await getConsentimientosByPacienteId(pacienteId);
+        if (consentimientos.length === 0) {
+            listaConsentimientosDiv.innerHTML = '<p class="no-results">No hay consentimientos firmados para este paciente.</p>';
+            return;
+        }
+        listaConsentimientosDiv.innerHTML = consentimientos.map(consentimiento => `
+            <div class="consentimiento-item">
+                <p><strong>${escaparHTML(etiquetaModalidad(consentimiento.modalidad))}</strong> · Firmado el ${formatDateTime(consentimiento.fechaFirma)}</p>
+                <details>
+                    <summary>Ver texto firmado</summary>
+                    <p class="texto-consentimiento">${escaparHTML(consentimiento.texto)}</p>
+                </details>
+                <img class="firma-consentimiento" src="${escaparHTML(consentimiento.firma)}" alt="Firma del paciente">
+                <button class="delete-consentimiento-btn" data-id="${consentimiento.id}">Eliminar</button>
+            </div>`).join('');
+    }
+
+    listaConsentimientosDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('.delete-consentimiento-btn');
+        if (!boton || !confirm('¿Estás seguro de que quieres eliminar este consentimiento firmado? Esta acción es irreversible.')) {
+            return;
+        }
+        try {
+            await deleteConsentimiento(parseInt(boton.dataset.id));
+            await displayConsentimientos(currentPacienteId);
+        } catch (error) {
+            alert('Error al eliminar el consentimiento.');
+            console.error('Error deleting consent:', error);
         }
     });
 
-    mostrarTodosBtn.addEventListener('click', async () => {
-        busquedaNombreInput.value = '';
-        await displayAllPacientes();
+    function limpiarFirma() {
+        firmaCanvas.width = firmaCanvas.width; // Reasignar el tamaño vacía el lienzo
+        firmaVacia = true;
+        trazandoFirma = false;
+    }
+
+    /**
+     * Convierte la posición del puntero en coordenadas del lienzo, que puede mostrarse a otro tamaño.
+     * @param {PointerEvent} event Evento del ratón, dedo o lápiz.
+     * @returns {{x: number, y: number}} Punto en el lienzo.
+     */
+    function puntoFirma(event) {
+        const rect = firmaCanvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * firmaCanvas.width / rect.width,
+            y: (event.clientY - rect.top) * firmaCanvas.height / rect.height
+        };
+    }
+
+    // Recuadro de firma: los eventos de puntero cubren ratón, pantalla táctil y lápiz
+    firmaCanvas.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        firmaCanvas.setPointerCapture(event.pointerId);
+        const contexto = firmaCanvas.getContext('2d');
+        const { x, y } = puntoFirma(event);
+        contexto.lineWidth = 2.5;
+        contexto.lineCap = 'round';
+        contexto.lineJoin = 'round';
+        contexto.strokeStyle = '#000';
+        contexto.beginPath();
+        contexto.moveTo(x, y);
+        trazandoFirma = true;
     });
 
-    // --- Función para mostrar pacientes en la interfaz ---
-    async function displayPacientes(pacientes) {
-        resultadosBusquedaDiv.innerHTML = '';
-        if (pacientes.length === 0) {
-            resultadosBusquedaDiv.innerHTML = '<p class="no-results">No se encontraron pacientes.</p>';
+    firmaCanvas.addEventListener('pointermove', (event) => {
+        if (!trazandoFirma) {
             return;
         }
+        const contexto = firmaCanvas.getContext('2d');
+        const { x, y } = puntoFirma(event);
+        contexto.lineTo(x, y);
+        contexto.stroke();
+        firmaVacia = false;
+    });
 
-        pacientes.forEach(paciente => {
-            const pacienteCard = document.createElement('div');
-            pacienteCard.classList.add('patient-card');
-            pacienteCard.innerHTML = `
-                <div>
-                    <strong>Nombre:</strong> <span>${paciente.nombre}</span><br>
-                    <strong>Fecha Nacimiento:</strong> <span>${paciente.fechaNacimiento}</span><br>
-                    <strong>Edad:</strong> <span>${calcularEdad(paciente.fechaNacimiento)} años</span>
-                </div>
-                <div>
-                    <button class="view-expediente-btn" data-id="${paciente.id}">Ver Expediente</button>
-                    <button class="delete-patient-btn" data-id="${paciente.id}">Eliminar</button>
-                </div>
-            `;
-            resultadosBusquedaDiv.appendChild(pacienteCard);
-        });
-
-        // Añadir listeners a los botones "Ver Expediente"
-        document.querySelectorAll('.view-expediente-btn').forEach(button => {
-            button.addEventListener('click', async (event) => {
-                const pacienteId = parseInt(event.target.dataset.id);
-                await openExpedienteModal(pacienteId);
-            });
+    ['pointerup', 'pointercancel'].forEach(tipo => {
+        firmaCanvas.addEventListener(tipo, () => {
+            trazandoFirma = false;
         });
+    });
 
-        // Añadir listeners a los botones "Eliminar" de las tarjetas de búsqueda
-        document.querySelectorAll('.delete-patient-btn').forEach(button => {
-            if (button.id !== 'eliminarPacienteModalBtn') { // Asegurarse de que no sea el botón del modal
-                button.addEventListener('click', async (event) => {
-                    const pacienteId = parseInt(event.target.dataset.id);
-                    const paciente = await getPacienteById(pacienteId);
-
-                    if (paciente && confirm(`¿Estás seguro de que quieres eliminar a ${paciente.nombre}? Esta acción es irreversible y también borrará todas sus consultas.`)) {
-                        try {
-                            await deletePaciente(pacienteId);
-                            alert('Paciente eliminado con éxito.');
-                            await displayAllPacientes();
-                        } catch (error) {
-                            alert('Error al eliminar el paciente.');
-                            console.error('Error deleting patient:', error);
-                        }
-                    }
-                });
-            }
-        });
-    }
+    limpiarFirmaBtn.addEventListener('click', limpiarFirma);
 
-    async function displayAllPacientes() {
-        const allPacientes = await getAllPacientes();
-        displayPacientes(allPacientes);
+    function mostrarMensajeConsentimiento(texto) {
+        mensajeConsentimiento.textContent = texto;
+        mensajeConsentimiento.style.backgroundColor = '#f8d7da';
+        mensajeConsentimiento.style.color = '#721c24';
+        mensajeConsentimiento.style.display = 'block';
+        setTimeout(() => {
+            mensajeConsentimiento.style.display = 'none';
+            mensajeConsentimiento.textContent = '';
+        }, 3000);
     }
 
-    // Mostrar todos los pacientes al cargar la página inicialmente
-    await displayAllPacientes();
-
-    // --- Funcionalidad de Exportar/Importar Datos ---
-    exportarDatosBtn.addEventListener('click', exportAllData);
+    // Preparar el consentimiento del tratamiento elegido con el texto de su plantilla
+    prepararConsentimientoBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const modalidad = consentimientoModalidadSelect.value;
+        const plantillas = await getPlantillasConsentimiento();
+        consentimientoPacienteSpan.textContent = modalPacienteNombre.textContent;
+        consentimientoTratamientoSpan.textContent = etiquetaModalidad(modalidad);
+        textoConsentimientoInput.value = plantillas[modalidad];
+        limpiarFirma();
+        consentimientoModal.style.display = 'block';
+    });
 
-    importarDatosBtn.addEventListener('click', () => {
-        importarArchivoInput.click();
+    cerrarConsentimientoBtn.addEventListener('click', () => {
+        consentimientoModal.style.display = 'none';
     });
 
-    importarArchivoInput.addEventListener('change', async (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            importMessage.textContent = 'Importando datos...';
-            importMessage.style.backgroundColor = '#fff3cd';
-            importMessage.style.color = '#856404';
-            importMessage.style.display = 'block'; // Mostrar el mensaje
-            await importAllData(file);
-            event.target.value = ''; // Limpiar el input file
+    guardarConsentimientoBtn.addEventListener('click', async () => {
+        const texto = textoConsentimientoInput.value.trim();
+        if (!texto) {
+            mostrarMensajeConsentimiento('El consentimiento no tiene texto.');
+            return;
+        }
+        if (firmaVacia) {
+            mostrarMensajeConsentimiento('El paciente debe firmar en el recuadro antes de guardar.');
+            return;
+        }
+        try {
+            await addConsentimiento({
+                pacienteId: currentPacienteId,
+                modalidad: consentimientoModalidadSelect.value,
+                texto,
+                firma: firmaCanvas.toDataURL('image/png'),
+                fechaFirma: new Date().toISOString()
+            });
+            consentimientoModal.style.display = 'none';
+            limpiarFirma();
+            await displayConsentimientos(currentPacienteId);
+        } catch (error) {
+            mostrarMensajeConsentimiento('Error al guardar el consentimiento.');
+            console.error('Error saving consent:', error);
         }
     });
 
+    // --- Funcionalidad de Cobros y Pagos ---
 
-    // --- Funcionalidad del Modal de Expediente ---
-    closeButton.addEventListener('click', () => {
-        editModal.style.display = 'none';
-        mensajeEdicion.textContent = '';
-        mensajeEdicion.style.display = 'none'; // Ocultar mensaje al cerrar
-    });
+    /**
+     * Recarga el catálogo de servicios: la tabla de Configuración y los selectores de cobro, que solo ofrecen los activos.
+     */
+    async function actualizarServicios() {
+        serviciosCatalogo = await getServicios();
+        const activos = serviciosCatalogo.filter(servicio => servicio.activo !== false);
+        const opciones = activos.map(servicio =>
+            `<option value="${servicio.id}">${escaparHTML(servicio.nombre)} (${formatearImporte(servicio.precio)})</option>`).join('');
+        cargoServicioSelect.innerHTML = `<option value="">-- Importe libre --</option>${opciones}`;
+        cobroConsultaSelect.innerHTML = `<option value="">-- No cobrar (incluida en un paquete o sin cargo) --</option>${opciones}`;
 
-    window.addEventListener('click', (event) => {
-        if (event.target === editModal) {
-            editModal.style.display = 'none';
-            mensajeEdicion.textContent = '';
-            mensajeEdicion.style.display = 'none'; // Ocultar mensaje al cerrar
+        listaServiciosDiv.innerHTML = serviciosCatalogo.length === 0
+            ? '<p class="no-results">Todavía no hay servicios en el catálogo.</p>'
+            : `<table class="tabla-servicios">
+                <thead><tr><th>Servicio</th><th>Sesiones</th><th>Precio</th><th></th></tr></thead>
+                <tbody>
+                    ${serviciosCatalogo.map(servicio => `
+                        <tr class="${servicio.activo === false ? 'servicio-retirado' : ''}">
+                            <td>${escaparHTML(servicio.nombre)}${servicio.activo === false ? ' (retirado)' : ''}</td>
+                            <td>${servicio.sesiones}</td>
+                            <td>${formatearImporte(servicio.precio)}</td>
+                            <td>
+                                <button class="editar-servicio-btn" data-id="${servicio.id}">Editar</button>
+                                <button class="estado-servicio-btn" data-id="${servicio.id}">${servicio.activo === false ? 'Reactivar' : 'Retirar'}</button>
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    function limpiarFormularioServicio() {
+        servicioEditadoId = null;
+        servicioNombreInput.value = '';
+        servicioSesionesInput.value = '1';
+        servicioPrecioInput.value = '';
+        guardarServicioBtn.textContent = 'Añadir Servicio';
+        cancelarEdicionServicioBtn.style.display = 'none';
+    }
+
+    guardarServicioBtn.addEventListener('click', async () => {
+        const nombre = servicioNombreInput.value.trim();
+        const sesiones = parseInt(servicioSesionesInput.value);
+        const precio = parseFloat(servicioPrecioInput.value);
+        if (!nombre || !(sesiones >= 1) || !(precio >= 0)) {
+            mostrarMensajeAjustes('Indica el nombre, las sesiones incluidas y el precio del servicio.', 'error');
+            return;
+        }
+        const anterior = serviciosCatalogo.find(s => s.id === servicioEditadoId);
+        try {
+            await guardarServicio({ activo: true, ...(anterior || {}), nombre, sesiones, precio });
+            mostrarMensajeAjustes(anterior ? 'Servicio actualizado.' : '¡Servicio añadido al catálogo!', 'exito');
+            limpiarFormularioServicio();
+            await actualizarServicios();
+        } catch (error) {
+            mostrarMensajeAjustes('Error al guardar el servicio.', 'error');
+            console.error('Error saving service:', error);
         }
     });
 
-    async function openExpedienteModal(id) {
-        currentPacienteId = id;
-        const paciente = await getPacienteById(id);
-        if (paciente) {
-            modalPacienteNombre.textContent = paciente.nombre;
-            modalPacienteFechaNac.textContent = paciente.fechaNacimiento;
-            modalPacienteEdad.textContent = `${calcularEdad(paciente.fechaNacimiento)} años`;
-            modalMotivoConsulta.value = paciente.motivoConsulta || '';
-            modalDiagnosticoFisio.value = paciente.diagnosticoFisio || '';
-            modalAntecedentes.value = paciente.antecedentes || '';
+    cancelarEdicionServicioBtn.addEventListener('click', limpiarFormularioServicio);
 
-            await displayConsultas(id);
+    listaServiciosDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const servicio = serviciosCatalogo.find(s => s.id === parseInt(boton.dataset.id));
+        if (!servicio) {
+            return;
+        }
+        if (boton.classList.contains('editar-servicio-btn')) {
+            servicioEditadoId = servicio.id;
+            servicioNombreInput.value = servicio.nombre;
+            servicioSesionesInput.value = servicio.sesiones;
+            servicioPrecioInput.value = servicio.precio;
+            guardarServicioBtn.textContent = 'Guardar Cambios';
+            cancelarEdicionServicioBtn.style.display = 'inline-block';
+            servicioNombreInput.focus();
+        } else if (boton.classList.contains('estado-servicio-btn')) {
+            try {
+                await guardarServicio({ ...servicio, activo: servicio.activo === false });
+                await actualizarServicios();
+            } catch (error) {
+                mostrarMensajeAjustes('Error al actualizar el servicio.', 'error');
+                console.error('Error updating service:', error);
+            }
+        }
+    });
 
-            editModal.style.display = 'block';
+    function mostrarMensajeCobros(texto, tipo) {
+        mensajeCobros.textContent = texto;
+        mensajeCobros.style.backgroundColor = tipo === 'exito' ? '#d4edda' : '#f8d7da';
+        mensajeCobros.style.color = tipo === 'exito' ? '#155724' : '#721c24';
+        mensajeCobros.style.display = 'block';
+        setTimeout(() => {
+            mensajeCobros.style.display = 'none';
+            mensajeCobros.textContent = '';
+        }, 3000);
+    }
+
+    /**
+     * Muestra el saldo del paciente y sus cargos y pagos, los más recientes primero.
+     * @param {number} pacienteId ID del paciente.
+     */
+    async function displayCobros(pacienteId) {
+        const { cargos, pagos, saldo } = await getCuentaPaciente(pacienteId);
+        if (saldo > 0) {
+            saldoPacienteP.textContent = `Saldo pendiente: ${formatearImporte(saldo)}`;
+        } else if (saldo < 0) {
+            saldoPacienteP.textContent = `Saldo a favor: ${formatearImporte(-saldo)}`;
         } else {
-            console.error('Paciente no encontrado:', id);
-            alert('Error: Paciente no encontrado.');
+            saldoPacienteP.textContent = 'Sin saldo pendiente.';
+        }
+        saldoPacienteP.classList.toggle('saldo-deudor', saldo > 0);
+        pagoImporteInput.value = saldo > 0 ? saldo : '';
+
+        const movimientos = [
+            ...cargos.map(cargo => ({ ...cargo, tipo: 'cargo' })),
+            ...pagos.map(pago => ({ ...pago, tipo: 'pago' }))
+        ].sort((a, b) => b.fecha.localeCompare(a.fecha) || (a.tipo === b.tipo ? b.id - a.id : a.tipo === 'pago' ? -1 : 1));
+        if (movimientos.length === 0) {
+            listaCobrosDiv.innerHTML = '<p class="no-results">No hay cargos ni pagos registrados para este paciente.</p>';
+            return;
         }
+        listaCobrosDiv.innerHTML = `
+            <table class="tabla-cobros">
+                <thead><tr><th>Fecha</th><th>Concepto</th><th>Cargo</th><th>Pago</th><th></th></tr></thead>
+                <tbody>
+                    ${movimientos.map(movimiento => movimiento.tipo === 'cargo' ? `
+                        <tr>
+                            <td>${movimiento.fecha}</td>
+                            <td>${escaparHTML(movimiento.concepto)}${movimiento.consultaId ? ' <span class="cobro-consulta">(consulta)</span>' : ''}</td>
+                            <td>${formatearImporte(movimiento.importe)}</td>
+                            <td></td>
+                            <td><button class="delete-cargo-btn" data-id="${movimiento.id}">Eliminar</button></td>
+                        </tr>` : `
+                        <tr>
+                            <td>${movimiento.fecha}</td>
+                            <td>${escaparHTML(movimiento.concepto || 'Pago')} · ${escaparHTML(etiquetaMetodoPago(movimiento.metodo))}</td>
+                            <td></td>
+                            <td>${formatearImporte(movimiento.importe)}</td>
+                            <td>
+                                <button class="recibo-pago-btn" data-id="${movimiento.id}">Recibo n.º ${movimiento.numeroRecibo}</button>
+                                <button class="delete-pago-btn" data-id="${movimiento.id}">Eliminar</button>
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
     }
 
-    // Guardar cambios del expediente (diagnóstico, motivo, antecedentes)
-    guardarCambiosExpedienteBtn.addEventListener('click', async () => {
-        if (currentPacienteId !== null) {
-            const paciente = await getPacienteById(currentPacienteId);
-            if (paciente) {
-                paciente.motivoConsulta = modalMotivoConsulta.value.trim();
-                paciente.diagnosticoFisio = modalDiagnosticoFisio.value.trim();
-                paciente.antecedentes = modalAntecedentes.value.trim();
+    /**
+     * Imprime el recibo de un pago del paciente abierto, con el saldo que quedó pendiente tras ese pago.
+     * @param {number} pagoId ID del pago.
+     */
+    async function imprimirRecibo(pagoId) {
+        const [paciente, cuenta] = await Promise.all([
+            getPacienteById(currentPacienteId),
+            getCuentaPaciente(currentPacienteId)
+        ]);
+        const pago = cuenta.pagos.find(p => p.id === pagoId);
+        if (paciente && pago) {
+            imprimirDocumento(generarDocumentoRecibo(paciente, pago, calcularSaldoAlPago(cuenta, pago)));
+        }
+    }
 
-                try {
-                    await updatePaciente(paciente);
-                    mensajeEdicion.textContent = '¡Expediente actualizado con éxito!';
-                    mensajeEdicion.style.backgroundColor = '#d4edda';
-                    mensajeEdicion.style.color = '#155724';
-                    mensajeEdicion.style.display = 'block'; // Mostrar mensaje
-                    modalPacienteEdad.textContent = `${calcularEdad(paciente.fechaNacimiento)} años`;
-                } catch (error) {
-                    mensajeEdicion.textContent = 'Error al actualizar el expediente.';
-                    mensajeEdicion.style.backgroundColor = '#f8d7da';
-                    mensajeEdicion.style.color = '#721c24';
-                    mensajeEdicion.style.display = 'block'; // Mostrar mensaje
-                    console.error('Error al actualizar paciente:', error);
-                } finally {
-                    setTimeout(() => {
-                        mensajeEdicion.style.display = 'none'; // Ocultar mensaje después de 3 segundos
-                        mensajeEdicion.textContent = '';
-                    }, 3000);
-                }
+    // Al elegir un servicio del catálogo se proponen su nombre y su precio, que se pueden ajustar
+    cargoServicioSelect.addEventListener('change', () => {
+        const servicio = serviciosCatalogo.find(s => s.id === parseInt(cargoServicioSelect.value));
+        if (servicio) {
+            cargoConceptoInput.value = servicio.nombre;
+            cargoImporteInput.value = servicio.precio;
+        }
+    });
+
+    registrarCargoBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const concepto = cargoConceptoInput.value.trim();
+        const importe = parseFloat(cargoImporteInput.value);
+        if (!concepto || !(importe > 0) || !cargoFechaInput.value) {
+            mostrarMensajeCobros('Indica el concepto, el importe y la fecha del cargo.', 'error');
+            return;
+        }
+        try {
+            await addCargo({ pacienteId: currentPacienteId, consultaId: null, concepto, importe, fecha: cargoFechaInput.value });
+            cargoServicioSelect.value = '';
+            cargoConceptoInput.value = '';
+            cargoImporteInput.value = '';
+            mostrarMensajeCobros('Cargo registrado.', 'exito');
+            await displayCobros(currentPacienteId);
+        } catch (error) {
+            mostrarMensajeCobros('Error al registrar el cargo.', 'error');
+            console.error('Error adding charge:', error);
+        }
+    });
+
+    registrarPagoBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const importe = parseFloat(pagoImporteInput.value);
+        if (!(importe > 0) || !pagoFechaInput.value) {
+            mostrarMensajeCobros('Indica el importe y la fecha del pago.', 'error');
+            return;
+        }
+        try {
+            const pago = await addPago({
+                pacienteId: currentPacienteId,
+                importe,
+                metodo: pagoMetodoSelect.value,
+                concepto: pagoConceptoInput.value.trim(),
+                fecha: pagoFechaInput.value
+            });
+            pagoConceptoInput.value = '';
+            await displayCobros(currentPacienteId);
+            if (confirm(`Pago registrado con el recibo n.º ${pago.numeroRecibo}. ¿Quieres imprimir el recibo?`)) {
+                await imprimirRecibo(pago.id);
             }
+        } catch (error) {
+            mostrarMensajeCobros('Error al registrar el pago.', 'error');
+            console.error('Error adding payment:', error);
         }
     });
 
-    // Evento para el botón Eliminar Paciente dentro del modal
-    eliminarPacienteModalBtn.addEventListener('click', async () => {
-        if (currentPacienteId !== null) {
-            const paciente = await getPacienteById(currentPacienteId);
-            if (paciente && confirm(`¿Estás seguro de que quieres eliminar a ${paciente.nombre}? Esta acción es irreversible y también borrará todas sus consultas.`)) {
-                try {
-                    await deletePaciente(currentPacienteId);
-                    alert('Paciente eliminado con éxito.');
-                    editModal.style.display = 'none';
-                    await displayAllPacientes();
-                    currentPacienteId = null;
-                } catch (error) {
-                    alert('Error al eliminar el paciente.');
-                    console.error('Error deleting patient from modal:', error);
+    listaCobrosDiv.addEventListener('click', async (event) => {
+        const boton = event.target.closest('button[data-id]');
+        if (!boton) {
+            return;
+        }
+        const id = parseInt(boton.dataset.id);
+        try {
+            if (boton.classList.contains('recibo-pago-btn')) {
+                await imprimirRecibo(id);
+            } else if (boton.classList.contains('delete-cargo-btn')) {
+                if (confirm('¿Estás seguro de que quieres eliminar este cargo?')) {
+                    await deleteCargo(id);
+                    await displayCobros(currentPacienteId);
+                }
+            } else if (boton.classList.contains('delete-pago-btn')) {
+                if (confirm('¿Estás seguro de que quieres eliminar este pago? Su número de recibo no se volverá a usar.')) {
+                    await deletePago(id);
+                    await displayCobros(currentPacienteId);
                 }
             }
+        } catch (error) {
+            mostrarMensajeCobros('Error al actualizar los cobros.', 'error');
+            console.error('Error updating billing:', error);
         }
     });
 
-    // --- Funcionalidad de Historial de Consultas ---
-    agregarConsultaBtn.addEventListener('click', async () => {
-        if (currentPacienteId !== null) {
-            const fechaConsulta = fechaConsultaInput.value;
-            const notasConsulta = notasConsultaInput.value.trim();
+    // --- Funcionalidad de Galería de Fotos Clínicas ---
 
-            if (fechaConsulta && notasConsulta) {
-                const consultaData = {
-                    pacienteId: currentPacienteId,
-                    fecha: fechaConsulta,
-                    notas: notasConsulta
-                };
-                try {
-                    await addConsulta(consultaData);
-                    alert('Consulta agregada con éxito.');
-                    fechaConsultaInput.value = formatDate(new Date());
-                    notasConsultaInput.value = '';
-                    await displayConsultas(currentPacienteId);
-                } catch (error) {
-                    alert('Error al agregar la consulta.');
-                    console.error('Error adding consultation:', error);
+    /**
+     * Rellena el selector de consulta del formulario de fotos.
+     * @param {Array<Object>} consultas Consultas del paciente.
+     */
+    function actualizarConsultasFoto(consultas) {
+        fotoConsultaSelect.innerHTML = '<option value="">-- Sin consulta --</option>' + consultas
+            .map(consulta => `<option value="${consulta.id}">${consulta.fecha}</option>`)
+            .join('');
+    }
+
+    function liberarUrlsFotos() {
+        urlsFotos.forEach(url => URL.revokeObjectURL(url));
+        urlsFotos = [];
+        comparacionFotosDiv.innerHTML = '';
+    }
+
+    function crearUrlFoto(blob) {
+        const url = URL.createObjectURL(blob);
+        urlsFotos.push(url);
+        return url;
+    }
+
+    async function displayFotos(pacienteId) {
+        liberarUrlsFotos();
+        galeriaFotosDiv.innerHTML = '';
+        const zona = filtroZonaFotosSelect.value;
+        const fotos = (await getFotosByPacienteId(pacienteId)).filter(foto => !zona || foto.zona === zona);
+
+        if (fotos.length === 0) {
+            galeriaFotosDiv.innerHTML = '<p class="no-results">No hay fotos registradas para este paciente.</p>';
+            return;
+        }
+
+        fotos.forEach(foto => {
+            const fotoItem = document.createElement('div');
+            fotoItem.classList.add('foto-item');
+            fotoItem.innerHTML = `
+                <img src="${crearUrlFoto(foto.miniatura)}" alt="Foto ${escaparHTML(foto.zona)} ${foto.fecha}">
+                <div class="foto-datos">
+                    <strong>${escaparHTML(foto.zona)}</strong> · ${foto.momento === 'antes' ? 'Antes' : 'Después'}<br>
+                    <span>${foto.fecha}</span>
+                </div>
+                <label class="foto-seleccion"><input type="checkbox" class="comparar-foto-check" value="${foto.id}"> Comparar</label>
+                <button class="delete-foto-btn" data-id="${foto.id}">Eliminar</button>
+            `;
+            galeriaFotosDiv.appendChild(fotoItem);
+        });
+
+        galeriaFotosDiv.querySelectorAll('.delete-foto-btn').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                const fotoId = parseInt(event.target.dataset.id);
+                if (confirm('¿Estás seguro de que quieres eliminar esta foto? Esta acción es irreversible.')) {
+                    try {
+                        await deleteFoto(fotoId);
+                        await displayFotos(currentPacienteId);
+                    } catch (error) {
+                        alert('Error al eliminar la foto.');
+                        console.error('Error deleting photo:', error);
+                    }
                 }
-            } else {
-                alert('Por favor, ingresa la fecha y las notas de la consulta.');
+            });
+        });
+    }
+
+    agregarFotosBtn.addEventListener('click', async () => {
+        if (currentPacienteId === null) {
+            return;
+        }
+        const archivos = Array.from(fotoArchivoInput.files);
+        if (archivos.length === 0 || !fotoFechaInput.value) {
+            alert('Por favor, selecciona al menos una foto e indica la fecha.');
+            return;
+        }
+
+        try {
+            for (const archivo of archivos) {
+                const miniatura = await generarMiniatura(archivo);
+                await addFoto({
+                    pacienteId: currentPacienteId,
+                    consultaId: fotoConsultaSelect.value ? parseInt(fotoConsultaSelect.value) : null,
+                    fecha: fotoFechaInput.value,
+                    zona: fotoZonaSelect.value,
+                    momento: fotoMomentoSelect.value,
+                    imagen: archivo,
+                    miniatura
+                });
             }
+            fotoArchivoInput.value = '';
+            await displayFotos(currentPacienteId);
+        } catch (error) {
+            alert('Error al guardar las fotos. Asegúrate de que los archivos son imágenes válidas.');
+            console.error('Error adding photos:', error);
         }
     });
 
-    async function displayConsultas(pacienteId) {
-        listaConsultasDiv.innerHTML = '';
-        const consultas = await getConsultasByPacienteId(pacienteId);
+    filtroZonaFotosSelect.addEventListener('change', async () => {
+        if (currentPacienteId !== null) {
+            await displayFotos(currentPacienteId);
+        }
+    });
 
-        if (consultas.length === 0) {
-            listaConsultasDiv.innerHTML = '<p class="no-results">No hay consultas registradas para este paciente.</p>';
+    // Mostrar dos fotos seleccionadas lado a lado, la más antigua a la izquierda
+    compararFotosBtn.addEventListener('click', async () => {
+        const seleccionadas = Array.from(galeriaFotosDiv.querySelectorAll('.comparar-foto-check:checked'))
+            .map(casilla => parseInt(casilla.value));
+        if (seleccionadas.length !== 2) {
+            alert('Selecciona exactamente dos fotos para compararlas.');
             return;
         }
 
-        consultas.forEach(consulta => {
-            const consultaItem = document.createElement('div');
-            consultaItem.classList.add('consulta-item');
-            consultaItem.innerHTML = `
-                <strong>Fecha:</strong> <span>${consulta.fecha}</span>
-                <p><strong>Notas:</strong> ${consulta.notas}</p>
-            `;
-            listaConsultasDiv.appendChild(consultaItem);
+        const fotos = (await getFotosByPacienteId(currentPacienteId)).filter(foto => seleccionadas.includes(foto.id));
+        comparacionFotosDiv.innerHTML = fotos.map(foto => `
+            <figure>
+                <img src="${crearUrlFoto(foto.imagen)}" alt="Foto ${escaparHTML(foto.zona)} ${foto.fecha}">
+                <figcaption>${foto.momento === 'antes' ? 'Antes' : 'Después'} · ${escaparHTML(foto.zona)} · ${foto.fecha}</figcaption>
+            </figure>
+        `).join('');
+    });
+
+    /**
+     * Sustituye el contenido de una consulta de la lista por un formulario de edición.
+     * @param {HTMLElement} consultaItem Elemento `.consulta-item` de la consulta.
+     * @param {Object} consulta Consulta a editar.
+     */
+    async function abrirEditorConsulta(consultaItem, consulta) {
+        const planes = await getPlanesByPacienteId(consulta.pacienteId);
+        consultaItem.classList.add('consulta-editor');
+        consultaItem.innerHTML = `
+            <label for="editarFechaConsulta-${consulta.id}">Fecha de Asistencia:</label>
+            <input type="date" id="editarFechaConsulta-${consulta.id}" class="editar-fecha-consulta">
+            <label for="editarNotasConsulta-${consulta.id}">Notas de la Sesión / Tratamiento Realizado:</label>
+            <textarea id="editarNotasConsulta-${consulta.id}" class="editar-notas-consulta"></textarea>
+            <label for="editarPlanConsulta-${consulta.id}">Plan de Tratamiento:</label>
+            <select id="editarPlanConsulta-${consulta.id}" class="editar-plan-consulta">
+                <option value="">-- Sin plan --</option>
+                ${planes.map(plan => `<option value="${plan.id}">${escaparHTML(plan.objetivo)}</option>`).join('')}
+            </select>
+            <details class="evaluacion-form" ${consulta.evaluacion ? 'open' : ''}>
+                <summary>Evaluación Dermatofuncional</summary>
+                <div class="editar-evaluacion-consulta">${crearFormularioEvaluacion(`editarEvaluacion-${consulta.id}`)}</div>
+            </details>
+            <button class="guardar-edicion-consulta-btn">Guardar</button>
+            <button class="cancelar-edicion-consulta-btn">Cancelar</button>
+        `;
+        const fechaInput = consultaItem.querySelector('.editar-fecha-consulta');
+        const notasInput = consultaItem.querySelector('.editar-notas-consulta');
+        const evaluacionDiv = consultaItem.querySelector('.editar-evaluacion-consulta');
+        const planSelect = consultaItem.querySelector('.editar-plan-consulta');
+        fechaInput.value = consulta.fecha;
+        planSelect.value = consulta.planId || '';
+        notasInput.value = consulta.notas;
+        rellenarFormularioEvaluacion(evaluacionDiv, consulta.evaluacion);
+
+        consultaItem.querySelector('.cancelar-edicion-consulta-btn').addEventListener('click', async () => {
+            await displayConsultas(consulta.pacienteId);
+        });
+
+        consultaItem.querySelector('.guardar-edicion-consulta-btn').addEventListener('click', async () => {
+            const fecha = fechaInput.value;
+            const notas = notasInput.value.trim();
+            const evaluacion = leerFormularioEvaluacion(evaluacionDiv);
+
+            if (!fecha || (!notas && !evaluacion)) {
+                alert('Por favor, ingresa la fecha y las notas o la evaluación de la consulta.');
+                return;
+            }
+            if (!confirm(`¿Guardar los cambios en la consulta del ${consulta.fecha}?`)) {
+                return;
+            }
+            if (!(await confirmarContraindicaciones(consulta.pacienteId, evaluacion))) {
+                return;
+            }
+
+            consulta.fecha = fecha;
+            consulta.notas = notas;
+            consulta.evaluacion = evaluacion;
+            consulta.planId = planSelect.value ? parseInt(planSelect.value) : null;
+            try {
+                await updateConsulta(consulta);
+                await comprobarPlanCompletado(consulta.planId);
+                alert('Consulta actualizada con éxito.');
+                await displayConsultas(consulta.pacienteId);
+            } catch (error) {
+                alert('Error al actualizar la consulta.');
+                console.error('Error updating consultation:', error);
+            }
         });
     }
 
+    // Casillas de contraindicaciones del registro y del expediente
+    crearCasillasContraindicaciones(contraindicacionesDiv);
+    crearCasillasContraindicaciones(modalContraindicacionesDiv);
+
     // Establecer la fecha de la consulta por defecto a hoy
     fechaConsultaInput.value = formatDate(new Date());
+
+    // Opciones y valores por defecto del formulario de planes
+    planModalidadSelect.innerHTML = MODALIDADES
+        .map(modalidad => `<option value="${modalidad.valor}">${escaparHTML(modalidad.etiqueta)}</option>`)
+        .join('');
+    planFechaInicioInput.value = formatDate(new Date());
+
+    // Tratamientos de los consentimientos informados y de sus plantillas
+    const opcionesModalidad = MODALIDADES
+        .map(modalidad => `<option value="${modalidad.valor}">${escaparHTML(modalidad.etiqueta)}</option>`)
+        .join('');
+    consentimientoModalidadSelect.innerHTML = opcionesModalidad;
+    plantillaModalidadSelect.innerHTML = opcionesModalidad;
+
+    // Tipos y marcadores del gestor de plantillas de notas
+    tipoPlantillaNotaSelect.innerHTML = TIPOS_PLANTILLA_NOTA
+        .map(tipo => `<option value="${tipo.valor}">${escaparHTML(tipo.etiqueta)}</option>`)
+        .join('');
+    document.getElementById('marcadoresPlantillaNota').innerHTML = MARCADORES_PLANTILLA_NOTA
+        .map(marcador => `<li><code>{${marcador.clave}}</code>: ${escaparHTML(marcador.descripcion)}</li>`)
+        .join('');
+
+    // Formas de pago de los cobros
+    pagoMetodoSelect.innerHTML = METODOS_PAGO
+        .map(metodo => `<option value="${metodo.valor}">${escaparHTML(metodo.etiqueta)}</option>`)
+        .join('');
+
+    // Opciones de zona corporal para las fotos y fecha por defecto
+    const opcionesZona = ZONAS_CORPORALES.map(zona => `<option value="${zona}">${zona}</option>`).join('');
+    fotoZonaSelect.innerHTML = opcionesZona;
+    filtroZonaFotosSelect.innerHTML = '<option value="">Todas las zonas</option>' + opcionesZona;
+    fotoFechaInput.value = formatDate(new Date());
+
+    // Generar el formulario de evaluación estructurada de la nueva consulta
+    evaluacionConsultaDiv.innerHTML = crearFormularioEvaluacion('evaluacion');
 });
\ No newline at end of file
@@ -0,0 +1,65 @@
+// Service worker: guarda los archivos de la aplicación en caché para que funcione sin conexión.
+// Los datos de los pacientes no pasan por aquí: viven en IndexedDB.
+
+// Incrementar la versión al publicar cambios en cualquiera de los archivos de la aplicación:
+// el navegador detecta el service worker nuevo, descarga los archivos y ofrece actualizar.
+const VERSION_CACHE = 'fisio-dermatofuncional-v21';
+
+const ARCHIVOS_APLICACION = [
+    './',
+    './index.html',
+    './script.js',
+    './style.css',
+    './logo.png',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' evita guardar copias antiguas de la caché HTTP del navegador
+    event.waitUntil(
+        caches.open(VERSION_CACHE).then(cache =>
+            cache.addAll(ARCHIVOS_APLICACION.map(url => new Request(url, { cache: 'reload' }))))
+    );
+    // No se llama a skipWaiting(): la versión nueva espera a que el usuario acepte la actualización
+});
+
+self.addEventListener('activate', (event) => {
+    // Eliminar las cachés de versiones anteriores
+    event.waitUntil(
+        caches.keys()
+            .then(claves => Promise.all(claves
+                .filter(clave => clave.startsWith('fisio-dermatofuncional-') && clave !== VERSION_CACHE)
+                .map(clave => caches.delete(clave))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const peticion = event.request;
+    if (peticion.method !== 'GET' || new URL(peticion.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Primero la caché; las navegaciones sin conexión reciben siempre index.html
+    event.respondWith(
+        caches.match(peticion, { ignoreSearch: true }).then(respuesta => {
+            if (respuesta) {
+                return respuesta;
+            }
+            return fetch(peticion).catch(() => {
+                if (peticion.mode === 'navigate') {
+                    return caches.match('./index.html');
+                }
+                throw new Error(`Sin conexión y sin copia en caché: ${peticion.url}`);
+            });
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.tipo === 'activar') {
+        self.skipWaiting();
+    }
+});